@@ -0,0 +1,144 @@
+// Admission ranking. A direction's admission config names the tests that
+// count (with weights) and the number of places:
+//
+//   { quota: 25, minScore: 40, resultPolicy: 'best',
+//     tests: [{ testId: '1', weight: 2 }, { testId: '2', weight: 1 }] }
+//
+// An applicant's score is the weighted average of their percentages on the
+// counted tests. Applicants who took every counted test are ranked by score;
+// ties go to less total time spent, then to the earlier submission of the
+// last counted test, then to the lower user id.
+
+// Which of several results of one test counts
+const RESULT_POLICIES = ['best', 'latest'];
+
+// Applicant statuses
+const ADMISSION_STATUSES = ['admitted', 'waitlisted', 'below_minimum', 'incomplete'];
+
+function round(value, digits = 2) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+// Check a config from the request body. Returns { config } or { error }.
+function normalizeAdmissionConfig(body) {
+    const quota = Number(body.quota);
+    if (!Number.isInteger(quota) || quota < 0) {
+        return { error: 'Kvota manfiy bo\'lmagan butun son bo\'lishi kerak' };
+    }
+    
+    const minScore = body.minScore === undefined || body.minScore === null ? 0 : Number(body.minScore);
+    if (isNaN(minScore) || minScore < 0 || minScore > 100) {
+        return { error: 'Minimal ball 0 dan 100 gacha bo\'lishi kerak' };
+    }
+    
+    const resultPolicy = body.resultPolicy || 'best';
+    if (!RESULT_POLICIES.includes(resultPolicy)) {
+        return { error: `resultPolicy quyidagilardan biri bo'lishi kerak: ${RESULT_POLICIES.join(', ')}` };
+    }
+    
+    if (!Array.isArray(body.tests) || !body.tests.length) {
+        return { error: 'Kamida bitta test tanlang' };
+    }
+    
+    const tests = [];
+    for (const item of body.tests) {
+        const testId = item && item.testId ? String(item.testId) : '';
+        const weight = item && item.weight !== undefined ? Number(item.weight) : 1;
+        if (!testId) {
+            return { error: 'Har bir test uchun testId kerak' };
+        }
+        if (!(weight > 0)) {
+            return { error: 'Test vazni musbat son bo\'lishi kerak' };
+        }
+        if (tests.some(t => t.testId === testId)) {
+            return { error: 'Testlar takrorlanmasligi kerak' };
+        }
+        tests.push({ testId, weight });
+    }
+    
+    return { config: { quota, minScore, resultPolicy, tests } };
+}
+
+// The result of one test that counts: the best percentage (ties to less
+// time, then the earlier one), or the latest submission
+function pickResult(results, policy) {
+    const sorted = [...results].sort((a, b) => policy === 'latest'
+        ? b.createdAt.localeCompare(a.createdAt)
+        : (b.percentage || 0) - (a.percentage || 0)
+            || (a.timeSpent || 0) - (b.timeSpent || 0)
+            || a.createdAt.localeCompare(b.createdAt));
+    return sorted[0];
+}
+
+function compareApplicants(a, b) {
+    return b.score - a.score
+        || a.timeSpent - b.timeSpent
+        || a.submittedAt.localeCompare(b.submittedAt)
+        || String(a.userId).localeCompare(String(b.userId));
+}
+
+// Rank `applicants` (students of the direction) using their `results` of
+// the counted tests. Returns { summary, applicants } with applicants in
+// order: ranked ones first, then those missing a counted test.
+function rankApplicants(applicants, results, config) {
+    const totalWeight = config.tests.reduce((sum, t) => sum + t.weight, 0);
+    
+    const rows = applicants.map(user => {
+        const own = results.filter(r => r.userId === user.id);
+        const tests = config.tests.map(({ testId, weight }) => {
+            const result = pickResult(own.filter(r => r.testId === testId), config.resultPolicy);
+            return {
+                testId,
+                weight,
+                resultId: result ? result.id : null,
+                percentage: result ? result.percentage || 0 : null,
+                timeSpent: result ? result.timeSpent || 0 : null,
+                submittedAt: result ? result.createdAt : null
+            };
+        });
+        const taken = tests.filter(t => t.resultId);
+        const complete = taken.length === tests.length;
+        
+        return {
+            rank: null,
+            userId: user.id,
+            firstName: user.firstName,
+            lastName: user.lastName,
+            phone: user.phone,
+            // Scores are compared as shown, so equal-looking scores are ties
+            score: complete ? round(tests.reduce((sum, t) => sum + t.percentage * t.weight, 0) / totalWeight) : null,
+            timeSpent: taken.reduce((sum, t) => sum + t.timeSpent, 0),
+            submittedAt: taken.length ? taken.map(t => t.submittedAt).sort().pop() : null,
+            status: complete ? null : 'incomplete',
+            tests
+        };
+    });
+    
+    const ranked = rows.filter(row => row.status !== 'incomplete').sort(compareApplicants);
+    const incomplete = rows.filter(row => row.status === 'incomplete')
+        .sort((a, b) => `${a.lastName} ${a.firstName}`.localeCompare(`${b.lastName} ${b.firstName}`));
+    
+    let admitted = 0;
+    ranked.forEach((row, i) => {
+        row.rank = i + 1;
+        if (row.score < config.minScore) {
+            row.status = 'below_minimum';
+        } else if (admitted < config.quota) {
+            row.status = 'admitted';
+            admitted++;
+        } else {
+            row.status = 'waitlisted';
+        }
+    });
+    
+    const all = [...ranked, ...incomplete];
+    const summary = { quota: config.quota, applicants: all.length };
+    ADMISSION_STATUSES.forEach(status => {
+        summary[status] = all.filter(row => row.status === status).length;
+    });
+    
+    return { summary, applicants: all };
+}
+
+module.exports = { rankApplicants, normalizeAdmissionConfig, RESULT_POLICIES, ADMISSION_STATUSES };
@@ -0,0 +1,55 @@
+const { stringifyCsv } = require('./csv');
+const { escapeHtml, renderPrintablePage } = require('./html');
+const { formatDuration, formatDate } = require('./results');
+
+// Admission lists. Rows are ranked applicants from admission.js; `tests`
+// are the counted tests with their titles, in config order.
+
+const STATUS_LABELS = {
+    admitted: 'Qabul qilindi',
+    waitlisted: 'Zaxira ro\'yxati',
+    below_minimum: 'Minimal balldan past',
+    incomplete: 'Testlar to\'liq topshirilmagan'
+};
+
+function buildTable(rows, tests) {
+    const header = [
+        'O\'rin', 'F.I.Sh.', 'Telefon',
+        ...tests.map(t => `${t.title} (x${t.weight})`),
+        'Umumiy ball', 'Sarflangan vaqt', 'Topshirilgan vaqt', 'Holat'
+    ];
+    const lines = rows.map(row => [
+        row.rank === null ? '' : row.rank,
+        `${row.lastName} ${row.firstName}`,
+        row.phone || '',
+        ...row.tests.map(t => t.percentage === null ? '' : t.percentage),
+        row.score === null ? '' : row.score,
+        formatDuration(row.timeSpent),
+        formatDate(row.submittedAt),
+        STATUS_LABELS[row.status] || row.status
+    ]);
+    return { header, lines };
+}
+
+function toAdmissionCsv(rows, tests) {
+    const { header, lines } = buildTable(rows, tests);
+    return stringifyCsv([header, ...lines], { bom: true });
+}
+
+function toAdmissionHtml(rows, tests, { title, subtitle = '' } = {}) {
+    const { header, lines } = buildTable(rows, tests);
+    const body = lines.map(cells => `<tr>${cells.map(cell =>
+        `<td${typeof cell === 'number' ? ' class="num"' : ''}>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('\n');
+    
+    const content = `<h1>${escapeHtml(title)}</h1>
+<div class="meta">${escapeHtml(subtitle)} · Jami: ${rows.length} · Tuzilgan: ${escapeHtml(formatDate(new Date().toISOString()))}</div>
+<button class="no-print" onclick="window.print()">Chop etish</button>
+<table>
+<tr>${header.map(name => `<th>${escapeHtml(name)}</th>`).join('')}</tr>
+${body}
+</table>`;
+    
+    return renderPrintablePage(title, content, { landscape: true });
+}
+
+module.exports = { toAdmissionCsv, toAdmissionHtml, STATUS_LABELS };
@@ -0,0 +1,102 @@
+// Aiken format: single-choice questions only
+//
+//   Savol matni?
+//   A. Birinchi variant
+//   B. Ikkinchi variant
+//   ANSWER: B
+//
+// Questions are separated by blank lines.
+
+const OPTION_PATTERN = /^([A-Z])[.)]\s*(.+)$/;
+const ANSWER_PATTERN = /^ANSWER:\s*([A-Z])\s*$/i;
+
+function parseAiken(text) {
+    const lines = text.replace(/^﻿/, '').split(/\r?\n/);
+    const questions = [];
+    const errors = [];
+    let current = null;
+    
+    const finish = () => {
+        if (!current) return;
+        if (current.correct === undefined) {
+            errors.push({ line: current.line, message: 'ANSWER qatori topilmadi' });
+        } else if (current.options.length < 2) {
+            errors.push({ line: current.line, message: 'kamida 2 ta variant kerak' });
+        } else {
+            questions.push({
+                type: 'single',
+                question: current.question,
+                options: current.options,
+                correct: current.correct,
+                line: current.line
+            });
+        }
+        current = null;
+    };
+    
+    lines.forEach((raw, index) => {
+        const lineNumber = index + 1;
+        const line = raw.trim();
+        
+        if (!line) {
+            return;
+        }
+        
+        if (!current) {
+            current = { line: lineNumber, question: line, options: [], letters: [] };
+            return;
+        }
+        
+        const answer = line.match(ANSWER_PATTERN);
+        if (answer) {
+            const index = current.letters.indexOf(answer[1].toUpperCase());
+            if (index === -1) {
+                errors.push({ line: lineNumber, message: `javob ${answer[1]} variantlar orasida yo'q` });
+                current = null;
+                return;
+            }
+            current.correct = index;
+            finish();
+            return;
+        }
+        
+        const option = line.match(OPTION_PATTERN);
+        if (option) {
+            current.letters.push(option[1]);
+            current.options.push(option[2].trim());
+        } else if (!current.options.length) {
+            // Multi-line question text
+            current.question += '\n' + line;
+        } else {
+            errors.push({ line: lineNumber, message: 'variant yoki ANSWER qatori kutilgan edi' });
+        }
+    });
+    
+    finish();
+    
+    return { questions, errors };
+}
+
+// Questions to Aiken text. Only single-choice questions can be expressed;
+// the rest are returned in `skipped`.
+function toAiken(questions) {
+    const blocks = [];
+    const skipped = [];
+    
+    questions.forEach(question => {
+        if ((question.type || 'single') !== 'single' || question.options.length > 26) {
+            skipped.push(question.id);
+            return;
+        }
+        const letter = i => String.fromCharCode(65 + i);
+        blocks.push([
+            question.question,
+            ...question.options.map((option, i) => `${letter(i)}. ${option}`),
+            `ANSWER: ${letter(question.correct)}`
+        ].join('\n'));
+    });
+    
+    return { text: blocks.join('\n\n') + '\n', skipped };
+}
+
+module.exports = { parseAiken, toAiken };
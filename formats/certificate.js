@@ -0,0 +1,101 @@
+const { escapeHtml, renderPrintablePage } = require('./html');
+const { formatDate } = require('./results');
+const { renderTextPdf } = require('./pdf');
+
+// Completion certificates. A certificate holds a snapshot of the result it
+// was issued for (studentName, directionName, testTitle, score, maxScore,
+// percentage, grade, issuedAt) and its number; `verifyUrl` is where a third
+// party can check it.
+
+function formatScore(certificate) {
+    const grade = certificate.grade ? ` · Baho: ${certificate.grade}` : '';
+    return `Natija: ${certificate.score}/${certificate.maxScore} (${certificate.percentage}%)${grade}`;
+}
+
+function toCertificatePdf(certificate, verifyUrl) {
+    return renderTextPdf([
+        { text: 'SERTIFIKAT', size: 34, bold: true, gap: 40 },
+        { text: 'Ushbu sertifikat', size: 14, gap: 36 },
+        { text: certificate.studentName, size: 26, bold: true, gap: 18 },
+        { text: `${certificate.directionName} yo'nalishi bo'yicha`, size: 14, gap: 22 },
+        { text: `"${certificate.testTitle}" testini muvaffaqiyatli topshirganini tasdiqlaydi`, size: 14, gap: 8 },
+        { text: formatScore(certificate), size: 16, bold: true, gap: 28 },
+        { text: `Berilgan sana: ${formatDate(certificate.issuedAt)}`, size: 12, gap: 40 },
+        { text: `Sertifikat raqami: ${certificate.number}`, size: 12, bold: true, gap: 8 },
+        { text: `Tekshirish: ${verifyUrl}`, size: 10, gap: 8 }
+    ], { landscape: true, title: `Sertifikat ${certificate.number}` });
+}
+
+function toCertificateHtml(certificate, verifyUrl) {
+    return `<!DOCTYPE html>
+<html lang="uz">
+<head>
+<meta charset="utf-8">
+<title>Sertifikat ${escapeHtml(certificate.number)}</title>
+<style>
+    @page { size: A4 landscape; margin: 10mm; }
+    body { font-family: Arial, Helvetica, sans-serif; color: #111; margin: 0; }
+    .certificate { border: 3px double #345; padding: 40px; text-align: center; min-height: 150mm; box-sizing: border-box; }
+    h1 { font-size: 40px; letter-spacing: 6px; margin: 10px 0 30px; color: #345; }
+    .name { font-size: 30px; font-weight: bold; margin: 16px 0; }
+    .line { font-size: 16px; margin: 8px 0; }
+    .score { font-size: 18px; font-weight: bold; margin: 20px 0; }
+    .footer { margin-top: 40px; font-size: 13px; color: #444; }
+    @media print { .no-print { display: none; } }
+</style>
+</head>
+<body>
+<button class="no-print" onclick="window.print()">Chop etish</button>
+<div class="certificate">
+<h1>SERTIFIKAT</h1>
+<div class="line">Ushbu sertifikat</div>
+<div class="name">${escapeHtml(certificate.studentName)}</div>
+<div class="line">${escapeHtml(certificate.directionName)} yo'nalishi bo'yicha</div>
+<div class="line">"${escapeHtml(certificate.testTitle)}" testini muvaffaqiyatli topshirganini tasdiqlaydi</div>
+<div class="score">${escapeHtml(formatScore(certificate))}</div>
+<div class="footer">
+<div>Berilgan sana: ${escapeHtml(formatDate(certificate.issuedAt))}</div>
+<div>Sertifikat raqami: <b>${escapeHtml(certificate.number)}</b></div>
+<div>Tekshirish: <a href="${escapeHtml(verifyUrl)}">${escapeHtml(verifyUrl)}</a></div>
+</div>
+</div>
+</body>
+</html>
+`;
+}
+
+// Public verification page; null when no certificate has the number
+function toVerificationHtml(certificate, number) {
+    if (!certificate) {
+        return renderPrintablePage('Sertifikatni tekshirish',
+            `<h1>Sertifikat topilmadi</h1>\n<div class="meta">${escapeHtml(number)} raqamli sertifikat mavjud emas</div>`);
+    }
+    const revoked = Boolean(certificate.revokedAt);
+    return `<!DOCTYPE html>
+<html lang="uz">
+<head>
+<meta charset="utf-8">
+<title>Sertifikatni tekshirish</title>
+<style>
+    body { font-family: Arial, Helvetica, sans-serif; color: #111; max-width: 640px; margin: 40px auto; }
+    .status { font-size: 22px; font-weight: bold; color: ${revoked ? '#b00' : '#070'}; }
+    td { padding: 4px 12px 4px 0; vertical-align: top; }
+</style>
+</head>
+<body>
+<div class="status">${revoked ? 'Sertifikat bekor qilingan' : 'Sertifikat haqiqiy'}</div>
+<table>
+<tr><td>Raqami</td><td>${escapeHtml(certificate.number)}</td></tr>
+<tr><td>F.I.Sh.</td><td>${escapeHtml(certificate.studentName)}</td></tr>
+<tr><td>Yo'nalish</td><td>${escapeHtml(certificate.directionName)}</td></tr>
+<tr><td>Test</td><td>${escapeHtml(certificate.testTitle)}</td></tr>
+<tr><td>Natija</td><td>${escapeHtml(formatScore(certificate))}</td></tr>
+<tr><td>Berilgan sana</td><td>${escapeHtml(formatDate(certificate.issuedAt))}</td></tr>
+${revoked ? `<tr><td>Bekor qilingan</td><td>${escapeHtml(formatDate(certificate.revokedAt))}${certificate.revokeReason ? ` — ${escapeHtml(certificate.revokeReason)}` : ''}</td></tr>` : ''}
+</table>
+</body>
+</html>
+`;
+}
+
+module.exports = { toCertificatePdf, toCertificateHtml, toVerificationHtml };
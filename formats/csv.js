@@ -0,0 +1,106 @@
+// RFC 4180 CSV reading and writing
+
+// Parse CSV text into rows of cells. Each row keeps the line number it
+// started on, for error messages. Accepts , or ; as the delimiter (Excel in
+// many locales saves with ;), detected from the first line.
+function parseCsv(text) {
+    const source = text.replace(/^﻿/, '');
+    const firstLine = source.split(/\r?\n/, 1)[0];
+    const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+    
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+    let line = 1;
+    let rowLine = 1;
+    
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        
+        if (inQuotes) {
+            if (char === '"' && source[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                if (char === '\n') line++;
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push({ line: rowLine, cells: row });
+            row = [];
+            cell = '';
+            line++;
+            rowLine = line;
+        } else {
+            cell += char;
+        }
+    }
+    
+    if (cell !== '' || row.length) {
+        row.push(cell);
+        rows.push({ line: rowLine, cells: row });
+    }
+    
+    // Drop empty lines
+    return rows.filter(r => r.cells.some(c => c.trim() !== ''));
+}
+
+// Text cells starting with these are run as formulas by spreadsheets
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+// Phone numbers and plain numbers start like formulas but can't run anything
+const NUMBER_LIKE = /^[+-]?\d[\d\s-]*([.,]\d+)?$/;
+
+function isFormulaLike(text) {
+    return FORMULA_PREFIX.test(text) && !NUMBER_LIKE.test(text);
+}
+
+// Undo the ' that stringifyCsv puts before formula-like text
+function unescapeFormula(value) {
+    return value[0] === '\'' && isFormulaLike(value.slice(1)) ? value.slice(1) : value;
+}
+
+// Parse CSV with a header row into objects keyed by lower-cased header
+function parseCsvRecords(text) {
+    const rows = parseCsv(text);
+    if (!rows.length) {
+        return { headers: [], records: [] };
+    }
+    const headers = rows[0].cells.map(h => h.trim().toLowerCase());
+    const records = rows.slice(1).map(row => {
+        const values = {};
+        headers.forEach((header, i) => {
+            values[header] = unescapeFormula((row.cells[i] || '').trim());
+        });
+        return { line: row.line, values };
+    });
+    return { headers, records };
+}
+
+// Text that looks like a formula gets a leading ' so a spreadsheet shows it
+// as text instead of running it. Numbers are written as they are.
+function escapeCell(value) {
+    let text = value === undefined || value === null ? '' : String(value);
+    if (typeof value === 'string' && isFormulaLike(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n;]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Rows (arrays of cells) to CSV text. With `bom`, prefixes a UTF-8 BOM so
+// Excel opens non-ASCII text correctly.
+function stringifyCsv(rows, { bom = false } = {}) {
+    const body = rows.map(row => row.map(escapeCell).join(',')).join('\r\n') + '\r\n';
+    return (bom ? '﻿' : '') + body;
+}
+
+module.exports = { parseCsv, parseCsvRecords, stringifyCsv };
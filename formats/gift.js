@@ -0,0 +1,242 @@
+// GIFT format (the subset that maps onto our question types)
+//
+//   // comment
+//   ::Sarlavha:: Savol matni {=to'g'ri ~noto'g'ri ~noto'g'ri}
+//   Bir nechta javob {~%50%A ~%50%B ~%-100%C}
+//   To'g'ri yoki noto'g'ri {T}
+//   Son {#3.14:0.01}  or  {#3..4}
+//   Qisqa javob {=Toshkent =Tashkent}
+//   Moslashtirish {=olma -> apple =nok -> pear = -> plum}
+//
+// Questions are separated by blank lines. Feedback (#...) is ignored.
+// Besides \~ \= \# \{ \} \: we read \\ as a backslash, \n as a line break,
+// \% as a percent sign and -\> as an arrow that doesn't pair answers.
+
+const ESCAPES = { '~': '~', '=': '=', '#': '#', '{': '{', '}': '}', ':': ':', '\\': '\\', '%': '%', '>': '>', n: '\n' };
+const SPECIAL = Object.keys(ESCAPES);
+
+// Replace escaped special characters with placeholders while parsing
+function protect(text) {
+    return text.replace(/\\([~=#{}:\\%>n])/g, (match, char) => `\u0000${SPECIAL.indexOf(char)}\u0000`);
+}
+
+function restore(text) {
+    return text.replace(/\u0000(\d)\u0000/g, (match, index) => ESCAPES[SPECIAL[index]]).trim();
+}
+
+// Line breaks are written as \n so a blank line can't end the question, and
+// a leading %N% would otherwise be read as an answer weight
+function escapeGift(text) {
+    return String(text)
+        .replace(/([~=#{}:\\])/g, '\\$1')
+        .replace(/->/g, '-\\>')
+        .replace(/^(\s*)%/, '$1\\%')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// Split text into blocks separated by blank lines, keeping start lines
+function splitBlocks(text) {
+    const blocks = [];
+    let current = null;
+    text.replace(/^﻿/, '').split(/\r?\n/).forEach((raw, index) => {
+        const line = raw.trim();
+        if (line.startsWith('//')) {
+            return;
+        }
+        if (!line) {
+            current = null;
+            return;
+        }
+        if (!current) {
+            current = { line: index + 1, text: '' };
+            blocks.push(current);
+        }
+        current.text += (current.text ? '\n' : '') + raw;
+    });
+    return blocks;
+}
+
+// Parse the part between { and } into a question of the right type
+function parseAnswers(body) {
+    const trimmed = body.trim();
+    const withoutFeedback = value => value.replace(/#.*$/s, '');
+    
+    if (!trimmed) {
+        throw new Error('esse savollari import qilinmaydi');
+    }
+    
+    if (/^(T|TRUE|F|FALSE)$/i.test(withoutFeedback(trimmed).trim())) {
+        return { type: 'true_false', correct: /^T/i.test(trimmed) };
+    }
+    
+    if (trimmed.startsWith('#')) {
+        const value = trimmed.slice(1).split('#')[0].trim();
+        const range = value.match(/^(-?[\d.]+)\.\.(-?[\d.]+)$/);
+        if (range) {
+            const min = parseFloat(range[1]);
+            const max = parseFloat(range[2]);
+            return { type: 'numeric', correct: (min + max) / 2, tolerance: Math.abs(max - min) / 2 };
+        }
+        const [number, tolerance] = value.split(':');
+        if (isNaN(parseFloat(number)) || (tolerance !== undefined && isNaN(parseFloat(tolerance)))) {
+            throw new Error('sonli javob noto\'g\'ri yozilgan');
+        }
+        return { type: 'numeric', correct: parseFloat(number), tolerance: tolerance !== undefined ? parseFloat(tolerance) : 0 };
+    }
+    
+    const tokens = [];
+    const pattern = /([=~])([^=~]*)/g;
+    let match;
+    while ((match = pattern.exec(trimmed)) !== null) {
+        tokens.push({ marker: match[1], text: withoutFeedback(match[2]) });
+    }
+    
+    if (!tokens.length) {
+        throw new Error('javoblar = yoki ~ bilan boshlanishi kerak');
+    }
+    
+    // Matching: every answer is an = pair
+    if (tokens.every(t => t.marker === '=' && t.text.includes('->'))) {
+        const prompts = [];
+        const options = [];
+        const correct = [];
+        tokens.forEach(token => {
+            const [left, right] = token.text.split('->').map(restore);
+            if (right === undefined || !right) {
+                throw new Error('moslashtirish juftligi "chap -> o\'ng" ko\'rinishida bo\'lishi kerak');
+            }
+            let optionIndex = options.indexOf(right);
+            if (optionIndex === -1) {
+                options.push(right);
+                optionIndex = options.length - 1;
+            }
+            if (left) {
+                prompts.push(left);
+                correct.push(optionIndex);
+            }
+        });
+        return { type: 'matching', prompts, options, correct };
+    }
+    
+    // Short answer: only = answers
+    if (tokens.every(t => t.marker === '=') && !tokens.some(t => /^%-?[\d.]+%/.test(t.text.trim()))) {
+        return { type: 'text', accepted: tokens.map(t => restore(t.text)) };
+    }
+    
+    // Multiple choice, with optional %weight% on each answer
+    const options = [];
+    const correct = [];
+    tokens.forEach((token, index) => {
+        let text = token.text.trim();
+        let weight = token.marker === '=' ? 100 : 0;
+        const weightMatch = text.match(/^%(-?[\d.]+)%/);
+        if (weightMatch) {
+            weight = parseFloat(weightMatch[1]);
+            text = text.slice(weightMatch[0].length);
+        }
+        options.push(restore(text));
+        if (weight > 0) {
+            correct.push(index);
+        }
+    });
+    
+    if (!correct.length) {
+        throw new Error('to\'g\'ri javob belgilanmagan');
+    }
+    if (options.length < 2) {
+        throw new Error('kamida 2 ta variant kerak');
+    }
+    
+    return correct.length === 1
+        ? { type: 'single', options, correct: correct[0] }
+        : { type: 'multiple', options, correct };
+}
+
+function parseGift(text) {
+    const questions = [];
+    const errors = [];
+    
+    splitBlocks(text).forEach(block => {
+        try {
+            let source = protect(block.text);
+            
+            // Optional ::title::
+            const title = source.match(/^\s*::(.*?)::/s);
+            if (title) {
+                source = source.slice(title[0].length);
+            }
+            
+            const open = source.indexOf('{');
+            const close = source.lastIndexOf('}');
+            if (open === -1 || close < open) {
+                throw new Error('javoblar { } ichida bo\'lishi kerak');
+            }
+            
+            const questionText = restore(source.slice(0, open) + ' ' + source.slice(close + 1)).replace(/^\[\w+\]/, '').trim();
+            if (!questionText) {
+                throw new Error('savol matni kerak');
+            }
+            
+            const { type, ...answers } = parseAnswers(source.slice(open + 1, close));
+            questions.push({ type, question: questionText, ...answers, line: block.line });
+        } catch (error) {
+            errors.push({ line: block.line, message: error.message });
+        }
+    });
+    
+    return { questions, errors };
+}
+
+// Questions to GIFT text. Ordering questions have no GIFT equivalent and are
+// returned in `skipped`.
+function toGift(questions) {
+    const blocks = [];
+    const skipped = [];
+    
+    questions.forEach((question, index) => {
+        const type = question.type || 'single';
+        const header = `::${index + 1}:: ${escapeGift(question.question)}`;
+        let answers;
+        
+        switch (type) {
+            case 'single':
+                answers = question.options.map((option, i) => `${i === question.correct ? '=' : '~'}${escapeGift(option)}`);
+                break;
+            case 'multiple': {
+                const weight = Math.round(100000 / question.correct.length) / 1000;
+                answers = question.options.map((option, i) =>
+                    `~%${question.correct.includes(i) ? weight : -100}%${escapeGift(option)}`);
+                break;
+            }
+            case 'true_false':
+                answers = [question.correct ? 'T' : 'F'];
+                break;
+            case 'numeric':
+                answers = [`#${question.correct}:${question.tolerance || 0}`];
+                break;
+            case 'text':
+                answers = question.accepted.map(accepted => `=${escapeGift(accepted)}`);
+                break;
+            case 'matching': {
+                answers = question.prompts.map((prompt, i) =>
+                    `=${escapeGift(prompt)} -> ${escapeGift(question.options[question.correct[i]])}`);
+                // Options no prompt maps to are distractors
+                question.options.forEach((option, i) => {
+                    if (!question.correct.includes(i)) {
+                        answers.push(`= -> ${escapeGift(option)}`);
+                    }
+                });
+                break;
+            }
+            default:
+                skipped.push(question.id);
+                return;
+        }
+        
+        blocks.push(`${header} {\n${answers.map(a => '    ' + a).join('\n')}\n}`);
+    });
+    
+    return { text: blocks.join('\n\n') + '\n', skipped };
+}
+
+module.exports = { parseGift, toGift };
@@ -0,0 +1,37 @@
+function escapeHtml(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// A standalone printable page: A4, no external assets
+function renderPrintablePage(title, body, { landscape = false } = {}) {
+    return `<!DOCTYPE html>
+<html lang="uz">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+    @page { size: A4${landscape ? ' landscape' : ''}; margin: 12mm; }
+    body { font-family: Arial, Helvetica, sans-serif; font-size: 12px; color: #111; }
+    h1 { font-size: 18px; margin: 0 0 4px; }
+    .meta { color: #555; margin-bottom: 12px; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { border: 1px solid #999; padding: 4px 6px; text-align: left; vertical-align: top; }
+    th { background: #eee; }
+    td.num { text-align: right; }
+    table.answers { margin-top: 4px; font-size: 11px; }
+    @media print { .no-print { display: none; } tr { page-break-inside: avoid; } }
+</style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+module.exports = { escapeHtml, renderPrintablePage };
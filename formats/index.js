@@ -0,0 +1,15 @@
+const { parseAiken, toAiken } = require('./aiken');
+const { parseGift, toGift } = require('./gift');
+const { parseQuestionCsv, toQuestionCsv } = require('./question-csv');
+const { parseCsv, parseCsvRecords, stringifyCsv } = require('./csv');
+
+// Question import/export formats. Parsers return { questions, errors } where
+// each error is { line, message }; exporters return { text, skipped } with
+// the ids of questions the format can't express.
+const QUESTION_FORMATS = {
+    aiken: { parse: parseAiken, stringify: toAiken, extension: 'txt', contentType: 'text/plain' },
+    gift: { parse: parseGift, stringify: toGift, extension: 'gift', contentType: 'text/plain' },
+    csv: { parse: parseQuestionCsv, stringify: toQuestionCsv, extension: 'csv', contentType: 'text/csv' }
+};
+
+module.exports = { QUESTION_FORMATS, parseCsv, parseCsvRecords, stringifyCsv };
@@ -0,0 +1,99 @@
+// Minimal one-page PDF writer for documents made of centered text lines,
+// without dependencies. Only the standard Helvetica fonts are used, so text
+// is limited to WinAnsi (Latin-1); other characters are replaced.
+
+// Glyph widths (1/1000 em) of characters 32..126
+const WIDTHS = {
+    regular: [
+        278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+        556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+        1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+        667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+        333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+        556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+    ],
+    bold: [
+        278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+        556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+        975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+        667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+        333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+        611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+    ]
+};
+
+// A4 in points
+const PAGE = { width: 595.28, height: 841.89 };
+
+// Typographic quotes and the Uzbek okina/tutuq become plain ASCII marks
+function toWinAnsi(text) {
+    return String(text === undefined || text === null ? '' : text)
+        .replace(/[\u2018\u2019\u02BB\u02BC]/g, '\'')
+        .replace(/[\u201C\u201D]/g, '"')
+        .replace(/[\u2013\u2014]/g, '-')
+        .replace(/[^\x20-\x7E\xA0-\xFF]/g, '?');
+}
+
+function textWidth(text, size, bold) {
+    const widths = bold ? WIDTHS.bold : WIDTHS.regular;
+    let width = 0;
+    for (const char of text) {
+        const code = char.charCodeAt(0);
+        width += code >= 32 && code <= 126 ? widths[code - 32] : 556;
+    }
+    return (width * size) / 1000;
+}
+
+// Text as a PDF string literal; bytes above 127 as octal escapes
+function pdfString(text) {
+    return `(${text.replace(/[\\()]/g, '\\$&').replace(/[\x80-\xFF]/g, char => `\\${char.charCodeAt(0).toString(8)}`)})`;
+}
+
+// Render `lines` ({ text, size = 12, bold, gap } where gap is the space above
+// the line in points) centered on one page, with an optional border.
+// Returns a Buffer.
+function renderTextPdf(lines, { landscape = false, border = true, title = '' } = {}) {
+    const width = landscape ? PAGE.height : PAGE.width;
+    const height = landscape ? PAGE.width : PAGE.height;
+    
+    const ops = [];
+    if (border) {
+        ops.push('1.5 w 0.2 0.3 0.5 RG', `28 28 ${(width - 56).toFixed(2)} ${(height - 56).toFixed(2)} re S`);
+        ops.push('0.5 w', `36 36 ${(width - 72).toFixed(2)} ${(height - 72).toFixed(2)} re S`);
+    }
+    
+    let y = height - 60;
+    lines.forEach(({ text, size = 12, bold = false, gap = 8 }) => {
+        const value = toWinAnsi(text);
+        y -= gap + size;
+        const x = (width - textWidth(value, size, bold)) / 2;
+        ops.push(`BT /${bold ? 'F2' : 'F1'} ${size} Tf ${x.toFixed(2)} ${y.toFixed(2)} Td ${pdfString(value)} Tj ET`);
+    });
+    
+    const content = ops.join('\n');
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+        `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width.toFixed(2)} ${height.toFixed(2)}] /Resources << /Font << /F1 5 0 R /F2 6 0 R >> >> /Contents 4 0 R >>`,
+        `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`,
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+        `<< /Title ${pdfString(toWinAnsi(title))} /Producer (Test Platform) >>`
+    ];
+    
+    // Byte offsets of every object for the cross-reference table
+    let pdf = '%PDF-1.4\n';
+    const offsets = objects.map((body, i) => {
+        const offset = Buffer.byteLength(pdf, 'latin1');
+        pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+        return offset;
+    });
+    const xref = Buffer.byteLength(pdf, 'latin1');
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${objects.length} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+    
+    return Buffer.from(pdf, 'latin1');
+}
+
+module.exports = { renderTextPdf };
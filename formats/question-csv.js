@@ -0,0 +1,173 @@
+const { parseCsvRecords, stringifyCsv } = require('./csv');
+
+// Questions as a spreadsheet, one row per question:
+//
+//   type,question,A,B,C,D,answer,tolerance
+//   single,2+2?,3,4,5,,B,
+//   multiple,Tub sonlar?,2,4,5,,A;C,
+//   true_false,Yer yumaloq,,,,,true,
+//   numeric,Pi,,,,,3.14,0.01
+//   text,Poytaxt?,,,,,Toshkent;Tashkent,
+//   ordering,Tartiblang,uch,bir,ikki,,B;C;A,
+//
+// Option columns are single letters A-J, filled from A without gaps; a
+// letter always names the same column. `type` defaults to single. Multiple
+// answers are separated with ; and a literal ; in an accepted text answer is
+// written as \; (a literal backslash as \\). Matching questions don't fit a
+// single row and are not supported.
+
+const OPTION_LETTERS = 'ABCDEFGHIJ'.split('');
+
+function letterIndex(letter, optionCount) {
+    const index = OPTION_LETTERS.indexOf(letter.trim().toUpperCase());
+    if (index === -1 || index >= optionCount) {
+        throw new Error(`javob ${letter} variantlar orasida yo'q`);
+    }
+    return index;
+}
+
+// Split a ;-separated list, honouring \; and \\ escapes
+function splitList(value) {
+    const items = [];
+    let item = '';
+    for (let i = 0; i < value.length; i++) {
+        const char = value[i];
+        if (char === '\\' && (value[i + 1] === ';' || value[i + 1] === '\\')) {
+            item += value[++i];
+        } else if (char === ';') {
+            items.push(item);
+            item = '';
+        } else {
+            item += char;
+        }
+    }
+    items.push(item);
+    return items.map(entry => entry.trim()).filter(Boolean);
+}
+
+function escapeListItem(value) {
+    return String(value).replace(/[\\;]/g, '\\$&');
+}
+
+// Option cells by column position. Trailing columns may be blank, but a
+// blank column before a filled one would shift the letters after it.
+function readOptions(values) {
+    const cells = OPTION_LETTERS.map(letter => values[letter.toLowerCase()] || '');
+    const count = cells.reduce((last, cell, i) => (cell ? i + 1 : last), 0);
+    const gap = cells.slice(0, count).findIndex(cell => !cell);
+    if (gap !== -1) {
+        throw new Error(`${OPTION_LETTERS[gap]} variant bo'sh, lekin undan keyingi variantlar to'ldirilgan`);
+    }
+    return cells.slice(0, count);
+}
+
+function parseRecord(values) {
+    const type = (values.type || 'single').toLowerCase();
+    const question = values.question;
+    const answer = values.answer || '';
+    const options = readOptions(values);
+    
+    if (!question) {
+        throw new Error('savol matni kerak');
+    }
+    if (!answer) {
+        throw new Error('javob ustuni bo\'sh');
+    }
+    
+    switch (type) {
+        case 'single':
+            return { type, question, options, correct: letterIndex(answer, options.length) };
+        case 'multiple':
+        case 'ordering':
+            return { type, question, options, correct: splitList(answer).map(letter => letterIndex(letter, options.length)) };
+        case 'true_false':
+            if (!/^(true|false|t|f|ha|yo'q)$/i.test(answer)) {
+                throw new Error('javob true yoki false bo\'lishi kerak');
+            }
+            return { type, question, correct: /^(true|t|ha)$/i.test(answer) };
+        case 'numeric': {
+            const correct = parseFloat(answer.replace(',', '.'));
+            const tolerance = values.tolerance ? parseFloat(values.tolerance.replace(',', '.')) : 0;
+            if (isNaN(correct) || isNaN(tolerance)) {
+                throw new Error('sonli javob noto\'g\'ri yozilgan');
+            }
+            return { type, question, correct, tolerance };
+        }
+        case 'text':
+            return { type, question, accepted: splitList(answer) };
+        default:
+            throw new Error(`"${type}" turi CSV orqali qo'llab-quvvatlanmaydi`);
+    }
+}
+
+function parseQuestionCsv(text) {
+    const { headers, records } = parseCsvRecords(text);
+    const questions = [];
+    const errors = [];
+    
+    if (!headers.includes('question') || !headers.includes('answer')) {
+        return { questions, errors: [{ line: 1, message: 'sarlavhada "question" va "answer" ustunlari bo\'lishi kerak' }] };
+    }
+    
+    records.forEach(record => {
+        try {
+            questions.push({ ...parseRecord(record.values), line: record.line });
+        } catch (error) {
+            errors.push({ line: record.line, message: error.message });
+        }
+    });
+    
+    return { questions, errors };
+}
+
+function toQuestionCsv(questions) {
+    const skipped = [];
+    const optionCount = Math.max(4, ...questions.map(q => (q.options || []).length));
+    const letters = OPTION_LETTERS.slice(0, Math.min(optionCount, OPTION_LETTERS.length));
+    const rows = [['type', 'question', ...letters, 'answer', 'tolerance']];
+    
+    questions.forEach(question => {
+        const type = question.type || 'single';
+        const options = question.options || [];
+        let answer;
+        
+        switch (type) {
+            case 'single':
+                answer = OPTION_LETTERS[question.correct];
+                break;
+            case 'multiple':
+            case 'ordering':
+                answer = question.correct.map(i => OPTION_LETTERS[i]).join(';');
+                break;
+            case 'true_false':
+                answer = String(question.correct);
+                break;
+            case 'numeric':
+                answer = String(question.correct);
+                break;
+            case 'text':
+                answer = question.accepted.map(escapeListItem).join(';');
+                break;
+            default:
+                skipped.push(question.id);
+                return;
+        }
+        
+        if (options.length > letters.length) {
+            skipped.push(question.id);
+            return;
+        }
+        
+        rows.push([
+            type,
+            question.question,
+            ...letters.map((letter, i) => options[i] || ''),
+            answer,
+            type === 'numeric' ? String(question.tolerance || 0) : ''
+        ]);
+    });
+    
+    return { text: stringifyCsv(rows, { bom: true }), skipped };
+}
+
+module.exports = { parseQuestionCsv, toQuestionCsv };
@@ -0,0 +1,110 @@
+const { stringifyCsv } = require('./csv');
+const { escapeHtml, renderPrintablePage } = require('./html');
+
+// Results reports. Rows are results enriched with userName, phone,
+// directionName and testTitle.
+
+const INDEX_ANSWER_TYPES = ['single', 'multiple', 'ordering', 'matching'];
+
+function formatDuration(seconds) {
+    const total = Math.round(seconds || 0);
+    const minutes = Math.floor(total / 60);
+    return `${minutes}:${String(total % 60).padStart(2, '0')}`;
+}
+
+function formatDate(iso) {
+    if (!iso) return '';
+    const date = new Date(iso);
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+// Answer as readers expect it: option letters for choice questions
+function formatAnswer(type, value) {
+    if (value === undefined || value === null || value === '') {
+        return '';
+    }
+    const letter = i => (Number.isInteger(i) && i >= 0) ? String.fromCharCode(65 + i) : '?';
+    if (INDEX_ANSWER_TYPES.includes(type || 'single')) {
+        return Array.isArray(value) ? value.map(letter).join(', ') : letter(value);
+    }
+    if (typeof value === 'boolean') {
+        return value ? 'To\'g\'ri' : 'Noto\'g\'ri';
+    }
+    return Array.isArray(value) ? value.join(' / ') : String(value);
+}
+
+const COLUMNS = [
+    ['F.I.Sh.', r => r.userName],
+    ['Telefon', r => r.phone],
+    ['Yo\'nalish', r => r.directionName],
+    ['Test', r => r.testTitle],
+    ['Ball', r => r.score],
+    ['Savollar', r => r.totalQuestions],
+    ['Foiz', r => r.percentage],
+    ['Baho', r => r.grade === null || r.grade === undefined ? '' : r.grade],
+    ['Natija', r => r.passed === true ? 'O\'tdi' : r.passed === false ? 'O\'tmadi' : ''],
+    ['Sarflangan vaqt', r => formatDuration(r.timeSpent)],
+    ['Topshirilgan vaqt', r => formatDate(r.createdAt)]
+];
+
+function toResultsCsv(rows, { includeAnswers = false } = {}) {
+    const header = COLUMNS.map(([title]) => title);
+    const maxQuestions = includeAnswers ? Math.max(0, ...rows.map(r => (r.questionResults || []).length)) : 0;
+    
+    for (let i = 1; i <= maxQuestions; i++) {
+        header.push(`${i}-savol javobi`, `${i}-savol bali`);
+    }
+    
+    const lines = rows.map(row => {
+        const cells = COLUMNS.map(([, value]) => value(row));
+        if (includeAnswers) {
+            for (let i = 0; i < maxQuestions; i++) {
+                const questionResult = (row.questionResults || [])[i];
+                cells.push(
+                    questionResult ? formatAnswer(questionResult.type, questionResult.userAnswer) : '',
+                    questionResult ? questionResult.points : ''
+                );
+            }
+        }
+        return cells;
+    });
+    
+    return stringifyCsv([header, ...lines], { bom: true });
+}
+
+function renderAnswers(row) {
+    const items = (row.questionResults || []).map((questionResult, i) => `<tr>
+        <td class="num">${i + 1}</td>
+        <td>${escapeHtml(formatAnswer(questionResult.type, questionResult.userAnswer))}</td>
+        <td>${escapeHtml(formatAnswer(questionResult.type, questionResult.correctAnswer))}</td>
+        <td class="num">${escapeHtml(questionResult.points)}</td>
+    </tr>`).join('');
+    return `<table class="answers"><tr><th>#</th><th>Javob</th><th>To'g'ri javob</th><th>Ball</th></tr>${items}</table>`;
+}
+
+function toResultsHtml(rows, { title, subtitle = '', includeAnswers = false } = {}) {
+    const header = ['#', ...COLUMNS.map(([name]) => name)].map(name => `<th>${escapeHtml(name)}</th>`).join('');
+    const body = rows.map((row, i) => {
+        const cells = COLUMNS.map(([, value]) => {
+            const cell = value(row);
+            return `<td${typeof cell === 'number' ? ' class="num"' : ''}>${escapeHtml(cell)}</td>`;
+        }).join('');
+        const answers = includeAnswers
+            ? `<tr><td></td><td colspan="${COLUMNS.length}">${renderAnswers(row)}</td></tr>`
+            : '';
+        return `<tr><td class="num">${i + 1}</td>${cells}</tr>${answers}`;
+    }).join('\n');
+    
+    const content = `<h1>${escapeHtml(title)}</h1>
+<div class="meta">${escapeHtml(subtitle)} · Jami: ${rows.length} · Tuzilgan: ${escapeHtml(formatDate(new Date().toISOString()))}</div>
+<button class="no-print" onclick="window.print()">Chop etish</button>
+<table>
+<tr>${header}</tr>
+${body}
+</table>`;
+    
+    return renderPrintablePage(title, content, { landscape: true });
+}
+
+module.exports = { toResultsCsv, toResultsHtml, formatAnswer, formatDuration, formatDate };
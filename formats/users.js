@@ -0,0 +1,69 @@
+const { parseCsvRecords } = require('./csv');
+
+// Student accounts as a spreadsheet, one row per student:
+//
+//   firstName,lastName,direction,phone,telegram,login,password
+//   Ali,Valiyev,Dasturlash,+998901234567,@ali_v,,
+//
+// Uzbek headers work too (ism, familiya, yo'nalish, telefon, parol).
+// direction is a direction name or id; telegram, login and password may be
+// left empty (login and password are then generated).
+
+const COLUMN_ALIASES = {
+    firstname: 'firstName',
+    'first name': 'firstName',
+    ism: 'firstName',
+    lastname: 'lastName',
+    'last name': 'lastName',
+    familiya: 'lastName',
+    direction: 'direction',
+    "yo'nalish": 'direction',
+    yonalish: 'direction',
+    phone: 'phone',
+    telefon: 'phone',
+    telegram: 'telegram',
+    login: 'login',
+    password: 'password',
+    parol: 'password'
+};
+
+const REQUIRED_COLUMNS = ['firstName', 'lastName', 'direction', 'phone'];
+
+// Parse the file into { users, errors }. Users carry the line they came
+// from; only the file's shape is checked here.
+function parseUserCsv(text) {
+    const { headers, records } = parseCsvRecords(text);
+    
+    if (!headers.length) {
+        return { users: [], errors: [{ line: 1, message: 'Fayl bo\'sh' }] };
+    }
+    
+    const columns = headers.map(header => COLUMN_ALIASES[header]);
+    const missing = REQUIRED_COLUMNS.filter(column => !columns.includes(column));
+    if (missing.length) {
+        return { users: [], errors: [{ line: 1, message: `Ustunlar yetishmaydi: ${missing.join(', ')}` }] };
+    }
+    
+    const users = [];
+    const errors = [];
+    
+    records.forEach(({ line, values }) => {
+        const user = { line };
+        headers.forEach((header, i) => {
+            if (columns[i] && values[header]) {
+                user[columns[i]] = values[header];
+            }
+        });
+        
+        const empty = REQUIRED_COLUMNS.filter(column => !user[column]);
+        if (empty.length) {
+            errors.push({ line, message: `Bo'sh maydonlar: ${empty.join(', ')}` });
+        } else {
+            users.push(user);
+        }
+    });
+    
+    return { users, errors };
+}
+
+module.exports = { parseUserCsv };
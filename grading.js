@@ -0,0 +1,81 @@
+// Pass marks and grading scales. A test may set a pass mark (minimum
+// percentage) and a grading scale: bands of { min, grade, label } checked
+// from the highest min down. A preset can be named instead of listing bands.
+
+const GRADING_SCALES = {
+    // 5-point scale used in Uzbek higher education
+    uz5: [
+        { min: 86, grade: '5', label: 'A\'lo' },
+        { min: 71, grade: '4', label: 'Yaxshi' },
+        { min: 55, grade: '3', label: 'Qoniqarli' },
+        { min: 0, grade: '2', label: 'Qoniqarsiz' }
+    ],
+    letter: [
+        { min: 90, grade: 'A' },
+        { min: 80, grade: 'B' },
+        { min: 70, grade: 'C' },
+        { min: 60, grade: 'D' },
+        { min: 0, grade: 'F' }
+    ]
+};
+
+function isPercentage(value) {
+    return typeof value === 'number' && value >= 0 && value <= 100;
+}
+
+// Check passMark and gradingScale from the request body. Missing or null
+// values clear them. Returns { settings } or { error }.
+function normalizeGradingSettings(body) {
+    const settings = { passMark: undefined, gradingScale: undefined };
+    
+    if (body.passMark !== undefined && body.passMark !== null && body.passMark !== '') {
+        const passMark = Number(body.passMark);
+        if (!isPercentage(passMark)) {
+            return { error: 'O\'tish bali 0 dan 100 gacha bo\'lishi kerak' };
+        }
+        settings.passMark = passMark;
+    }
+    
+    const scale = body.gradingScale;
+    if (typeof scale === 'string') {
+        if (!GRADING_SCALES[scale]) {
+            return { error: `Baholash shkalasi quyidagilardan biri bo'lishi kerak: ${Object.keys(GRADING_SCALES).join(', ')}` };
+        }
+        settings.gradingScale = GRADING_SCALES[scale];
+    } else if (scale !== undefined && scale !== null) {
+        if (!Array.isArray(scale) || !scale.length ||
+            !scale.every(band => band && isPercentage(band.min) && typeof band.grade === 'string' && band.grade.trim() &&
+                (band.label === undefined || typeof band.label === 'string'))) {
+            return { error: 'Baholash shkalasi { min, grade, label } ko\'rinishidagi oraliqlar ro\'yxati bo\'lishi kerak' };
+        }
+        if (new Set(scale.map(band => band.min)).size !== scale.length || !scale.some(band => band.min === 0)) {
+            return { error: 'Shkala oraliqlari 0 dan boshlanishi va takrorlanmasligi kerak' };
+        }
+        settings.gradingScale = [...scale]
+            .sort((a, b) => b.min - a.min)
+            .map(band => ({ min: band.min, grade: band.grade.trim(), label: band.label }));
+    }
+    
+    return { settings };
+}
+
+// Band of the scale a percentage falls into
+function findGradeBand(percentage, scale) {
+    return scale.find(band => percentage >= band.min) || scale[scale.length - 1];
+}
+
+// Grade and pass/fail of a percentage under a test's settings. Values the
+// test doesn't define are null.
+function getOutcome(percentage, { passMark, gradingScale } = {}) {
+    if (percentage === null || percentage === undefined) {
+        return { grade: null, gradeLabel: null, passed: null };
+    }
+    const band = gradingScale ? findGradeBand(percentage, gradingScale) : null;
+    return {
+        grade: band ? band.grade : null,
+        gradeLabel: band ? band.label || null : null,
+        passed: typeof passMark === 'number' ? percentage >= passMark : null
+    };
+}
+
+module.exports = { GRADING_SCALES, normalizeGradingSettings, getOutcome };
@@ -0,0 +1,10 @@
+// Record ids: time-based strings like the Date.now() ids the data has
+// always used, but unique when many are made at once
+let lastIdTime = 0;
+
+function newId() {
+    lastIdTime = Math.max(Date.now(), lastIdTime + 1);
+    return lastIdTime.toString();
+}
+
+module.exports = { newId };
@@ -0,0 +1,229 @@
+// Item analysis of a test's results: score distribution, per-question
+// difficulty (p-value), discrimination, distractor choices and KR-20
+// reliability.
+
+// Share of top and bottom scorers compared by the discrimination index
+const GROUP_SHARE = 0.27;
+
+// p-values outside these bounds are flagged as too hard / too easy
+const TOO_HARD_P = 0.2;
+const TOO_EASY_P = 0.9;
+
+const CHOICE_TYPES = ['single', 'multiple', 'true_false'];
+
+function round(value, digits = 3) {
+    if (value === null || value === undefined || isNaN(value)) {
+        return null;
+    }
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+function mean(values) {
+    return values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+}
+
+function median(values) {
+    if (!values.length) {
+        return null;
+    }
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Population variance (as used by KR-20); `sample` divides by n - 1
+function variance(values, sample = false) {
+    const n = values.length;
+    if (n < (sample ? 2 : 1)) {
+        return null;
+    }
+    const m = mean(values);
+    return values.reduce((sum, v) => sum + (v - m) ** 2, 0) / (sample ? n - 1 : n);
+}
+
+// Score (0..1) of one questionResults item; negative marking counts as 0.
+// Results stored before partial credit only have isCorrect.
+function itemScore(item) {
+    if (item.points !== undefined) {
+        return item.maxPoints ? Math.max(item.points, 0) / item.maxPoints : 0;
+    }
+    return item.isCorrect ? 1 : 0;
+}
+
+function isSkipped(answer) {
+    return answer === null || answer === undefined || answer === '' || (Array.isArray(answer) && !answer.length);
+}
+
+// Percentages in `bins` equal-width bins from 0 to 100
+function buildHistogram(percentages, bins) {
+    const width = 100 / bins;
+    const histogram = Array.from({ length: bins }, (_, i) => ({
+        from: round(i * width, 2),
+        to: round((i + 1) * width, 2),
+        count: 0
+    }));
+    percentages.forEach(p => {
+        const index = Math.min(Math.floor(p / width), bins - 1);
+        histogram[Math.max(index, 0)].count++;
+    });
+    return histogram;
+}
+
+// How often each option was chosen, overall and in the upper/lower groups.
+// Single and true/false answers pick one option, multiple-select answers
+// any number of them.
+function analyzeOptions(question, responses, upper, lower) {
+    const options = question.type === 'true_false'
+        ? [{ value: true, text: (question.options || [])[0] || 'To\'g\'ri' }, { value: false, text: (question.options || [])[1] || 'Noto\'g\'ri' }]
+        : (question.options || []).map((text, index) => ({ value: index, text }));
+    const correct = Array.isArray(question.correct) ? question.correct : [question.correct];
+    
+    const chose = (response, value) => Array.isArray(response.answer)
+        ? response.answer.includes(value)
+        : response.answer === value;
+    const countIn = (group, value) => group.filter(r => chose(r, value)).length;
+    
+    return options.map(option => ({
+        option: option.value,
+        text: option.text,
+        correct: correct.includes(option.value),
+        count: countIn(responses, option.value),
+        upper: countIn(upper, option.value),
+        lower: countIn(lower, option.value)
+    }));
+}
+
+// Most frequent wrong answers to numeric and text questions
+function commonWrongAnswers(responses, limit = 5) {
+    const counts = new Map();
+    responses.filter(r => r.score < 1 && !isSkipped(r.answer)).forEach(r => {
+        const key = typeof r.answer === 'string' ? r.answer.trim().toLowerCase() : JSON.stringify(r.answer);
+        counts.set(key, (counts.get(key) || 0) + 1);
+    });
+    return [...counts.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, limit)
+        .map(([answer, count]) => ({ answer, count }));
+}
+
+// KR-20 over the results that include every question. For partial-credit
+// items this is the same formula with item variances (Cronbach's alpha).
+// Null when there are too few questions or results, or totals don't vary.
+function kr20(results, questionIds) {
+    const rows = results
+        .map(result => questionIds.map(id => result.items.get(id)))
+        .filter(row => row.every(item => item !== undefined));
+    const k = questionIds.length;
+    
+    if (k < 2 || rows.length < 2) {
+        return { kr20: null, questionCount: k, resultCount: rows.length };
+    }
+    
+    const totals = rows.map(row => row.reduce((sum, score) => sum + score, 0));
+    const totalVariance = variance(totals);
+    if (!totalVariance) {
+        return { kr20: null, questionCount: k, resultCount: rows.length };
+    }
+    
+    const itemVariance = questionIds.reduce((sum, id, i) => sum + variance(rows.map(row => row[i])), 0);
+    return {
+        kr20: round((k / (k - 1)) * (1 - itemVariance / totalVariance)),
+        questionCount: k,
+        resultCount: rows.length
+    };
+}
+
+// Analyze `results` of a test. `questions` maps question id -> question
+// (with its answer key) for texts, types and options. Returns the summary,
+// histogram, reliability and per-question statistics.
+function analyzeTest(results, questions, { bins = 10 } = {}) {
+    const prepared = results.map(result => ({
+        id: result.id,
+        percentage: result.percentage || 0,
+        items: new Map((result.questionResults || []).map(item => [String(item.questionId), itemScore(item)])),
+        answers: new Map((result.questionResults || []).map(item => [String(item.questionId), item.userAnswer]))
+    }));
+    const percentages = prepared.map(r => r.percentage);
+    
+    // Upper and lower groups by total score
+    const ranked = [...prepared].sort((a, b) => b.percentage - a.percentage);
+    const groupSize = ranked.length >= 2 ? Math.max(1, Math.round(ranked.length * GROUP_SHARE)) : 0;
+    const upperIds = new Set(ranked.slice(0, groupSize).map(r => r.id));
+    const lowerIds = new Set(ranked.slice(ranked.length - groupSize).map(r => r.id));
+    
+    // Question ids in order of first appearance
+    const questionIds = [];
+    prepared.forEach(result => result.items.forEach((score, id) => {
+        if (!questionIds.includes(id)) {
+            questionIds.push(id);
+        }
+    }));
+    
+    const questionStats = questionIds.map(id => {
+        const question = questions.get(id) || {};
+        const type = question.type || 'single';
+        const responses = prepared
+            .filter(result => result.items.has(id))
+            .map(result => ({ resultId: result.id, score: result.items.get(id), answer: result.answers.get(id) }));
+        const upper = responses.filter(r => upperIds.has(r.resultId));
+        const lower = responses.filter(r => lowerIds.has(r.resultId));
+        
+        const pValue = mean(responses.map(r => r.score));
+        const discrimination = upper.length && lower.length
+            ? mean(upper.map(r => r.score)) - mean(lower.map(r => r.score))
+            : null;
+        
+        const flags = [];
+        if (discrimination !== null && discrimination < 0) {
+            flags.push('negative_discrimination');
+        }
+        if (pValue !== null && pValue < TOO_HARD_P) {
+            flags.push('too_hard');
+        }
+        if (pValue !== null && pValue > TOO_EASY_P) {
+            flags.push('too_easy');
+        }
+        
+        const stats = {
+            questionId: id,
+            question: question.question || null,
+            type,
+            responses: responses.length,
+            skipped: responses.filter(r => isSkipped(r.answer)).length,
+            pValue: round(pValue),
+            discrimination: round(discrimination),
+            flags,
+            // Items that separate students the wrong way round need review
+            needsReview: flags.includes('negative_discrimination')
+        };
+        
+        if (CHOICE_TYPES.includes(type) && question.question) {
+            stats.options = analyzeOptions({ ...question, type }, responses, upper, lower);
+        } else if (['numeric', 'text'].includes(type)) {
+            stats.commonWrongAnswers = commonWrongAnswers(responses);
+        }
+        
+        return stats;
+    });
+    
+    const sd = variance(percentages, true);
+    
+    return {
+        resultCount: prepared.length,
+        groupSize,
+        summary: {
+            mean: round(mean(percentages), 2),
+            median: round(median(percentages), 2),
+            standardDeviation: sd === null ? null : round(Math.sqrt(sd), 2),
+            min: percentages.length ? Math.min(...percentages) : null,
+            max: percentages.length ? Math.max(...percentages) : null
+        },
+        histogram: buildHistogram(percentages, bins),
+        reliability: kr20(prepared, questionIds),
+        questions: questionStats,
+        flaggedQuestions: questionStats.filter(q => q.needsReview).map(q => q.questionId)
+    };
+}
+
+module.exports = { analyzeTest, kr20, itemScore };
@@ -0,0 +1,186 @@
+// Proctoring. Clients report integrity events during an attempt; the server
+// records when each answer was first saved and the clients (IP, user agent)
+// an attempt was used from, logging a 'new_client' event for each new one.
+// Rule-based flags mark results for a person to review; a flag is a reason
+// to look, not proof of cheating.
+
+// Events clients may report
+const CLIENT_EVENT_TYPES = ['window_blur', 'tab_hidden', 'copy', 'paste', 'fullscreen_exit', 'multiple_sessions'];
+
+// Events reported in one request, and for one attempt, at most
+const MAX_EVENTS_PER_REQUEST = 50;
+const MAX_EVENTS_PER_ATTEMPT = 1000;
+
+// An answer given within this many seconds of the previous one is too fast
+const MIN_ANSWER_SECONDS = 3;
+
+// Share of timed answers that must be too fast to flag the result, out
+// of at least MIN_TIMED_ANSWERS
+const TOO_FAST_SHARE = 0.5;
+const MIN_TIMED_ANSWERS = 3;
+
+// Integrity events tolerated before the result is flagged
+const MAX_INTEGRITY_EVENTS = 3;
+
+// Identical wrong answers two results must share to flag both
+const MIN_SHARED_WRONG = 3;
+
+const FLAG_MESSAGES = {
+    too_fast: 'Javoblar juda tez berilgan',
+    integrity_events: 'Test davomida oynadan chiqish yoki nusxalash holatlari',
+    multiple_sessions: 'Urinish bir nechta qurilma yoki IP manzildan ishlatilgan',
+    identical_wrong_answers: 'Boshqa talaba bilan bir xil noto\'g\'ri javoblar'
+};
+
+// Check events from the request body. Returns { events } or { error }.
+function normalizeClientEvents(input, now = new Date()) {
+    if (!Array.isArray(input) || !input.length) {
+        return { error: 'Hodisalar ro\'yxati kerak' };
+    }
+    if (input.length > MAX_EVENTS_PER_REQUEST) {
+        return { error: `Bir so'rovda ko'pi bilan ${MAX_EVENTS_PER_REQUEST} ta hodisa yuborish mumkin` };
+    }
+    
+    const events = [];
+    for (const item of input) {
+        const type = item && item.type;
+        if (!CLIENT_EVENT_TYPES.includes(type)) {
+            return { error: `Hodisa turi quyidagilardan biri bo'lishi kerak: ${CLIENT_EVENT_TYPES.join(', ')}` };
+        }
+        
+        const occurredAt = item.at ? new Date(item.at) : now;
+        if (isNaN(occurredAt)) {
+            return { error: 'Hodisa vaqti noto\'g\'ri' };
+        }
+        
+        const questionIndex = item.questionIndex === undefined || item.questionIndex === null ? undefined : Number(item.questionIndex);
+        if (questionIndex !== undefined && (!Number.isInteger(questionIndex) || questionIndex < 0)) {
+            return { error: 'Savol raqami noto\'g\'ri' };
+        }
+        
+        events.push({
+            type,
+            occurredAt: occurredAt.toISOString(),
+            questionIndex,
+            details: item.details === undefined ? undefined : String(item.details).slice(0, 500)
+        });
+    }
+    
+    return { events };
+}
+
+// Seconds each question took: from the previous answer (or the start) to
+// its first save, in the order they were answered. Questions answered only
+// in the final submission have no timing, and neither have answers saved
+// together in one batch, as they all share the batch's time.
+function getQuestionTimings(result) {
+    const timed = (result.questionResults || [])
+        .filter(item => typeof item.answeredAfter === 'number')
+        .sort((a, b) => a.answeredAfter - b.answeredAfter);
+    const saves = new Map();
+    timed.forEach(item => saves.set(item.answeredAfter, (saves.get(item.answeredAfter) || 0) + 1));
+    
+    return timed
+        .map((item, i) => ({
+            questionId: item.questionId,
+            answeredAfter: item.answeredAfter,
+            seconds: item.answeredAfter - (i ? timed[i - 1].answeredAfter : 0)
+        }))
+        .filter(timing => saves.get(timing.answeredAfter) === 1);
+}
+
+function isWrongAnswer(item) {
+    const answer = item.userAnswer;
+    const skipped = answer === null || answer === undefined || answer === '' || (Array.isArray(answer) && !answer.length);
+    return !skipped && item.type !== 'essay' && typeof item.points === 'number' && item.points < item.maxPoints;
+}
+
+// Wrong answers of a result as question id -> answer text
+function wrongAnswers(result) {
+    return new Map((result.questionResults || [])
+        .filter(isWrongAnswer)
+        .map(item => [String(item.questionId), JSON.stringify(item.userAnswer)]));
+}
+
+// Results by each wrong answer they gave, keyed by test, question and
+// answer, so shared answers are found without comparing every pair
+function indexWrongAnswers(results) {
+    const index = new Map();
+    results.forEach(result => {
+        wrongAnswers(result).forEach((answer, questionId) => {
+            const key = JSON.stringify([result.testId, questionId, answer]);
+            if (!index.has(key)) {
+                index.set(key, []);
+            }
+            index.get(key).push(result);
+        });
+    });
+    return index;
+}
+
+// Other students' results of the same test that share at least
+// MIN_SHARED_WRONG identical wrong answers with `result`
+function findSharedWrongAnswers(result, peerIndex) {
+    const own = wrongAnswers(result);
+    if (own.size < MIN_SHARED_WRONG) {
+        return [];
+    }
+    
+    const shared = new Map();
+    own.forEach((answer, questionId) => {
+        (peerIndex.get(JSON.stringify([result.testId, questionId, answer])) || [])
+            .filter(peer => peer.id !== result.id && peer.userId !== result.userId)
+            .forEach(peer => {
+                const match = shared.get(peer.id) || { resultId: peer.id, userId: peer.userId, shared: 0 };
+                match.shared++;
+                shared.set(peer.id, match);
+            });
+    });
+    
+    return [...shared.values()].filter(match => match.shared >= MIN_SHARED_WRONG);
+}
+
+// Proctoring report of a result: the clients its attempt was used from,
+// event counts, question timings and flags. `events` are the attempt's
+// events, `peerIndex` the indexWrongAnswers() of the results to compare with.
+function buildProctoringReport(result, { attempt = null, events = [], peerIndex = new Map() } = {}) {
+    const clients = (attempt && attempt.clients) || [];
+    const timings = getQuestionTimings(result);
+    const eventCounts = {};
+    events.forEach(event => {
+        eventCounts[event.type] = (eventCounts[event.type] || 0) + 1;
+    });
+    
+    const flags = [];
+    
+    const fastAnswers = timings.filter(t => t.seconds < MIN_ANSWER_SECONDS).length;
+    const totalQuestions = result.totalQuestions || 0;
+    if ((timings.length >= MIN_TIMED_ANSWERS && fastAnswers / timings.length >= TOO_FAST_SHARE)
+        || (totalQuestions && typeof result.timeSpent === 'number' && result.timeSpent < totalQuestions * MIN_ANSWER_SECONDS)) {
+        flags.push({ type: 'too_fast', fastAnswers, timedAnswers: timings.length, timeSpent: result.timeSpent });
+    }
+    
+    const integrityEvents = events.filter(event => CLIENT_EVENT_TYPES.includes(event.type) && event.type !== 'multiple_sessions').length;
+    if (integrityEvents >= MAX_INTEGRITY_EVENTS) {
+        flags.push({ type: 'integrity_events', count: integrityEvents });
+    }
+    
+    const ips = [...new Set(clients.map(client => client.ip))];
+    if (ips.length > 1 || eventCounts.multiple_sessions) {
+        flags.push({ type: 'multiple_sessions', ips, clients: clients.length, reported: eventCounts.multiple_sessions || 0 });
+    }
+    
+    const matches = findSharedWrongAnswers(result, peerIndex);
+    if (matches.length) {
+        flags.push({ type: 'identical_wrong_answers', matches });
+    }
+    
+    return {
+        clients,
+        eventCounts,
+        timings,
+        flags: flags.map(flag => ({ ...flag, message: FLAG_MESSAGES[flag.type] }))
+    };
+}
+
+module.exports = { CLIENT_EVENT_TYPES, MAX_EVENTS_PER_ATTEMPT, normalizeClientEvents, getQuestionTimings, indexWrongAnswers, buildProctoringReport };
@@ -0,0 +1,119 @@
+const { createLock } = require('./storage/memory');
+
+// Default limits. Sliding windows allow `max` requests per `windowMs` and
+// key; lockouts block a key after `threshold` failures in a row, for
+// `baseMs` doubling with every further failure up to `maxMs`. Failures older
+// than `resetMs` are forgotten.
+const DEFAULT_RATE_LIMITS = {
+    windows: {
+        loginIp: { windowMs: 15 * 60 * 1000, max: 30 },
+        loginAccount: { windowMs: 15 * 60 * 1000, max: 15 },
+        sendVerificationIp: { windowMs: 60 * 60 * 1000, max: 10 },
+        verifyCodeIp: { windowMs: 15 * 60 * 1000, max: 30 },
+        verifyCodeAccount: { windowMs: 15 * 60 * 1000, max: 10 },
+        forgotPasswordIp: { windowMs: 60 * 60 * 1000, max: 10 },
+        forgotPasswordAccount: { windowMs: 60 * 60 * 1000, max: 3 },
+        resetPasswordIp: { windowMs: 15 * 60 * 1000, max: 30 },
+        verifyCertificateIp: { windowMs: 15 * 60 * 1000, max: 60 }
+    },
+    lockouts: {
+        login: { threshold: 5, baseMs: 60 * 1000, maxMs: 60 * 60 * 1000, resetMs: 24 * 60 * 60 * 1000 }
+    }
+};
+
+// Merge overrides (same shape as DEFAULT_RATE_LIMITS, any subset) into the
+// defaults
+function resolveRateLimits(overrides = {}) {
+    const config = { windows: {}, lockouts: {} };
+    ['windows', 'lockouts'].forEach(kind => {
+        const names = new Set([...Object.keys(DEFAULT_RATE_LIMITS[kind]), ...Object.keys(overrides[kind] || {})]);
+        names.forEach(name => {
+            config[kind][name] = { ...DEFAULT_RATE_LIMITS[kind][name], ...(overrides[kind] || {})[name] };
+        });
+    });
+    return config;
+}
+
+// Rate limiter over a storage collection (any backend), so limits survive
+// restarts and are shared by servers using the same MongoDB. Documents:
+//   window:<name>:<key>   { hits: [ms...], expiresAt }
+//   lockout:<name>:<key>  { failures, lastFailureAt, lockedUntil, expiresAt }
+// Results are { allowed, retryAfter } with retryAfter in seconds.
+function createRateLimiter(collection, overrides) {
+    const config = resolveRateLimits(overrides);
+    // Read-modify-write cycles of this process run one at a time
+    const lock = createLock();
+    
+    const getRule = (kind, name) => {
+        const rule = config[kind][name];
+        if (!rule) {
+            throw new Error(`Unknown rate limit "${name}"`);
+        }
+        return rule;
+    };
+    
+    const save = async (id, changes) => {
+        if (!await collection.update(id, changes)) {
+            await collection.insert({ id, ...changes });
+        }
+    };
+    
+    const toSeconds = ms => Math.max(Math.ceil(ms / 1000), 1);
+    
+    return {
+        config,
+        
+        // Count a request against a sliding window, unless the window is full
+        hit: (name, key) => lock(async () => {
+            const { windowMs, max } = getRule('windows', name);
+            const id = `window:${name}:${key}`;
+            const now = Date.now();
+            const doc = await collection.findById(id);
+            const hits = ((doc && doc.hits) || []).filter(time => time > now - windowMs);
+            
+            if (hits.length >= max) {
+                return { allowed: false, retryAfter: toSeconds(hits[hits.length - max] + windowMs - now) };
+            }
+            
+            hits.push(now);
+            await save(id, { hits, expiresAt: new Date(now + windowMs).toISOString() });
+            return { allowed: true, retryAfter: 0 };
+        }),
+        
+        // Whether a key is currently locked out
+        checkLockout: async (name, key) => {
+            getRule('lockouts', name);
+            const doc = await collection.findById(`lockout:${name}:${key}`);
+            const waitMs = doc && doc.lockedUntil ? new Date(doc.lockedUntil).getTime() - Date.now() : 0;
+            return waitMs > 0 ? { allowed: false, retryAfter: toSeconds(waitMs) } : { allowed: true, retryAfter: 0 };
+        },
+        
+        // Record a failure; locks the key once failures reach the threshold
+        recordFailure: (name, key) => lock(async () => {
+            const { threshold, baseMs, maxMs, resetMs } = getRule('lockouts', name);
+            const id = `lockout:${name}:${key}`;
+            const now = Date.now();
+            const doc = await collection.findById(id);
+            const recent = doc && now - new Date(doc.lastFailureAt).getTime() < resetMs;
+            const failures = (recent ? doc.failures : 0) + 1;
+            const lockMs = failures >= threshold ? Math.min(baseMs * 2 ** (failures - threshold), maxMs) : 0;
+            const lockedUntil = lockMs ? new Date(now + lockMs).toISOString() : null;
+            
+            await save(id, {
+                failures,
+                lastFailureAt: new Date(now).toISOString(),
+                lockedUntil,
+                expiresAt: new Date(now + Math.max(resetMs, lockMs)).toISOString()
+            });
+            return lockMs ? { allowed: false, retryAfter: toSeconds(lockMs) } : { allowed: true, retryAfter: 0 };
+        }),
+        
+        // Forget failures, e.g. after a successful login
+        resetLockout: (name, key) => lock(() => collection.remove(`lockout:${name}:${key}`)),
+        
+        // Drop records that no longer limit anything
+        prune: () => lock(() => collection.removeMany({ expiresAt: { $lt: new Date().toISOString() } }))
+    };
+}
+
+module.exports = { createRateLimiter, resolveRateLimits, DEFAULT_RATE_LIMITS };
@@ -0,0 +1,38 @@
+// Roles and their permissions. Super admins can do everything everywhere;
+// the other staff roles act only on the directions in user.directionIds.
+// Students have no admin permissions. Unfreezing an admission list
+// (admissions:unfreeze) is left to super admins.
+const ROLES = ['super_admin', 'direction_admin', 'teacher', 'proctor', 'student'];
+
+// Roles limited to user.directionIds
+const SCOPED_ROLES = ['direction_admin', 'teacher', 'proctor'];
+
+const ROLE_PERMISSIONS = {
+    super_admin: ['*'],
+    direction_admin: ['users:view', 'users:manage', 'groups:view', 'groups:manage', 'tests:manage', 'questions:manage', 'results:view', 'results:grade', 'statistics:view', 'admissions:manage', 'certificates:manage'],
+    teacher: ['groups:view', 'tests:manage', 'questions:manage', 'results:view', 'results:grade', 'statistics:view'],
+    proctor: ['users:view', 'groups:view', 'results:view'],
+    student: []
+};
+
+function hasPermission(user, permission) {
+    const permissions = (user && ROLE_PERMISSIONS[user.role]) || [];
+    return permissions.includes('*') || permissions.includes(permission);
+}
+
+// Staff can open the admin panel
+function isStaff(user) {
+    return Boolean(user && user.role && user.role !== 'student');
+}
+
+// Direction ids a staff user is limited to, or null for all directions
+function getDirectionScope(user) {
+    return user.role === 'super_admin' ? null : (user.directionIds || []);
+}
+
+function canAccessDirection(user, directionId) {
+    const scope = getDirectionScope(user);
+    return scope === null || scope.includes(directionId);
+}
+
+module.exports = { ROLES, SCOPED_ROLES, ROLE_PERMISSIONS, hasPermission, isStaff, getDirectionScope, canAccessDirection };
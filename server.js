@@ -1,10 +1,26 @@
 const express = require("express")
 const cors = require("cors")
-const fs = require("fs").promises
 const path = require("path")
+const crypto = require("crypto")
 const bcrypt = require("bcryptjs")
 const jwt = require("jsonwebtoken")
 const TelegramBot = require("node-telegram-bot-api")
+const { createStorage } = require("./storage")
+const { createMemoryCollection, createLock } = require("./storage/memory")
+const { migrateSchema } = require("./storage/schema")
+const { newId } = require("./ids")
+const { QUESTION_FORMATS } = require("./formats")
+const { toResultsCsv, toResultsHtml } = require("./formats/results")
+const { parseUserCsv } = require("./formats/users")
+const { toAdmissionCsv, toAdmissionHtml } = require("./formats/admission")
+const { toCertificatePdf, toCertificateHtml, toVerificationHtml } = require("./formats/certificate")
+const { createRateLimiter } = require("./rate-limit")
+const { analyzeTest } = require("./item-analysis")
+const { rankApplicants, normalizeAdmissionConfig, ADMISSION_STATUSES } = require("./admission")
+const { buildTestVersion, getVersionId, diffTestVersions } = require("./test-versions")
+const { MAX_EVENTS_PER_ATTEMPT, normalizeClientEvents, indexWrongAnswers, buildProctoringReport } = require("./proctoring")
+const { normalizeGradingSettings, getOutcome } = require("./grading")
+const { ROLES, SCOPED_ROLES, hasPermission, isStaff, getDirectionScope, canAccessDirection } = require("./roles")
 
 // Load environment variables
 require("dotenv").config()
@@ -13,13 +29,45 @@ require("dotenv").config()
 const PORT = process.env.PORT || 3000;
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
 const BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'json';
+const MONGODB_URI = process.env.MONGODB_URI;
+const BOT_USERNAME = process.env.TELEGRAM_BOT_USERNAME;
+// Development mode: verification codes are logged and returned in responses
+const DEV_MODE = process.env.NODE_ENV === 'development';
+// Where rate limit counters live: 'storage' (the data backend) or 'memory'
+const RATE_LIMIT_STORE = process.env.RATE_LIMIT_STORE || 'storage';
+// Overrides of DEFAULT_RATE_LIMITS in rate-limit.js, as JSON
+const RATE_LIMITS = process.env.RATE_LIMITS ? JSON.parse(process.env.RATE_LIMITS) : {};
+// Proxy hops (or addresses) to trust for the client IP, e.g. 1 behind nginx
+const TRUST_PROXY = process.env.TRUST_PROXY;
+// Public address of the server for certificate verification links; the
+// request's own host is used when unset
+const PUBLIC_URL = process.env.PUBLIC_URL;
 
 // Initialize Express app
 const app = express();
 
 // Middleware
+if (TRUST_PROXY) {
+    app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY);
+}
 app.use(cors());
-app.use(express.json());
+// Raised limit: test imports send whole question files in the body
+app.use(express.json({ limit: '5mb' }));
+
+// Query operators only come from code. Request values end up in storage
+// filters, so a body like { "login": { "$ne": null } } must not reach them.
+function hasOperatorKeys(value) {
+    return Boolean(value) && typeof value === 'object'
+        && Object.keys(value).some(key => key.startsWith('$') || hasOperatorKeys(value[key]));
+}
+
+app.use((req, res, next) => {
+    if (hasOperatorKeys(req.body) || hasOperatorKeys(req.query)) {
+        return res.status(400).json({ success: false, message: 'So\'rovda ruxsat etilmagan maydon nomlari bor' });
+    }
+    next();
+});
 
 // Initialize Telegram Bot with error handling
 let bot = null;
@@ -28,770 +76,4861 @@ if (BOT_TOKEN) {
         bot = new TelegramBot(BOT_TOKEN, { polling: true });
         console.log('Telegram bot initialized successfully');
         
-        // Handle bot errors
-        bot.on('polling_error', (error) => {
-            console.error('Telegram bot polling error:', error.message);
-        });
+        // Handle bot errors
+        bot.on('polling_error', (error) => {
+            console.error('Telegram bot polling error:', error.message);
+        });
+        
+        bot.on('error', (error) => {
+            console.error('Telegram bot error:', error.message);
+        });
+    } catch (error) {
+        console.error('Failed to initialize Telegram bot:', error.message);
+    }
+} else {
+    console.warn('TELEGRAM_BOT_TOKEN not provided. Telegram bot functionality will be simulated.');
+}
+
+// Data storage (json, mongodb or memory backend)
+const DATA_DIR = path.join(__dirname, 'data');
+const db = createStorage({ backend: STORAGE_BACKEND, dataDir: DATA_DIR, mongoUri: MONGODB_URI });
+
+// Rate limits for the auth endpoints
+const rateLimiter = createRateLimiter(
+    RATE_LIMIT_STORE === 'memory' ? createMemoryCollection() : db.rateLimits,
+    RATE_LIMITS
+);
+
+// Late submissions within this window are still accepted (network latency)
+const SUBMIT_GRACE_MS = 30 * 1000;
+
+// Deep-link tokens for linking a Telegram chat to an account expire after this
+const LINK_TOKEN_TTL_MS = 15 * 60 * 1000;
+
+// Verification codes: lifetime, wrong guesses allowed per code, minimum gap
+// between codes and codes per hour for one Telegram username
+const VERIFICATION_CODE_TTL_MS = 5 * 60 * 1000;
+const VERIFICATION_MAX_ATTEMPTS = 5;
+const VERIFICATION_RESEND_MS = 60 * 1000;
+const VERIFICATION_MAX_PER_HOUR = 5;
+// Lifetime of the token verify-code issues for registration
+const REGISTRATION_TOKEN_TTL = '15m';
+
+// Access tokens are short-lived; refresh tokens renew them and rotate on use
+const ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+// Password reset codes sent through the bot
+const PASSWORD_RESET_TTL_MS = 10 * 60 * 1000;
+const PASSWORD_RESET_MAX_ATTEMPTS = 5;
+const MIN_PASSWORD_LENGTH = 6;
+
+const ACCOUNT_BLOCKED_MESSAGE = 'Hisobingiz bloklangan. Administratorga murojaat qiling';
+
+// Seed default data into an empty store
+async function seedDefaults() {
+    // Create default admin user
+    if (await db.users.count() === 0) {
+        const adminUser = {
+            id: '1',
+            firstName: 'Admin',
+            lastName: 'User',
+            direction: 'Admin',
+            phone: '+998901234567',
+            telegram: '@admin',
+            login: 'admin',
+            password: await bcrypt.hash('isftqabul2025', 10),
+            role: 'super_admin',
+            directionIds: [],
+            createdAt: new Date().toISOString()
+        };
+        await db.users.insert(adminUser);
+        console.log('Created admin user');
+    }
+
+    // Create default directions
+    if (await db.directions.count() === 0) {
+        const directions = [
+            { id: '1', name: 'Dasturlash' },
+            { id: '2', name: 'Dizayn' },
+            { id: '3', name: 'Marketing' },
+            { id: '4', name: 'Buxgalteriya' },
+            { id: '5', name: 'Tillar' }
+        ];
+        for (const direction of directions) {
+            await db.directions.insert(direction);
+        }
+        console.log('Created default directions');
+    }
+}
+
+// Question helpers
+
+// Supported question types. Questions without a type are single-choice.
+// Essays are graded by hand.
+const QUESTION_TYPES = ['single', 'multiple', 'true_false', 'numeric', 'text', 'ordering', 'matching', 'essay'];
+
+// Difficulty levels of question bank items
+const DIFFICULTY_LEVELS = ['easy', 'medium', 'hard'];
+
+// Question types whose options can be shown in a shuffled order
+const SHUFFLABLE_TYPES = ['single', 'multiple', 'ordering', 'matching'];
+
+function isIndexList(value, length) {
+    return Array.isArray(value) && value.every(i => Number.isInteger(i) && i >= 0 && i < length);
+}
+
+// Validate a question's shape for its type. Returns an error message or null.
+function validateQuestion(question, index) {
+    const prefix = index === undefined ? '' : `${index + 1}-savol: `;
+    const type = question.type || 'single';
+    
+    if (!QUESTION_TYPES.includes(type)) {
+        return prefix + 'noma\'lum savol turi';
+    }
+    
+    if (!question.question) {
+        return prefix + 'savol matni kerak';
+    }
+    
+    // Optional explanation shown when results are reviewed
+    if (question.explanation !== undefined && typeof question.explanation !== 'string') {
+        return prefix + 'izoh matn bo\'lishi kerak';
+    }
+    
+    // Optional weight, and points taken off for a wrong answer. Essays are
+    // weighted by their rubric or maxPoints instead.
+    if (question.points !== undefined && (type === 'essay' || !(typeof question.points === 'number' && question.points > 0))) {
+        return prefix + (type === 'essay' ? 'insho bali rubric yoki maxPoints bilan beriladi' : 'savol bali musbat son bo\'lishi kerak');
+    }
+    if (question.negativePoints !== undefined && (type === 'essay' || !(typeof question.negativePoints === 'number' && question.negativePoints >= 0))) {
+        return prefix + (type === 'essay' ? 'insho uchun jarima ball berilmaydi' : 'jarima ball manfiy bo\'lmagan son bo\'lishi kerak');
+    }
+    
+    const hasOptions = Array.isArray(question.options) && question.options.length >= 2;
+    
+    switch (type) {
+        case 'single':
+            if (!hasOptions) return prefix + 'kamida 2 ta variant kerak';
+            if (!isIndexList([question.correct], question.options.length)) return prefix + 'to\'g\'ri javob varianti noto\'g\'ri';
+            break;
+        case 'multiple':
+            if (!hasOptions) return prefix + 'kamida 2 ta variant kerak';
+            if (!isIndexList(question.correct, question.options.length) || !question.correct.length) return prefix + 'to\'g\'ri javoblar ro\'yxati noto\'g\'ri';
+            break;
+        case 'true_false':
+            if (typeof question.correct !== 'boolean') return prefix + 'to\'g\'ri javob true yoki false bo\'lishi kerak';
+            break;
+        case 'numeric':
+            if (typeof question.correct !== 'number' || !isFinite(question.correct)) return prefix + 'to\'g\'ri javob son bo\'lishi kerak';
+            if (question.tolerance !== undefined && !(typeof question.tolerance === 'number' && question.tolerance >= 0)) return prefix + 'tolerance manfiy bo\'lmagan son bo\'lishi kerak';
+            break;
+        case 'text':
+            if (!Array.isArray(question.accepted) || !question.accepted.length || !question.accepted.every(a => typeof a === 'string' && a.trim())) return prefix + 'qabul qilinadigan javoblar kerak';
+            break;
+        case 'ordering':
+            if (!hasOptions) return prefix + 'kamida 2 ta element kerak';
+            if (!isIndexList(question.correct, question.options.length) ||
+                question.correct.length !== question.options.length ||
+                new Set(question.correct).size !== question.options.length) return prefix + 'to\'g\'ri tartib barcha elementlarni bir martadan o\'z ichiga olishi kerak';
+            break;
+        case 'matching':
+            if (!Array.isArray(question.prompts) || !question.prompts.length) return prefix + 'moslashtiriladigan elementlar kerak';
+            if (!hasOptions) return prefix + 'kamida 2 ta variant kerak';
+            if (!isIndexList(question.correct, question.options.length) || question.correct.length !== question.prompts.length) return prefix + 'har bir element uchun to\'g\'ri variant kerak';
+            break;
+        case 'essay':
+            if (question.rubric !== undefined && (!Array.isArray(question.rubric) || !question.rubric.length ||
+                !question.rubric.every(c => c && typeof c.criterion === 'string' && c.criterion.trim() && typeof c.points === 'number' && c.points > 0))) return prefix + 'baholash mezonlari noto\'g\'ri';
+            if (question.maxPoints !== undefined && !(typeof question.maxPoints === 'number' && question.maxPoints > 0)) return prefix + 'maksimal ball musbat son bo\'lishi kerak';
+            if (question.rubric && question.maxPoints !== undefined && question.maxPoints !== getQuestionMaxPoints({ type, rubric: question.rubric })) return prefix + 'maksimal ball mezonlar yig\'indisiga teng bo\'lishi kerak';
+            break;
+    }
+    
+    return null;
+}
+
+function validateQuestions(questions) {
+    for (let i = 0; i < questions.length; i++) {
+        const error = validateQuestion(questions[i], i);
+        if (error) return error;
+    }
+    return null;
+}
+
+// Question as shown to students, without the answer key
+function stripAnswerKey(question) {
+    const type = question.type || 'single';
+    const publicQuestion = {
+        id: question.id,
+        type,
+        question: question.question
+    };
+    
+    if (type === 'true_false') {
+        publicQuestion.options = question.options || ['To\'g\'ri', 'Noto\'g\'ri'];
+    } else if (question.options) {
+        publicQuestion.options = question.options;
+    }
+    
+    if (type === 'matching') {
+        publicQuestion.prompts = question.prompts;
+    }
+    
+    if (type === 'essay') {
+        publicQuestion.maxPoints = getQuestionMaxPoints(question);
+        if (question.rubric) {
+            publicQuestion.rubric = question.rubric;
+        }
+    } else {
+        if (question.points !== undefined) {
+            publicQuestion.points = question.points;
+        }
+        if (question.negativePoints) {
+            publicQuestion.negativePoints = question.negativePoints;
+        }
+    }
+    
+    return publicQuestion;
+}
+
+function normalizeText(value) {
+    return String(value).trim().replace(/\s+/g, ' ');
+}
+
+// Points (0..1) earned for an answer
+function scoreQuestion(question, answer) {
+    if (answer === undefined || answer === null || answer === '') {
+        return 0;
+    }
+    
+    switch (question.type || 'single') {
+        case 'single':
+            return answer === question.correct ? 1 : 0;
+        case 'multiple': {
+            if (!Array.isArray(answer)) return 0;
+            const selected = [...new Set(answer)];
+            const hits = selected.filter(i => question.correct.includes(i)).length;
+            const misses = selected.length - hits;
+            return Math.max((hits - misses) / question.correct.length, 0);
+        }
+        case 'true_false': {
+            // Anything but true or false is wrong, whatever the key
+            const value = answer === true || answer === 'true' ? true
+                : answer === false || answer === 'false' ? false
+                    : null;
+            return value === question.correct ? 1 : 0;
+        }
+        case 'numeric': {
+            const value = typeof answer === 'number' ? answer : parseFloat(String(answer).replace(',', '.'));
+            if (isNaN(value)) return 0;
+            return Math.abs(value - question.correct) <= (question.tolerance || 0) + 1e-9 ? 1 : 0;
+        }
+        case 'text': {
+            const normalize = v => question.caseSensitive ? normalizeText(v) : normalizeText(v).toLowerCase();
+            const given = normalize(answer);
+            return question.accepted.some(a => normalize(a) === given) ? 1 : 0;
+        }
+        case 'ordering':
+        case 'matching': {
+            if (!Array.isArray(answer)) return 0;
+            const matched = question.correct.filter((value, i) => answer[i] === value).length;
+            return matched / question.correct.length;
+        }
+        default:
+            return 0;
+    }
+}
+
+// The answer key stored in questionResults
+function getAnswerKey(question) {
+    if (question.type === 'essay') {
+        return null;
+    }
+    return question.type === 'text' ? question.accepted : question.correct;
+}
+
+function roundPoints(value) {
+    return Math.round(value * 100) / 100;
+}
+
+// Points a question is worth: its points (1 by default), or for essays
+// the sum of the rubric criteria or their maxPoints
+function getQuestionMaxPoints(question) {
+    if (question.type !== 'essay') {
+        return question.points || 1;
+    }
+    if (question.rubric) {
+        return roundPoints(question.rubric.reduce((sum, c) => sum + c.points, 0));
+    }
+    return question.maxPoints || 1;
+}
+
+// Score, grade and pass/fail of a result from its questionResults, under
+// the pass mark and grading scale of the test version it was taken on.
+// Penalties can't take the total below zero. A result with essays still
+// waiting for a grader has no score yet.
+function computeResultScore(questionResults, settings = {}) {
+    const maxScore = roundPoints(questionResults.reduce((sum, item) => sum + item.maxPoints, 0));
+    const passMark = typeof settings.passMark === 'number' ? settings.passMark : null;
+    if (questionResults.some(item => item.gradingStatus === 'pending')) {
+        return { score: null, maxScore, percentage: null, status: 'pending_grading', passMark, ...getOutcome(null) };
+    }
+    const score = Math.max(roundPoints(questionResults.reduce((sum, item) => sum + item.points, 0)), 0);
+    const percentage = maxScore ? Math.round((score / maxScore) * 100) : 0;
+    return { score, maxScore, percentage, status: 'completed', passMark, ...getOutcome(percentage, settings) };
+}
+
+// Test version a result or attempt was taken on; the current test for
+// data from before versions were kept
+async function findTakenVersion(test, version) {
+    return (await db.testVersions.findById(getVersionId(test.id, version))) || test;
+}
+
+// Questions as stored on a test, numbered from 1
+function buildTestQuestions(questions) {
+    return questions.map((q, index) => ({
+        id: (index + 1).toString(),
+        type: 'single',
+        ...q
+    }));
+}
+
+// Question bank helpers
+
+function shuffle(array) {
+    const copy = [...array];
+    for (let i = copy.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [copy[i], copy[j]] = [copy[j], copy[i]];
+    }
+    return copy;
+}
+
+// Validate the "draw N questions" rules of a bank-assembled test of
+// `direction`, optionally as if the bank question `without` were gone.
+// Returns an error message or null.
+async function validateDrawRules(draw, direction, without) {
+    const used = new Set();
+    for (let i = 0; i < draw.length; i++) {
+        const rule = draw[i];
+        const prefix = `${i + 1}-qoida: `;
+        
+        if (!Number.isInteger(rule.count) || rule.count < 1) {
+            return prefix + 'savollar soni musbat butun son bo\'lishi kerak';
+        }
+        if (rule.tags !== undefined && !Array.isArray(rule.tags)) {
+            return prefix + 'teglar ro\'yxat bo\'lishi kerak';
+        }
+        const difficulties = [].concat(rule.difficulty || []);
+        if (difficulties.some(d => !DIFFICULTY_LEVELS.includes(d))) {
+            return prefix + 'noma\'lum qiyinlik darajasi';
+        }
+        
+        const available = (await findBankQuestions(rule, direction)).filter(q => !used.has(q.id) && q.id !== without);
+        if (available.length < rule.count) {
+            return prefix + `savollar bankida faqat ${available.length} ta mos savol bor`;
+        }
+        available.slice(0, rule.count).forEach(q => used.add(q.id));
+    }
+    return null;
+}
+
+// Bank questions of a direction matching a draw rule (any of its tags, any
+// of its difficulties). Questions saved without a direction are shared.
+async function findBankQuestions(rule, direction) {
+    const filter = {};
+    const tags = rule.tags || [];
+    const difficulties = [].concat(rule.difficulty || []);
+    if (tags.length) {
+        filter.tags = { $in: tags };
+    }
+    if (difficulties.length) {
+        filter.difficulty = { $in: difficulties };
+    }
+    return (await db.questions.find(filter)).filter(q => !q.direction || q.direction === direction);
+}
+
+// Build the questions of a new attempt: a random draw from the bank for
+// bank-assembled tests, the test's own questions otherwise. Options are
+// shuffled per attempt when the test asks for it; optionOrder[shown] gives
+// the canonical option index.
+async function assembleAttemptQuestions(test) {
+    let questions = test.questions || [];
+    
+    if (test.draw && test.draw.length) {
+        const used = new Set();
+        questions = [];
+        for (const rule of test.draw) {
+            const available = (await findBankQuestions(rule, test.direction)).filter(q => !used.has(q.id));
+            const picked = shuffle(available).slice(0, rule.count);
+            picked.forEach(q => used.add(q.id));
+            questions.push(...picked);
+        }
+        if (questions.length < getTestQuestionCount(test)) {
+            return null;
+        }
+    }
+    
+    return questions.map(question => {
+        const attemptQuestion = { ...question };
+        if (test.shuffleOptions && SHUFFLABLE_TYPES.includes(question.type || 'single')) {
+            attemptQuestion.optionOrder = shuffle(question.options.map((option, i) => i));
+        }
+        return attemptQuestion;
+    });
+}
+
+function getTestQuestionCount(test) {
+    if (test.draw && test.draw.length) {
+        return test.draw.reduce((sum, rule) => sum + rule.count, 0);
+    }
+    return test.questions.length;
+}
+
+// Attempt question as shown to the student, options in the shuffled order
+function presentAttemptQuestion(question) {
+    const shown = stripAnswerKey(question);
+    if (question.optionOrder) {
+        shown.options = question.optionOrder.map(i => question.options[i]);
+    }
+    return shown;
+}
+
+// Map an answer given against shuffled options back to canonical indices
+function toCanonicalAnswer(question, answer) {
+    if (!question.optionOrder || answer === undefined || answer === null) {
+        return answer;
+    }
+    const map = i => (Number.isInteger(i) && i >= 0 && i < question.optionOrder.length) ? question.optionOrder[i] : -1;
+    if ((question.type || 'single') === 'single') {
+        return map(answer);
+    }
+    return Array.isArray(answer) ? answer.map(map) : answer;
+}
+
+// Attempt as returned to the student, without answer keys
+function presentAttempt(attempt) {
+    const { questions, ...rest } = attempt;
+    return {
+        ...rest,
+        questions: questions ? questions.map(presentAttemptQuestion) : undefined,
+        // Measured on the server, so a resumed attempt keeps its deadline
+        remainingSeconds: attempt.status === 'in_progress'
+            ? Math.max(Math.floor((new Date(attempt.expiresAt).getTime() - Date.now()) / 1000), 0)
+            : undefined
+    };
+}
+
+// Test availability
+
+const TEST_STATUSES = ['draft', 'published'];
+
+// When students may review their answers with the correct ones
+const REVIEW_POLICIES = ['never', 'immediately', 'after_close'];
+
+// Ids of the groups a user belongs to
+async function findUserGroupIds(user) {
+    return (await db.groups.find({ memberIds: user.id })).map(group => group.id);
+}
+
+// Why `user` (member of `groupIds`) may not take `test` at `now` (ms), as
+// { status, message }, or null if they may. Staff may use any test of
+// their directions, drafts and closed ones included. `closeGraceMs` keeps
+// the test open a little longer for submissions.
+function getTestAccessError(user, test, groupIds, now = Date.now(), closeGraceMs = 0) {
+    if (isStaff(user) ? !canAccessDirection(user, test.direction) : test.direction !== user.direction) {
+        return { status: 403, message: 'Bu test sizning yo\'nalishingiz uchun emas' };
+    }
+    
+    if (test.archivedAt) {
+        return { status: 400, message: 'Bu test arxivlangan' };
+    }
+    
+    if (isStaff(user)) {
+        return null;
+    }
+    
+    if (test.status !== 'published') {
+        return { status: 404, message: 'Test topilmadi' };
+    }
+    
+    // assignedTo limits the test to some groups and users of the direction
+    const assignedTo = test.assignedTo;
+    if (assignedTo && !assignedTo.userIds.includes(user.id) && !assignedTo.groupIds.some(id => groupIds.includes(id))) {
+        return { status: 403, message: 'Bu test sizga tayinlanmagan' };
+    }
+    
+    if (test.opensAt && now < new Date(test.opensAt).getTime()) {
+        return { status: 403, message: 'Test hali ochilmagan' };
+    }
+    
+    if (test.closesAt && now >= new Date(test.closesAt).getTime() + closeGraceMs) {
+        return { status: 403, message: 'Test yopilgan' };
+    }
+    
+    return null;
+}
+
+// Check that userIds are students of the direction. Returns an error
+// message or null.
+async function validateDirectionStudents(userIds, directionId) {
+    if (!Array.isArray(userIds)) {
+        return 'Foydalanuvchilar ro\'yxat bo\'lishi kerak';
+    }
+    const students = await db.users.find({
+        id: { $in: userIds.map(String) },
+        role: 'student',
+        direction: directionId,
+        deletedAt: { $exists: false }
+    });
+    const missing = userIds.map(String).filter(id => !students.some(u => u.id === id));
+    return missing.length ? `Bu yo'nalishda topilmagan o'quvchilar: ${missing.join(', ')}` : null;
+}
+
+// Publishing settings from the request body for a test of `directionId`:
+// status, opensAt/closesAt (dates or null), assignedTo ({ groupIds,
+// userIds }, or null for the whole direction) and reviewPolicy. Only fields
+// present in body are changed; `current` is the test being edited.
+// Returns { changes } or { error }.
+async function parseTestAvailability(body, directionId, current = {}) {
+    const changes = {};
+    
+    if (body.status !== undefined) {
+        if (!TEST_STATUSES.includes(body.status)) {
+            return { error: `Holat quyidagilardan biri bo'lishi kerak: ${TEST_STATUSES.join(', ')}` };
+        }
+        changes.status = body.status;
+    }
+    
+    if (body.reviewPolicy !== undefined) {
+        if (!REVIEW_POLICIES.includes(body.reviewPolicy)) {
+            return { error: `reviewPolicy quyidagilardan biri bo'lishi kerak: ${REVIEW_POLICIES.join(', ')}` };
+        }
+        changes.reviewPolicy = body.reviewPolicy;
+    }
+    
+    for (const field of ['opensAt', 'closesAt']) {
+        if (body[field] !== undefined) {
+            const date = body[field] ? new Date(body[field]) : null;
+            if (date && isNaN(date)) {
+                return { error: field === 'opensAt' ? 'Noto\'g\'ri ochilish vaqti' : 'Noto\'g\'ri yopilish vaqti' };
+            }
+            changes[field] = date ? date.toISOString() : undefined;
+        }
+    }
+    
+    const opensAt = 'opensAt' in changes ? changes.opensAt : current.opensAt;
+    const closesAt = 'closesAt' in changes ? changes.closesAt : current.closesAt;
+    if (opensAt && closesAt && closesAt <= opensAt) {
+        return { error: 'Yopilish vaqti ochilish vaqtidan keyin bo\'lishi kerak' };
+    }
+    
+    if (body.assignedTo !== undefined) {
+        if (body.assignedTo === null) {
+            changes.assignedTo = undefined;
+        } else {
+            const groupIds = (body.assignedTo.groupIds || []).map(String);
+            const userIds = (body.assignedTo.userIds || []).map(String);
+            
+            const groups = await db.groups.find({ id: { $in: groupIds }, direction: directionId });
+            const missingGroups = groupIds.filter(id => !groups.some(g => g.id === id));
+            if (missingGroups.length) {
+                return { error: `Bu yo'nalishda topilmagan guruhlar: ${missingGroups.join(', ')}` };
+            }
+            
+            const userError = await validateDirectionStudents(userIds, directionId);
+            if (userError) {
+                return { error: userError };
+            }
+            
+            changes.assignedTo = { groupIds: [...new Set(groupIds)], userIds: [...new Set(userIds)] };
+        }
+    }
+    
+    return { changes };
+}
+
+// Whether students may review their answers to `test` now. After-close
+// review also opens once the test is archived.
+function isReviewAvailable(test, now = Date.now()) {
+    switch (test.reviewPolicy) {
+        case 'immediately':
+            return true;
+        case 'after_close':
+            return Boolean(test.archivedAt || (test.closesAt && now >= new Date(test.closesAt).getTime()));
+        default:
+            return false;
+    }
+}
+
+// Questions of a result by id, as they were asked
+async function findResultQuestions(result) {
+    const questions = new Map();
+    const version = await db.testVersions.findById(getVersionId(result.testId, result.testVersion));
+    const attempt = result.attemptId && await db.attempts.findById(result.attemptId);
+    
+    // The attempt's own questions (bank draws included) take precedence
+    ((version && version.questions) || []).forEach(q => questions.set(String(q.id), q));
+    ((attempt && attempt.questions) || []).forEach(q => questions.set(String(q.id), q));
+    
+    const bankIds = (result.questionResults || []).map(item => String(item.questionId)).filter(id => !questions.has(id));
+    if (bankIds.length) {
+        (await db.questions.find({ id: { $in: bankIds } })).forEach(q => questions.set(String(q.id), q));
+    }
+    
+    return questions;
+}
+
+// A result question by question: the question as it was asked, the
+// student's answer, the correct answer, the explanation and grader feedback
+async function buildResultReview(result) {
+    const questions = await findResultQuestions(result);
+    
+    return (result.questionResults || []).map((item, index) => {
+        const question = questions.get(String(item.questionId));
+        return {
+            number: index + 1,
+            ...(question ? stripAnswerKey(question) : { id: item.questionId, type: item.type, question: null }),
+            userAnswer: item.userAnswer,
+            correctAnswer: item.correctAnswer,
+            points: item.points,
+            maxPoints: item.maxPoints,
+            gradingStatus: item.gradingStatus,
+            rubricScores: item.rubricScores,
+            feedback: item.feedback,
+            explanation: (question && question.explanation) || null
+        };
+    });
+}
+
+// Attempt helpers
+
+// Deadline of an attempt, derived from the test's timeLimit (minutes). An
+// attempt started before the test closes ends when it closes.
+function getAttemptDeadline(startedAt, test) {
+    const start = new Date(startedAt).getTime();
+    const deadline = start + test.timeLimit * 60 * 1000;
+    const closesAt = test.closesAt ? new Date(test.closesAt).getTime() : null;
+    return new Date(closesAt && closesAt > start ? Math.min(deadline, closesAt) : deadline).toISOString();
+}
+
+// Submit in-progress attempts (matching filter) whose deadline plus grace
+// has passed, with the answers saved so far. Returns how many were closed.
+async function submitExpiredAttempts(filter = {}) {
+    const cutoff = new Date(Date.now() - SUBMIT_GRACE_MS).toISOString();
+    const expired = await db.attempts.find({ ...filter, status: 'in_progress', expiresAt: { $lt: cutoff } });
+    
+    for (const attempt of expired) {
+        const test = await db.tests.findById(attempt.testId);
+        if (test) {
+            await submitAttempt(test, attempt, attempt.answers || [], { auto: true });
+        } else {
+            await db.attempts.update(attempt.id, { status: 'expired', closedAt: new Date().toISOString() });
+        }
+    }
+    
+    return expired.length;
+}
+
+// Changes to a running attempt (saved answers, clients) are made one at a
+// time, so concurrent requests don't drop each other's changes
+const attemptLock = createLock();
+
+// Merge answers ({ questionIndex: answer }, or an array) into the saved
+// answers of a user's running attempt. Indices are as shown in the attempt;
+// the time each question was first answered is kept for proctoring.
+// Returns { attempt } or { error: { status, message } }.
+function saveAttemptAnswers(attemptId, userId, answers) {
+    return attemptLock(async () => {
+        const attempt = await db.attempts.findById(attemptId);
+        
+        if (!attempt || attempt.userId !== userId) {
+            return { error: { status: 404, message: 'Urinish topilmadi' } };
+        }
+        if (attempt.status !== 'in_progress') {
+            return { error: { status: 400, message: 'Bu urinish allaqachon yakunlangan' } };
+        }
+        if (Date.now() > new Date(attempt.expiresAt).getTime() + SUBMIT_GRACE_MS) {
+            return { error: { status: 400, message: 'Test vaqti tugagan' } };
+        }
+        
+        const test = attempt.questions ? null : await db.tests.findById(attempt.testId);
+        const version = test && await findTakenVersion(test, attempt.testVersion);
+        const questionCount = (attempt.questions || (version && version.questions) || []).length;
+        const saved = [...(attempt.answers || [])];
+        const answeredAt = [...(attempt.answeredAt || [])];
+        const now = new Date().toISOString();
+        
+        for (const [key, answer] of Object.entries(answers)) {
+            const index = Number(key);
+            if (!Number.isInteger(index) || index < 0 || index >= questionCount) {
+                return { error: { status: 400, message: `Noto'g'ri savol raqami: ${key}` } };
+            }
+            saved[index] = answer === undefined ? null : answer;
+            if (answer !== undefined && answer !== null && !answeredAt[index]) {
+                answeredAt[index] = now;
+            }
+        }
+        
+        const updated = await db.attempts.update(attempt.id, {
+            answers: Array.from(saved, answer => answer === undefined ? null : answer),
+            answeredAt: Array.from(answeredAt, time => time || null),
+            savedAt: now
+        });
+        
+        return { attempt: updated };
+    });
+}
+
+// Remember the IP and user agent a request for an attempt came from. A
+// client the attempt hasn't been used from before is logged as an event.
+function trackAttemptClient(attemptId, req) {
+    return attemptLock(async () => {
+        const attempt = await db.attempts.findById(attemptId);
+        const client = { ip: req.ip, userAgent: req.get('user-agent') || null };
+        const clients = (attempt && attempt.clients) || [];
+        
+        if (!attempt || clients.some(c => c.ip === client.ip && c.userAgent === client.userAgent)) {
+            return;
+        }
+        
+        const now = new Date().toISOString();
+        await db.attempts.update(attempt.id, { clients: [...clients, { ...client, firstSeenAt: now }] });
+        
+        // The first client is where the attempt was started, not an event
+        if (clients.length) {
+            await db.proctoringEvents.insert({
+                id: crypto.randomUUID(),
+                attemptId: attempt.id,
+                userId: attempt.userId,
+                testId: attempt.testId,
+                type: 'new_client',
+                source: 'server',
+                occurredAt: now,
+                receivedAt: now,
+                ...client
+            });
+        }
+    });
+}
+
+// Number of attempts a user has already used on a test, leaving out the
+// attempt `except`. Results submitted before attempts were tracked count as
+// one attempt each.
+async function countUsedAttempts(userId, testId, except) {
+    const closedAttempts = await db.attempts.count({ userId, testId, status: { $ne: 'in_progress' }, ...(except ? { id: { $ne: except } } : {}) });
+    const legacyResults = await db.results.count({ userId, testId, attemptId: { $exists: false } });
+    return closedAttempts + legacyResults;
+}
+
+// timeLimit (minutes) and attempts from the request body; both must be
+// positive integers. Returns { limits } or { error }.
+function parseTestLimits(body) {
+    const timeLimit = Number(body.timeLimit);
+    const attempts = Number(body.attempts);
+    
+    if (!Number.isInteger(timeLimit) || timeLimit <= 0) {
+        return { error: 'Vaqt chegarasi musbat butun son (daqiqa) bo\'lishi kerak' };
+    }
+    if (!Number.isInteger(attempts) || attempts <= 0) {
+        return { error: 'Urinishlar soni musbat butun son bo\'lishi kerak' };
+    }
+    
+    return { limits: { timeLimit, attempts } };
+}
+
+// Starts are made one at a time per user and test, so concurrent requests
+// can't each pass the attempt limit
+const startLocks = new Map();
+
+function lockAttemptStart(userId, testId, fn) {
+    const key = `${userId}:${testId}`;
+    const entry = startLocks.get(key) || { lock: createLock(), pending: 0 };
+    startLocks.set(key, entry);
+    entry.pending++;
+    return entry.lock(fn).finally(() => {
+        if (!--entry.pending) {
+            startLocks.delete(key);
+        }
+    });
+}
+
+// Tests a user can take now (published, open and assigned to them in their
+// direction; staff get all tests of the directions they manage) with
+// attempt status. Archived tests are left out.
+async function listTestsForUser(user) {
+    await submitExpiredAttempts({ userId: user.id });
+    
+    const userTests = await db.tests.find({
+        ...(isStaff(user) ? scopeByDirection(user) : { direction: user.direction }),
+        archivedAt: { $exists: false }
+    });
+    const inProgressAttempts = await db.attempts.find({ userId: user.id, status: 'in_progress' });
+    const groupIds = await findUserGroupIds(user);
+    
+    const testsWithStatus = [];
+    for (const test of userTests) {
+        const inProgress = inProgressAttempts.find(a => a.testId === test.id);
+        // A running attempt can be finished even if the test closed meanwhile
+        if (!inProgress && getTestAccessError(user, test, groupIds)) {
+            continue;
+        }
+        
+        const attemptsUsed = await countUsedAttempts(user.id, test.id);
+        testsWithStatus.push({
+            ...test,
+            questions: (test.questions || []).map(stripAnswerKey),
+            attemptsUsed,
+            attemptsRemaining: Math.max(test.attempts - attemptsUsed, 0),
+            inProgressAttempt: inProgress ? {
+                id: inProgress.id,
+                startedAt: inProgress.startedAt,
+                expiresAt: inProgress.expiresAt
+            } : null
+        });
+    }
+    
+    return testsWithStatus;
+}
+
+// Start a new attempt, or return the one already running.
+// Returns { attempt, resumed } or { error: { status, message } }.
+async function startAttempt(user, test) {
+    if (isStaff(user) ? !canAccessDirection(user, test.direction) : test.direction !== user.direction) {
+        return { error: { status: 403, message: 'Bu test sizning yo\'nalishingiz uchun emas' } };
+    }
+    
+    return lockAttemptStart(user.id, test.id, async () => {
+        await submitExpiredAttempts({ userId: user.id, testId: test.id });
+        
+        // Resume the attempt that is already running
+        const inProgress = await db.attempts.findOne({ userId: user.id, testId: test.id, status: 'in_progress' });
+        
+        if (inProgress) {
+            return { attempt: inProgress, resumed: true };
+        }
+        
+        const accessError = getTestAccessError(user, test, await findUserGroupIds(user));
+        if (accessError) {
+            return { error: accessError };
+        }
+        
+        const attemptsUsed = await countUsedAttempts(user.id, test.id);
+        if (attemptsUsed >= test.attempts) {
+            return { error: { status: 400, message: 'Urinishlar soni tugagan' } };
+        }
+        
+        const questions = await assembleAttemptQuestions(test);
+        
+        if (!questions) {
+            return { error: { status: 500, message: 'Savollar bankida yetarli savol yo\'q' } };
+        }
+        
+        const startedAt = new Date().toISOString();
+        const newAttempt = {
+            id: newId(),
+            userId: user.id,
+            testId: test.id,
+            testVersion: test.version,
+            number: attemptsUsed + 1,
+            status: 'in_progress',
+            startedAt,
+            expiresAt: getAttemptDeadline(startedAt, test),
+            questions
+        };
+        
+        await db.attempts.insert(newAttempt);
+        
+        return { attempt: newAttempt, resumed: false };
+    });
+}
+
+// Score an in-progress attempt and store its result. Used by the web API
+// and the Telegram bot alike. `auto` submits an attempt whose time ran out
+// with its saved answers, as of its deadline. Returns
+// { result, attemptsRemaining } or { error: { status, message } }.
+async function submitAttempt(test, attempt, answers, { auto = false } = {}) {
+    const deadline = new Date(attempt.expiresAt).getTime();
+    const now = auto ? new Date(Math.min(Date.now(), deadline)) : new Date();
+    
+    if (!auto) {
+        // A late submission doesn't count; the attempt is closed with what
+        // was saved before the deadline
+        if (now.getTime() > deadline + SUBMIT_GRACE_MS) {
+            await submitAttempt(test, attempt, attempt.answers || [], { auto: true });
+            return { error: { status: 400, message: 'Test vaqti tugagan' } };
+        }
+        
+        // The test may have been unpublished, reassigned or closed meanwhile
+        const user = await db.users.findById(attempt.userId);
+        const accessError = user && getTestAccessError(user, test, await findUserGroupIds(user), now.getTime(), SUBMIT_GRACE_MS);
+        if (accessError) {
+            return { error: accessError };
+        }
+    }
+    
+    // Calculate score against the questions this attempt was given.
+    // Attempts started before per-attempt questions use those of the test
+    // version they were started on.
+    const version = await findTakenVersion(test, attempt.testVersion);
+    const attemptQuestions = attempt.questions || version.questions || [];
+    const answeredAt = attempt.answeredAt || [];
+    const questionResults = attemptQuestions.map((question, index) => {
+        const userAnswer = toCanonicalAnswer(question, answers[index]);
+        const item = {
+            questionId: question.id,
+            type: question.type || 'single',
+            userAnswer,
+            correctAnswer: getAnswerKey(question),
+            points: 0,
+            maxPoints: getQuestionMaxPoints(question),
+            // Seconds from the start to the first saved answer, if it was saved
+            answeredAfter: answeredAt[index]
+                ? Math.round((new Date(answeredAt[index]).getTime() - new Date(attempt.startedAt).getTime()) / 1000)
+                : undefined
+        };
+        
+        // Essays wait for a grader; blank ones simply get no points
+        if (item.type === 'essay') {
+            const blank = userAnswer === undefined || userAnswer === null || !String(userAnswer).trim();
+            return blank ? { ...item, gradingStatus: 'graded' } : { ...item, points: null, gradingStatus: 'pending' };
+        }
+        
+        // Negative marking applies to answers that earn nothing; skipped
+        // questions cost nothing
+        const credit = scoreQuestion(question, userAnswer);
+        const answered = userAnswer !== undefined && userAnswer !== null && userAnswer !== '';
+        return {
+            ...item,
+            points: credit > 0 || !answered || !question.negativePoints
+                ? roundPoints(credit * item.maxPoints)
+                : -question.negativePoints
+        };
+    });
+    
+    // Time spent is measured on the server, capped at the time limit the
+    // attempt was started with (seconds)
+    const startedAt = new Date(attempt.startedAt).getTime();
+    const timeSpent = Math.min(
+        Math.round((now.getTime() - startedAt) / 1000),
+        Math.round((new Date(attempt.expiresAt).getTime() - startedAt) / 1000)
+    );
+    
+    const newResult = {
+        id: newId(),
+        userId: attempt.userId,
+        testId: test.id,
+        testVersion: attempt.testVersion,
+        attemptId: attempt.id,
+        ...computeResultScore(questionResults, version),
+        totalQuestions: attemptQuestions.length,
+        timeSpent,
+        questionResults,
+        autoSubmitted: auto || undefined,
+        createdAt: now.toISOString()
+    };
+    
+    const claim = await attemptLock(async () => {
+        // An attempt over the limit (started past the start lock, e.g. on
+        // another server) is closed without a result
+        if (await countUsedAttempts(attempt.userId, test.id, attempt.id) >= test.attempts) {
+            await db.attempts.updateMany({ id: attempt.id, status: 'in_progress' }, { status: 'cancelled', closedAt: new Date().toISOString() });
+            return { error: { status: 400, message: 'Urinishlar soni tugagan' } };
+        }
+        
+        // Store the result, then claim the attempt for it. If storing fails
+        // the attempt stays open and can be submitted again; if another
+        // submit claimed the attempt first, this result is dropped.
+        await db.results.insert(newResult);
+        
+        const claimed = await db.attempts.updateMany(
+            { id: attempt.id, status: 'in_progress' },
+            auto
+                ? { status: 'submitted', closedAt: new Date().toISOString(), resultId: newResult.id, autoSubmitted: true }
+                : { status: 'submitted', closedAt: now.toISOString(), resultId: newResult.id }
+        );
+        
+        if (!claimed) {
+            await db.results.remove(newResult.id);
+            return { error: { status: 400, message: 'Bu urinish allaqachon yakunlangan' } };
+        }
+        return {};
+    });
+    
+    if (claim.error) {
+        return claim;
+    }
+    
+    return {
+        result: newResult,
+        attemptsRemaining: Math.max(test.attempts - await countUsedAttempts(attempt.userId, test.id), 0)
+    };
+}
+
+// Telegram account linking
+
+// Telegram usernames are case-insensitive and typed with or without "@"
+function normalizeTelegram(telegram) {
+    return String(telegram || '').trim().replace(/^@/, '').toLowerCase();
+}
+
+// Remember the private chat of the Telegram account that sent msg. The
+// username is taken from Telegram itself, never from what the user typed.
+// userId is set when the link comes from a web app deep link.
+async function linkTelegramChat(msg, userId) {
+    const id = String(msg.from.id);
+    const username = msg.from.username ? normalizeTelegram(msg.from.username) : null;
+    const changes = { chatId: msg.chat.id, username, updatedAt: new Date().toISOString() };
+    if (userId) {
+        changes.userId = userId;
+    }
+    
+    // A username can move to another Telegram account
+    if (username) {
+        await db.telegramLinks.updateMany({ username, id: { $ne: id } }, { username: null });
+    }
+    
+    return await db.telegramLinks.update(id, changes)
+        || await db.telegramLinks.insert({ id, ...changes, linkedAt: changes.updatedAt });
+}
+
+// Chat linked by the owner of a Telegram username, or null
+async function findTelegramChatId(telegram) {
+    const username = normalizeTelegram(telegram);
+    const link = username && await db.telegramLinks.findOne({ username });
+    return link ? link.chatId : null;
+}
+
+// Chat of a registered user: one they linked from the web app, otherwise the
+// one linked to their Telegram username
+async function findUserChatId(user) {
+    const link = await db.telegramLinks.findOne({ userId: user.id });
+    if (link) {
+        return link.chatId;
+    }
+    return user.telegram ? findTelegramChatId(user.telegram) : null;
+}
+
+// Seconds until another code may be requested, given the username's code
+// requests within the last hour (oldest first); 0 if it may be requested now
+function getVerificationRetryAfter(requests, now) {
+    const times = requests.map(time => new Date(time).getTime());
+    let waitMs = 0;
+    if (times.length && now - times[times.length - 1] < VERIFICATION_RESEND_MS) {
+        waitMs = times[times.length - 1] + VERIFICATION_RESEND_MS - now;
+    } else if (times.length >= VERIFICATION_MAX_PER_HOUR) {
+        waitMs = times[times.length - VERIFICATION_MAX_PER_HOUR] + 60 * 60 * 1000 - now;
+    }
+    return Math.ceil(Math.max(waitMs, 0) / 1000);
+}
+
+// Telegram test sessions: chatId -> { userId, tokenVersion, run }. `run` is the test being
+// taken: { testId, attemptId, index, answers, pending, awaitingText, timer }.
+const botSessions = new Map();
+
+const OPTION_LABELS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+function getBotSession(chatId) {
+    if (!botSessions.has(chatId)) {
+        botSessions.set(chatId, {});
+    }
+    return botSessions.get(chatId);
+}
+
+// User logged in to a chat, unless their sessions were revoked since
+async function getBotUser(session) {
+    const user = session.userId && await db.users.findById(session.userId);
+    return user && user.active !== false && (user.tokenVersion || 0) === session.tokenVersion ? user : null;
+}
+
+function formatRemaining(expiresAt) {
+    const seconds = Math.max(Math.floor((new Date(expiresAt).getTime() - Date.now()) / 1000), 0);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+// Inline keyboard rows of option letters; callback data carries the
+// question index so presses on old messages are ignored
+function optionButtons(prefix, index, count, label = i => OPTION_LABELS[i]) {
+    const buttons = [];
+    for (let i = 0; i < count; i++) {
+        buttons.push({ text: label(i), callback_data: `${prefix}:${index}:${i}` });
+    }
+    const rows = [];
+    for (let i = 0; i < buttons.length; i += 4) {
+        rows.push(buttons.slice(i, i + 4));
+    }
+    return rows;
+}
+
+// Send the current question of the chat's running test
+async function sendBotQuestion(chatId) {
+    const run = getBotSession(chatId).run;
+    if (!run) return;
+    
+    const attempt = await db.attempts.findById(run.attemptId);
+    
+    if (!attempt || attempt.status !== 'in_progress') {
+        clearTimeout(run.timer);
+        getBotSession(chatId).run = null;
+        return bot.sendMessage(chatId, 'Bu urinish yakunlangan.');
+    }
+    
+    if (Date.now() >= new Date(attempt.expiresAt).getTime() || run.index >= attempt.questions.length) {
+        return finishBotTest(chatId);
+    }
+    
+    const question = presentAttemptQuestion(attempt.questions[run.index]);
+    const index = run.index;
+    const lines = [`${index + 1}/${attempt.questions.length} · ⏱ ${formatRemaining(attempt.expiresAt)}`, '', question.question];
+    let keyboard = [];
+    run.awaitingText = false;
+    
+    switch (question.type) {
+        case 'single':
+        case 'true_false':
+            lines.push('', ...question.options.map((option, i) => `${OPTION_LABELS[i]}) ${option}`));
+            keyboard = optionButtons('a', index, question.options.length);
+            break;
+        case 'multiple': {
+            const selected = run.pending || [];
+            lines.push('', ...question.options.map((option, i) => `${OPTION_LABELS[i]}) ${option}`), '', 'Bir nechta javobni belgilab, "Tayyor"ni bosing.');
+            keyboard = optionButtons('t', index, question.options.length, i => `${selected.includes(i) ? '☑️' : '⬜'} ${OPTION_LABELS[i]}`);
+            keyboard.push([{ text: '✅ Tayyor', callback_data: `d:${index}:0` }]);
+            break;
+        }
+        case 'ordering': {
+            const chosen = run.pending || [];
+            lines.push('', ...question.options.map((option, i) => `${OPTION_LABELS[i]}) ${option}`), '', 'Variantlarni to\'g\'ri tartibda bosing.');
+            if (chosen.length) {
+                lines.push(`Tartib: ${chosen.map(i => OPTION_LABELS[i]).join(' → ')}`);
+            }
+            keyboard = optionButtons('o', index, question.options.length)
+                .map(row => row.filter(button => !chosen.includes(Number(button.callback_data.split(':')[2]))))
+                .filter(row => row.length);
+            break;
+        }
+        case 'matching': {
+            const matched = run.pending || [];
+            const prompt = question.prompts[matched.length];
+            lines.push('', ...question.options.map((option, i) => `${OPTION_LABELS[i]}) ${option}`), '', `${prompt} → ?`);
+            keyboard = optionButtons('m', index, question.options.length);
+            break;
+        }
+        default:
+            lines.push('', 'Javobingizni xabar sifatida yozing.');
+            run.awaitingText = true;
+    }
+    
+    keyboard.push([{ text: '⏭ O\'tkazib yuborish', callback_data: `s:${index}:0` }]);
+    
+    return bot.sendMessage(chatId, lines.join('\n'), { reply_markup: { inline_keyboard: keyboard } });
+}
+
+// Store the answer to the current question and move to the next one. The
+// answer is saved on the attempt too, so it counts if the chat is abandoned.
+async function recordBotAnswer(chatId, answer) {
+    const session = getBotSession(chatId);
+    const run = session.run;
+    run.answers[run.index] = answer;
+    await saveAttemptAnswers(run.attemptId, session.userId, { [run.index]: answer });
+    run.index++;
+    run.pending = null;
+    return sendBotQuestion(chatId);
+}
+
+// Submit the chat's test through the same scoring as /api/submit-test
+async function finishBotTest(chatId) {
+    const session = getBotSession(chatId);
+    const run = session.run;
+    if (!run) return;
+    
+    clearTimeout(run.timer);
+    session.run = null;
+    
+    const attempt = await db.attempts.findById(run.attemptId);
+    const test = await db.tests.findById(run.testId);
+    
+    if (!attempt || !test || attempt.status !== 'in_progress') {
+        return bot.sendMessage(chatId, 'Bu urinish yakunlangan.');
+    }
+    
+    const { result, attemptsRemaining, error } = await submitAttempt(test, attempt, run.answers);
+    
+    if (error) {
+        return bot.sendMessage(chatId, error.message);
+    }
+    
+    return bot.sendMessage(chatId, [
+        `"${test.title}" yakunlandi.`,
+        result.status === 'pending_grading'
+            ? 'Natija: baholash kutilmoqda'
+            : `Natija: ${result.score}/${result.maxScore} (${result.percentage}%)`,
+        ...(result.grade !== null ? [`Baho: ${result.grade}${result.gradeLabel ? ` (${result.gradeLabel})` : ''}`] : []),
+        ...(result.passed !== null ? [result.passed ? 'Siz testdan o\'tdingiz' : 'Siz testdan o\'ta olmadingiz'] : []),
+        `Qolgan urinishlar: ${attemptsRemaining}`
+    ].join('\n'));
+}
+
+async function handleBotCallback(query) {
+    const chatId = query.message.chat.id;
+    const [action, indexText, valueText] = query.data.split(':');
+    const session = getBotSession(chatId);
+    
+    // Start a test from the /tests list
+    if (action === 'b') {
+        return startBotTest(chatId, indexText);
+    }
+    
+    const run = session.run;
+    const index = Number(indexText);
+    const value = Number(valueText);
+    
+    if (!run || index !== run.index) {
+        return;
+    }
+    
+    const attempt = await db.attempts.findById(run.attemptId);
+    if (!attempt || !attempt.questions[index]) {
+        return;
+    }
+    const question = presentAttemptQuestion(attempt.questions[index]);
+    
+    switch (action) {
+        case 'a':
+            return recordBotAnswer(chatId, question.type === 'true_false' ? value === 0 : value);
+        case 't': {
+            const selected = run.pending || [];
+            run.pending = selected.includes(value) ? selected.filter(i => i !== value) : [...selected, value];
+            return sendBotQuestion(chatId);
+        }
+        case 'd':
+            return recordBotAnswer(chatId, run.pending || []);
+        case 'o': {
+            run.pending = [...(run.pending || []), value];
+            if (run.pending.length === question.options.length) {
+                return recordBotAnswer(chatId, run.pending);
+            }
+            return sendBotQuestion(chatId);
+        }
+        case 'm': {
+            run.pending = [...(run.pending || []), value];
+            if (run.pending.length === question.prompts.length) {
+                return recordBotAnswer(chatId, run.pending);
+            }
+            return sendBotQuestion(chatId);
+        }
+        case 's':
+            return recordBotAnswer(chatId, null);
+    }
+}
+
+async function startBotTest(chatId, testId) {
+    const session = getBotSession(chatId);
+    const user = await getBotUser(session);
+    
+    if (!user) {
+        return bot.sendMessage(chatId, 'Avval /login buyrug\'i bilan tizimga kiring.');
+    }
+    
+    if (session.run) {
+        return bot.sendMessage(chatId, 'Siz hozir boshqa testni ishlayapsiz.');
+    }
+    
+    const test = await db.tests.findById(testId);
+    
+    if (!test) {
+        return bot.sendMessage(chatId, 'Test topilmadi');
+    }
+    
+    const { attempt, error } = await startAttempt(user, test);
+    
+    if (error) {
+        return bot.sendMessage(chatId, error.message);
+    }
+    
+    session.run = {
+        testId: test.id,
+        attemptId: attempt.id,
+        index: 0,
+        // A resumed attempt keeps what was saved from the web app
+        answers: [...(attempt.answers || [])],
+        pending: null,
+        awaitingText: false
+    };
+    
+    // Submit what has been answered when the time limit runs out
+    session.run.timer = setTimeout(() => {
+        finishBotTest(chatId).catch(error => console.error('Telegram test timeout error:', error));
+    }, Math.max(new Date(attempt.expiresAt).getTime() - Date.now(), 0));
+    session.run.timer.unref();
+    
+    await bot.sendMessage(chatId, `"${test.title}" boshlandi. Vaqt: ${test.timeLimit} daqiqa.`);
+    return sendBotQuestion(chatId);
+}
+
+// Telegram Bot handlers
+if (bot) {
+    // Reply after a chat has been linked
+    const sendLinkedMessage = (chatId, link) => {
+        if (!link.username) {
+            return bot.sendMessage(chatId, 'Telegram sozlamalarida username o\'rnating va /start buyrug\'ini qayta yuboring.');
+        }
+        return bot.sendMessage(chatId, `Salom! Test platformasiga xush kelibsiz. @${link.username} uchun tasdiqlash kodlari shu chatga yuboriladi.`);
+    };
+    
+    // Link the chat to the sender. "/start <token>" comes from a deep link
+    // issued by the web app and also ties the chat to that account.
+    bot.onText(/^\/start(?:\s+(\S+))?/, async (msg, match) => {
+        const chatId = msg.chat.id;
+        try {
+            if (msg.chat.type !== 'private') {
+                return bot.sendMessage(chatId, 'Botdan faqat shaxsiy chatda foydalaning.');
+            }
+            
+            if (!match[1]) {
+                return sendLinkedMessage(chatId, await linkTelegramChat(msg));
+            }
+            
+            const linkToken = await db.linkTokens.findById(match[1]);
+            
+            if (!linkToken || linkToken.expiresAt < new Date().toISOString()) {
+                return bot.sendMessage(chatId, 'Havola noto\'g\'ri yoki eskirgan. Saytdan yangi havola oling.');
+            }
+            
+            await db.linkTokens.remove(linkToken.id);
+            await linkTelegramChat(msg, linkToken.userId);
+            
+            const user = await db.users.findById(linkToken.userId);
+            if (!user) {
+                return bot.sendMessage(chatId, 'Foydalanuvchi topilmadi');
+            }
+            
+            // The deep link proves account ownership, so log the chat in too
+            Object.assign(getBotSession(chatId), { userId: user.id, tokenVersion: user.tokenVersion || 0 });
+            bot.sendMessage(chatId, `Telegram hisobingiz ulandi, ${user.firstName}! Testlar ro'yxati: /tests`);
+        } catch (error) {
+            console.error('Telegram start error:', error);
+            bot.sendMessage(chatId, 'Xatolik yuz berdi');
+        }
+    });
+    
+    // Kept for users following old instructions. The username argument is
+    // only compared with the sender's real username, never trusted.
+    bot.onText(/^\/register(?:\s+(\S+))?/, async (msg, match) => {
+        const chatId = msg.chat.id;
+        try {
+            if (msg.chat.type !== 'private') {
+                return bot.sendMessage(chatId, 'Botdan faqat shaxsiy chatda foydalaning.');
+            }
+            
+            const link = await linkTelegramChat(msg);
+            
+            if (link.username && match[1] && normalizeTelegram(match[1]) !== link.username) {
+                return bot.sendMessage(chatId, `Sizning username'ingiz @${link.username}. Kodlar faqat shu username uchun yuboriladi.`);
+            }
+            
+            sendLinkedMessage(chatId, link);
+        } catch (error) {
+            console.error('Telegram register error:', error);
+            bot.sendMessage(chatId, 'Xatolik yuz berdi');
+        }
+    });
+    
+    // Log in to take tests in the bot
+    bot.onText(/^\/login(?:\s+(\S+)\s+(\S+))?/, async (msg, match) => {
+        const chatId = msg.chat.id;
+        try {
+            if (msg.chat.type !== 'private') {
+                return bot.sendMessage(chatId, 'Tizimga faqat shaxsiy chatda kiring.');
+            }
+            
+            if (!match[1] || !match[2]) {
+                return bot.sendMessage(chatId, 'Foydalanish: /login <login> <parol>');
+            }
+            
+            // Don't leave the password in the chat history
+            bot.deleteMessage(chatId, msg.message_id).catch(() => {});
+            
+            // Same limits as /api/login
+            const attempt = await rateLimiter.hit('loginAccount', match[1]);
+            const lockout = attempt.allowed ? await rateLimiter.checkLockout('login', match[1]) : attempt;
+            if (!lockout.allowed) {
+                return bot.sendMessage(chatId, loginLockoutMessage(lockout.retryAfter));
+            }
+            
+            const user = await db.users.findOne({ login: match[1] });
+            
+            if (!user || !await bcrypt.compare(match[2], user.password)) {
+                await rateLimiter.recordFailure('login', match[1]);
+                return bot.sendMessage(chatId, 'Noto\'g\'ri login yoki parol');
+            }
+            
+            await rateLimiter.resetLockout('login', match[1]);
+            
+            if (user.active === false) {
+                return bot.sendMessage(chatId, ACCOUNT_BLOCKED_MESSAGE);
+            }
+            
+            Object.assign(getBotSession(chatId), { userId: user.id, tokenVersion: user.tokenVersion || 0 });
+            bot.sendMessage(chatId, `Xush kelibsiz, ${user.firstName}! Testlar ro'yxati: /tests`);
+        } catch (error) {
+            console.error('Telegram login error:', error);
+            bot.sendMessage(chatId, 'Tizimga kirishda xatolik yuz berdi');
+        }
+    });
+    
+    bot.onText(/^\/logout/, (msg) => {
+        const session = getBotSession(msg.chat.id);
+        if (session.run) {
+            clearTimeout(session.run.timer);
+        }
+        botSessions.delete(msg.chat.id);
+        bot.sendMessage(msg.chat.id, 'Tizimdan chiqdingiz.');
+    });
+    
+    // List available tests
+    bot.onText(/^\/tests/, async (msg) => {
+        const chatId = msg.chat.id;
+        try {
+            const user = await getBotUser(getBotSession(chatId));
+            
+            if (!user) {
+                return bot.sendMessage(chatId, 'Avval /login buyrug\'i bilan tizimga kiring.');
+            }
+            
+            const tests = (await listTestsForUser(user)).filter(t => t.attemptsRemaining > 0 || t.inProgressAttempt);
+            
+            if (!tests.length) {
+                return bot.sendMessage(chatId, 'Hozircha siz uchun testlar yo\'q.');
+            }
+            
+            bot.sendMessage(chatId, tests.map((test, i) =>
+                `${i + 1}. ${test.title} — ${test.timeLimit} daqiqa, qolgan urinishlar: ${test.attemptsRemaining}`
+            ).join('\n'), {
+                reply_markup: {
+                    inline_keyboard: tests.map((test, i) => [{ text: `${i + 1}. ${test.title}`, callback_data: `b:${test.id}:0` }])
+                }
+            });
+        } catch (error) {
+            console.error('Telegram tests error:', error);
+            bot.sendMessage(chatId, 'Testlarni yuklashda xatolik yuz berdi');
+        }
+    });
+    
+    bot.on('callback_query', async (query) => {
+        bot.answerCallbackQuery(query.id).catch(() => {});
+        try {
+            await handleBotCallback(query);
+        } catch (error) {
+            console.error('Telegram callback error:', error);
+            bot.sendMessage(query.message.chat.id, 'Xatolik yuz berdi');
+        }
+    });
+    
+    // Typed answers for numeric, text and essay questions
+    bot.on('message', async (msg) => {
+        if (!msg.text || msg.text.startsWith('/')) return;
+        const run = getBotSession(msg.chat.id).run;
+        if (!run || !run.awaitingText) return;
+        try {
+            await recordBotAnswer(msg.chat.id, msg.text.trim());
+        } catch (error) {
+            console.error('Telegram answer error:', error);
+            bot.sendMessage(msg.chat.id, 'Xatolik yuz berdi');
+        }
+    });
+}
+
+// Respond 429 with Retry-After (seconds)
+function sendTooManyRequests(res, retryAfter, message) {
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({
+        success: false,
+        message: message || `Juda ko'p so'rov. ${retryAfter} soniyadan keyin qayta urinib ko'ring`,
+        retryAfter
+    });
+}
+
+// Middleware to limit requests per key (client IP by default) with the
+// named sliding window. Requests without a key aren't counted.
+function rateLimit(name, getKey = req => req.ip) {
+    return async (req, res, next) => {
+        try {
+            // Keys of the wrong type are refused by the route itself
+            const key = getKey(req);
+            if (!key || typeof key !== 'string') {
+                return next();
+            }
+            
+            const { allowed, retryAfter } = await rateLimiter.hit(name, String(key));
+            if (!allowed) {
+                return sendTooManyRequests(res, retryAfter);
+            }
+            next();
+        } catch (error) {
+            console.error('Rate limit error:', error);
+            res.status(500).json({ success: false, message: 'So\'rovni tekshirishda xatolik yuz berdi' });
+        }
+    };
+}
+
+// Message for a login locked after repeated failures
+function loginLockoutMessage(retryAfter) {
+    return `Juda ko'p muvaffaqiyatsiz urinish. ${Math.ceil(retryAfter / 60)} daqiqadan keyin qayta urinib ko'ring`;
+}
+
+// Session helpers
+
+// Refresh tokens are stored hashed, so a leaked data file can't be replayed
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// New access token plus refresh token. `family` groups the refresh tokens
+// rotated from one login, so reuse of an old one revokes the whole chain.
+async function issueTokens(user, req, family = crypto.randomUUID()) {
+    const tokenVersion = user.tokenVersion || 0;
+    const token = jwt.sign({ 
+        userId: user.id, 
+        role: user.role,
+        tokenVersion
+    }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL_SECONDS });
+    
+    const refreshToken = crypto.randomBytes(32).toString('hex');
+    const now = Date.now();
+    await db.refreshTokens.insert({
+        id: hashToken(refreshToken),
+        userId: user.id,
+        family,
+        tokenVersion,
+        ip: req.ip,
+        userAgent: req.get('user-agent') || null,
+        createdAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + REFRESH_TOKEN_TTL_MS).toISOString()
+    });
+    
+    return { token, refreshToken, expiresIn: ACCESS_TOKEN_TTL_SECONDS };
+}
+
+// Invalidate every access token, refresh token and bot login of a user
+async function revokeUserSessions(user, changes = {}) {
+    await db.users.update(user.id, { ...changes, tokenVersion: (user.tokenVersion || 0) + 1 });
+    await db.refreshTokens.removeMany({ userId: user.id });
+    return db.users.findById(user.id);
+}
+
+// Middleware to authenticate token. The user is re-read on every request,
+// so deleted users and tokens issued before the user's last logout from
+// all devices or password change are rejected.
+async function authenticateToken(req, res, next) {
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1];
+    
+    if (!token) {
+        return res.status(401).json({ success: false, message: 'Token kerak' });
+    }
+    
+    let payload;
+    try {
+        payload = jwt.verify(token, JWT_SECRET);
+    } catch (error) {
+        if (error.name === 'TokenExpiredError') {
+            return res.status(401).json({ success: false, message: 'Token muddati tugagan' });
+        }
+        return res.status(403).json({ success: false, message: 'Noto\'g\'ri token' });
+    }
+    
+    try {
+        // Other signed tokens (e.g. registration) aren't access tokens
+        const user = payload.userId && !payload.purpose && await db.users.findById(payload.userId);
+        
+        if (!user || (user.tokenVersion || 0) !== (payload.tokenVersion || 0)) {
+            return res.status(401).json({ success: false, message: 'Sessiya tugagan, qayta kiring' });
+        }
+        
+        if (user.active === false) {
+            return res.status(403).json({ success: false, message: ACCOUNT_BLOCKED_MESSAGE });
+        }
+        
+        req.user = { userId: user.id, role: user.role };
+        req.currentUser = user;
+        next();
+    } catch (error) {
+        console.error('Authentication error:', error);
+        res.status(500).json({ success: false, message: 'Tokenni tekshirishda xatolik yuz berdi' });
+    }
+}
+
+// Middleware to require a permission of the user's role (see roles.js).
+// Direction-scoped roles are further limited inside the routes.
+function requirePermission(permission) {
+    return (req, res, next) => {
+        if (!hasPermission(req.currentUser, permission)) {
+            return res.status(403).json({ success: false, message: 'Bu amal uchun ruxsat yo\'q' });
+        }
+        next();
+    };
+}
+
+// Filter limiting a query to the directions a staff user manages
+function scopeByDirection(user, field = 'direction') {
+    const scope = getDirectionScope(user);
+    return scope === null ? {} : { [field]: { $in: scope } };
+}
+
+function sendDirectionForbidden(res) {
+    return res.status(403).json({ success: false, message: 'Bu yo\'nalish uchun ruxsat yo\'q' });
+}
+
+// API Routes
+
+// Health check
+app.get('/', (req, res) => {
+    res.json({ status: 'ok', message: 'Test Platform API is running' });
+});
+
+// Get directions
+app.get('/api/directions', async (req, res) => {
+    try {
+        const directions = await db.directions.find();
+        res.json(directions);
+    } catch (error) {
+        console.error('Error fetching directions:', error);
+        res.status(500).json({ success: false, message: 'Yo\'nalishlarni yuklashda xatolik' });
+    }
+});
+
+// Login
+app.post('/api/login', rateLimit('loginIp'), rateLimit('loginAccount', req => req.body.login), async (req, res) => {
+    try {
+        const { login, password } = req.body;
+        
+        if (!login || !password || typeof login !== 'string' || typeof password !== 'string') {
+            return res.status(400).json({ success: false, message: 'Login va parol kerak' });
+        }
+        
+        // Locked for a while after repeated wrong passwords
+        const lockout = await rateLimiter.checkLockout('login', login);
+        if (!lockout.allowed) {
+            return sendTooManyRequests(res, lockout.retryAfter, loginLockoutMessage(lockout.retryAfter));
+        }
+        
+        const user = await db.users.findOne({ login });
+        
+        // Unknown logins count as failures too, so lockouts don't reveal
+        // which accounts exist
+        if (!user || !await bcrypt.compare(password, user.password)) {
+            await rateLimiter.recordFailure('login', login);
+            return res.status(400).json({ success: false, message: 'Noto\'g\'ri login yoki parol' });
+        }
+        
+        await rateLimiter.resetLockout('login', login);
+        
+        if (user.active === false) {
+            return res.status(403).json({ success: false, message: ACCOUNT_BLOCKED_MESSAGE });
+        }
+        
+        const tokens = await issueTokens(user, req);
+        
+        res.json({ 
+            success: true, 
+            ...tokens, 
+            user: {
+                id: user.id,
+                firstName: user.firstName,
+                lastName: user.lastName,
+                direction: user.direction,
+                directionName: user.directionName,
+                role: user.role,
+                directionIds: user.directionIds || [],
+                // Staff can open the admin panel
+                isAdmin: isStaff(user)
+            }
+        });
+    } catch (error) {
+        console.error('Login error:', error);
+        res.status(500).json({ success: false, message: 'Tizimga kirishda xatolik yuz berdi' });
+    }
+});
+
+// Exchange a refresh token for new tokens. Each refresh token works once.
+app.post('/api/refresh-token', async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+        
+        if (!refreshToken) {
+            return res.status(400).json({ success: false, message: 'Refresh token kerak' });
+        }
+        
+        const now = new Date().toISOString();
+        const stored = await db.refreshTokens.findById(hashToken(refreshToken));
+        
+        if (!stored || stored.expiresAt <= now) {
+            return res.status(401).json({ success: false, message: 'Sessiya tugagan, qayta kiring' });
+        }
+        
+        // An already rotated token is being replayed, so it may have been
+        // stolen: end that login on every device it reached
+        const claimed = await db.refreshTokens.updateMany({ id: stored.id, usedAt: { $exists: false } }, { usedAt: now });
+        
+        if (!claimed) {
+            await db.refreshTokens.removeMany({ family: stored.family });
+            console.warn(`Refresh token reuse detected for user ${stored.userId}`);
+            return res.status(401).json({ success: false, message: 'Sessiya tugagan, qayta kiring' });
+        }
+        
+        const user = await db.users.findById(stored.userId);
+        
+        if (!user || user.active === false || (user.tokenVersion || 0) !== stored.tokenVersion) {
+            return res.status(401).json({ success: false, message: 'Sessiya tugagan, qayta kiring' });
+        }
+        
+        res.json({ success: true, ...await issueTokens(user, req, stored.family) });
+    } catch (error) {
+        console.error('Refresh token error:', error);
+        res.status(500).json({ success: false, message: 'Sessiyani yangilashda xatolik yuz berdi' });
+    }
+});
+
+// Log out this device
+app.post('/api/logout', async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+        
+        if (refreshToken) {
+            const stored = await db.refreshTokens.findById(hashToken(refreshToken));
+            if (stored) {
+                await db.refreshTokens.removeMany({ family: stored.family });
+            }
+        }
+        
+        res.json({ success: true, message: 'Tizimdan chiqdingiz' });
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({ success: false, message: 'Tizimdan chiqishda xatolik yuz berdi' });
+    }
+});
+
+// Log out all devices, including the Telegram bot
+app.post('/api/logout-all', authenticateToken, async (req, res) => {
+    try {
+        const user = await db.users.findById(req.user.userId);
+        await revokeUserSessions(user);
+        
+        res.json({ success: true, message: 'Barcha qurilmalardan chiqildi' });
+    } catch (error) {
+        console.error('Logout all error:', error);
+        res.status(500).json({ success: false, message: 'Tizimdan chiqishda xatolik yuz berdi' });
+    }
+});
+
+// Change password. Other devices are logged out; this one gets new tokens.
+app.post('/api/change-password', authenticateToken, async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+        
+        if (!currentPassword || !newPassword) {
+            return res.status(400).json({ success: false, message: 'Joriy va yangi parol kerak' });
+        }
+        
+        if (String(newPassword).length < MIN_PASSWORD_LENGTH) {
+            return res.status(400).json({ success: false, message: `Parol kamida ${MIN_PASSWORD_LENGTH} ta belgidan iborat bo'lishi kerak` });
+        }
+        
+        const user = await db.users.findById(req.user.userId);
+        
+        // Guessing the current password counts towards the login lockout
+        const lockout = await rateLimiter.checkLockout('login', user.login);
+        if (!lockout.allowed) {
+            return sendTooManyRequests(res, lockout.retryAfter, loginLockoutMessage(lockout.retryAfter));
+        }
+        
+        if (!await bcrypt.compare(currentPassword, user.password)) {
+            await rateLimiter.recordFailure('login', user.login);
+            return res.status(400).json({ success: false, message: 'Joriy parol noto\'g\'ri' });
+        }
+        
+        const updatedUser = await revokeUserSessions(user, { password: await bcrypt.hash(newPassword, 10) });
+        
+        res.json({ success: true, message: 'Parol o\'zgartirildi', ...await issueTokens(updatedUser, req) });
+    } catch (error) {
+        console.error('Change password error:', error);
+        res.status(500).json({ success: false, message: 'Parolni o\'zgartirishda xatolik yuz berdi' });
+    }
+});
+
+// Send a password reset code to the user's Telegram chat
+app.post('/api/forgot-password', rateLimit('forgotPasswordIp'), rateLimit('forgotPasswordAccount', req => req.body.login), async (req, res) => {
+    try {
+        const { login } = req.body;
+        
+        if (!login || typeof login !== 'string') {
+            return res.status(400).json({ success: false, message: 'Login kerak' });
+        }
+        
+        // Same answer whether or not the account exists
+        const response = { success: true, message: 'Agar hisob Telegram botga ulangan bo\'lsa, tiklash kodi yuborildi' };
+        
+        const user = await db.users.findOne({ login });
+        const chatId = user && bot ? await findUserChatId(user) : null;
+        
+        if (!user || user.active === false || (!chatId && !DEV_MODE)) {
+            return res.json(response);
+        }
+        
+        const code = crypto.randomInt(100000, 1000000).toString();
+        const now = Date.now();
+        
+        await db.passwordResets.removeMany({ userId: user.id });
+        await db.passwordResets.insert({
+            id: newId(),
+            userId: user.id,
+            code,
+            attempts: 0,
+            createdAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + PASSWORD_RESET_TTL_MS).toISOString()
+        });
+        
+        let codeSent = false;
+        
+        if (chatId) {
+            try {
+                await bot.sendMessage(chatId, `Parolni tiklash kodi: ${code}\nAgar buni siz so'ramagan bo'lsangiz, xabarga e'tibor bermang.`);
+                codeSent = true;
+            } catch (error) {
+                console.error('Error sending Telegram message:', error);
+            }
+        }
+        
+        if (DEV_MODE) {
+            console.log(`Password reset code for ${login}: ${code}`);
+            if (!codeSent) {
+                response.devCode = code;
+            }
+        }
+        
+        res.json(response);
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        res.status(500).json({ success: false, message: 'Kodni yuborishda xatolik yuz berdi' });
+    }
+});
+
+// Set a new password with the code from /api/forgot-password
+app.post('/api/reset-password', rateLimit('resetPasswordIp'), async (req, res) => {
+    try {
+        const { login, code, newPassword } = req.body;
+        
+        if (!login || !code || !newPassword || typeof login !== 'string') {
+            return res.status(400).json({ success: false, message: 'Login, kod va yangi parol kerak' });
+        }
+        
+        if (String(newPassword).length < MIN_PASSWORD_LENGTH) {
+            return res.status(400).json({ success: false, message: `Parol kamida ${MIN_PASSWORD_LENGTH} ta belgidan iborat bo'lishi kerak` });
+        }
+        
+        const user = await db.users.findOne({ login });
+        const reset = user && await db.passwordResets.findOne({ userId: user.id });
+        
+        if (!reset || reset.expiresAt <= new Date().toISOString()) {
+            return res.status(400).json({ success: false, message: 'Noto\'g\'ri kod yoki kod eskirgan' });
+        }
+        
+        // Count the guess before checking it, as in /api/verify-code
+        const attempts = reset.attempts + 1;
+        const counted = await db.passwordResets.updateMany({ id: reset.id, attempts: reset.attempts }, { attempts });
+        
+        if (!counted) {
+            return res.status(409).json({ success: false, message: 'Kod hozir tekshirilmoqda, qayta urinib ko\'ring' });
+        }
+        
+        if (String(code).trim() !== reset.code) {
+            const attemptsLeft = PASSWORD_RESET_MAX_ATTEMPTS - attempts;
+            if (attemptsLeft > 0) {
+                return res.status(400).json({ success: false, message: `Noto'g'ri kod. Qolgan urinishlar: ${attemptsLeft}`, attemptsLeft });
+            }
+            await db.passwordResets.remove(reset.id);
+            return res.status(400).json({ success: false, message: 'Juda ko\'p noto\'g\'ri urinish. Yangi kod so\'rang', attemptsLeft: 0 });
+        }
+        
+        // The code works once
+        if (!await db.passwordResets.remove(reset.id)) {
+            return res.status(400).json({ success: false, message: 'Noto\'g\'ri kod yoki kod eskirgan' });
+        }
+        
+        await revokeUserSessions(user, { password: await bcrypt.hash(newPassword, 10) });
+        await rateLimiter.resetLockout('login', login);
+        
+        res.json({ success: true, message: 'Parol yangilandi. Yangi parol bilan kiring' });
+    } catch (error) {
+        console.error('Reset password error:', error);
+        res.status(500).json({ success: false, message: 'Parolni tiklashda xatolik yuz berdi' });
+    }
+});
+
+// Send verification code
+app.post('/api/send-verification', rateLimit('sendVerificationIp'), async (req, res) => {
+    try {
+        const telegram = normalizeTelegram(req.body.telegram);
+        
+        if (!telegram) {
+            return res.status(400).json({ success: false, message: 'Telegram username kerak' });
+        }
+        
+        // Codes are only delivered to the chat the username's owner linked
+        const chatId = bot ? await findTelegramChatId(telegram) : null;
+        
+        if (!chatId && !DEV_MODE) {
+            if (!bot) {
+                return res.status(503).json({ success: false, message: 'Telegram bot ishlamayapti, keyinroq urinib ko\'ring' });
+            }
+            return res.status(400).json({
+                success: false,
+                message: `Avval Telegram botga${BOT_USERNAME ? ` (@${BOT_USERNAME})` : ''} /start buyrug'ini yuboring`,
+                botUsername: BOT_USERNAME
+            });
+        }
+        
+        // Limit how often codes can be requested for one username. The
+        // request times carry over from the previous verification record.
+        const now = Date.now();
+        const previous = await db.verifications.findOne({ telegram });
+        const requests = ((previous && previous.requests) || [])
+            .filter(time => now - new Date(time).getTime() < 60 * 60 * 1000);
+        const retryAfter = getVerificationRetryAfter(requests, now);
+        
+        if (retryAfter > 0) {
+            return sendTooManyRequests(res, retryAfter, `Yangi kodni ${retryAfter} soniyadan keyin so'rashingiz mumkin`);
+        }
+        
+        // Generate 6-digit code
+        const code = crypto.randomInt(100000, 1000000).toString();
+        
+        // Remove any existing verification for this telegram username
+        await db.verifications.removeMany({ telegram });
+        
+        // Add new verification. status: pending -> verified -> used, or
+        // invalid after too many wrong guesses or a failed delivery.
+        const newVerification = {
+            id: newId(),
+            telegram,
+            code,
+            status: 'pending',
+            attempts: 0,
+            requests: [...requests, new Date(now).toISOString()],
+            createdAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + VERIFICATION_CODE_TTL_MS).toISOString()
+        };
+        
+        await db.verifications.insert(newVerification);
+        
+        // Send code via Telegram
+        let codeSent = false;
+        
+        if (chatId) {
+            try {
+                await bot.sendMessage(chatId, `Sizning tasdiqlash kodingiz: ${code}`);
+                codeSent = true;
+                console.log(`Sent verification code to @${telegram} via Telegram`);
+            } catch (error) {
+                console.error('Error sending Telegram message:', error);
+            }
+        }
+        
+        if (!codeSent && !DEV_MODE) {
+            await db.verifications.update(newVerification.id, { status: 'invalid', code: null });
+            return res.status(502).json({ success: false, message: 'Kodni Telegram orqali yuborib bo\'lmadi' });
+        }
+        
+        if (DEV_MODE) {
+            console.log(`Verification code for @${telegram}: ${code}`);
+        }
+        
+        res.json({ 
+            success: true, 
+            message: codeSent ? 'Kod Telegram orqali yuborildi' : 'Kod yaratildi (ishlab chiqish rejimi, konsolda ko\'rsatildi)',
+            devCode: !codeSent ? code : undefined // Only reached in development mode
+        });
+    } catch (error) {
+        console.error('Send verification error:', error);
+        res.status(500).json({ success: false, message: 'Kodni yuborishda xatolik yuz berdi' });
+    }
+});
+
+// Verify code
+app.post('/api/verify-code', rateLimit('verifyCodeIp'), rateLimit('verifyCodeAccount', req => normalizeTelegram(req.body.telegram)), async (req, res) => {
+    try {
+        const telegram = normalizeTelegram(req.body.telegram);
+        const { code } = req.body;
+        
+        if (!telegram || !code) {
+            return res.status(400).json({ success: false, message: 'Telegram username va kod kerak' });
+        }
+        
+        const verification = await db.verifications.findOne({ telegram, status: 'pending' });
+        
+        if (!verification || verification.expiresAt <= new Date().toISOString()) {
+            return res.status(400).json({ success: false, message: 'Noto\'g\'ri kod yoki kod eskirgan' });
+        }
+        
+        // Count the guess before checking it, so parallel requests can't go
+        // past the limit
+        const attempts = verification.attempts + 1;
+        const counted = await db.verifications.updateMany(
+            { id: verification.id, status: 'pending', attempts: verification.attempts },
+            { attempts }
+        );
+        
+        if (!counted) {
+            return res.status(409).json({ success: false, message: 'Kod hozir tekshirilmoqda, qayta urinib ko\'ring' });
+        }
+        
+        if (String(code).trim() !== verification.code) {
+            const attemptsLeft = VERIFICATION_MAX_ATTEMPTS - attempts;
+            if (attemptsLeft > 0) {
+                return res.status(400).json({ success: false, message: `Noto'g'ri kod. Qolgan urinishlar: ${attemptsLeft}`, attemptsLeft });
+            }
+            await db.verifications.update(verification.id, { status: 'invalid', code: null });
+            return res.status(400).json({ success: false, message: 'Juda ko\'p noto\'g\'ri urinish. Yangi kod so\'rang', attemptsLeft: 0 });
+        }
+        
+        await db.verifications.update(verification.id, { status: 'verified', code: null, verifiedAt: new Date().toISOString() });
+        
+        // Registration requires this token; it is bound to the username and
+        // can be used once
+        const verificationToken = jwt.sign({
+            purpose: 'registration',
+            telegram,
+            verificationId: verification.id
+        }, JWT_SECRET, { expiresIn: REGISTRATION_TOKEN_TTL });
+        
+        res.json({ success: true, message: 'Kod tasdiqlandi', verificationToken });
+    } catch (error) {
+        console.error('Verify code error:', error);
+        res.status(500).json({ success: false, message: 'Kodni tasdiqlashda xatolik yuz berdi' });
+    }
+});
+
+// Register user
+app.post('/api/register', async (req, res) => {
+    try {
+        const { firstName, lastName, direction, phone, login, password, verificationToken } = req.body;
+        
+        // Validate required fields
+        if (!firstName || !lastName || !direction || !phone || !login || !password) {
+            return res.status(400).json({ success: false, message: 'Barcha maydonlar to\'ldirilishi kerak' });
+        }
+        
+        // The Telegram username comes from the token /api/verify-code issued
+        let verified = null;
+        try {
+            verified = verificationToken && jwt.verify(verificationToken, JWT_SECRET);
+        } catch (error) {
+            verified = null;
+        }
+        
+        if (!verified || verified.purpose !== 'registration') {
+            return res.status(400).json({ success: false, message: 'Telegram username tasdiqlanmagan yoki tasdiqlash muddati tugagan' });
+        }
+        
+        if (req.body.telegram && normalizeTelegram(req.body.telegram) !== verified.telegram) {
+            return res.status(400).json({ success: false, message: 'Telegram username tasdiqlangan username bilan mos emas' });
+        }
+        
+        const telegram = `@${verified.telegram}`;
+        
+        // Check if login already exists
+        if (await db.users.findOne({ login })) {
+            return res.status(400).json({ success: false, message: 'Bu login band' });
+        }
+        
+        // Check if telegram already exists
+        if (await db.users.findOne({ telegram })) {
+            return res.status(400).json({ success: false, message: 'Bu telegram username band' });
+        }
+        
+        // Get direction to validate and get name
+        const selectedDirection = await db.directions.findById(direction);
+        
+        if (!selectedDirection) {
+            return res.status(400).json({ success: false, message: 'Noto\'g\'ri yo\'nalish' });
+        }
+        
+        // Consume the verification so the token registers only one account
+        const consumed = await db.verifications.updateMany(
+            { id: verified.verificationId, telegram: verified.telegram, status: 'verified' },
+            { status: 'used', usedAt: new Date().toISOString() }
+        );
+        
+        if (!consumed) {
+            return res.status(400).json({ success: false, message: 'Bu tasdiqlash allaqachon ishlatilgan. Kodni qayta so\'rang' });
+        }
+        
+        // Create new user
+        const newUser = {
+            id: newId(),
+            firstName,
+            lastName,
+            direction,
+            directionName: selectedDirection.name,
+            phone,
+            telegram,
+            login,
+            password: await bcrypt.hash(password, 10),
+            role: 'student',
+            directionIds: [],
+            createdAt: new Date().toISOString()
+        };
+        
+        await db.users.insert(newUser);
+        
+        res.json({ success: true, message: 'Ro\'yxatdan o\'tish muvaffaqiyatli' });
+    } catch (error) {
+        console.error('Registration error:', error);
+        res.status(500).json({ success: false, message: 'Ro\'yxatdan o\'tishda xatolik yuz berdi' });
+    }
+});
+
+// Get tests for user
+app.get('/api/tests', authenticateToken, async (req, res) => {
+    try {
+        const user = await db.users.findById(req.user.userId);
+        
+        if (!user) {
+            return res.status(404).json({ success: false, message: 'Foydalanuvchi topilmadi' });
+        }
+        
+        res.json(await listTestsForUser(user));
+    } catch (error) {
+        console.error('Get tests error:', error);
+        res.status(500).json({ success: false, message: 'Testlarni yuklashda xatolik yuz berdi' });
+    }
+});
+
+// Get test by ID
+app.get('/api/tests/:id', authenticateToken, async (req, res) => {
+    try {
+        const test = await db.tests.findById(req.params.id);
+        
+        if (!test) {
+            return res.status(404).json({ success: false, message: 'Test topilmadi' });
+        }
+        
+        const accessError = getTestAccessError(req.currentUser, test, await findUserGroupIds(req.currentUser));
+        
+        if (accessError) {
+            return res.status(accessError.status).json({ success: false, message: accessError.message });
+        }
+        
+        // Remove correct answers from questions. Bank-assembled tests get
+        // their questions per attempt from the start endpoint.
+        const testWithoutAnswers = {
+            ...test,
+            questions: (test.questions || []).map(stripAnswerKey),
+            questionCount: getTestQuestionCount(test)
+        };
+        
+        res.json(testWithoutAnswers);
+    } catch (error) {
+        console.error('Get test error:', error);
+        res.status(500).json({ success: false, message: 'Testni yuklashda xatolik yuz berdi' });
+    }
+});
+
+// Start test attempt
+app.post('/api/tests/:id/start', authenticateToken, async (req, res) => {
+    try {
+        const test = await db.tests.findById(req.params.id);
+        
+        if (!test) {
+            return res.status(404).json({ success: false, message: 'Test topilmadi' });
+        }
+        
+        const user = await db.users.findById(req.user.userId);
+        
+        if (!user) {
+            return res.status(404).json({ success: false, message: 'Foydalanuvchi topilmadi' });
+        }
+        
+        const { attempt, error } = await startAttempt(user, test);
+        
+        if (error) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+        
+        await trackAttemptClient(attempt.id, req);
+        
+        res.json({ success: true, attempt: presentAttempt(attempt), serverTime: new Date().toISOString() });
+    } catch (error) {
+        console.error('Start test error:', error);
+        res.status(500).json({ success: false, message: 'Testni boshlashda xatolik yuz berdi' });
+    }
+});
+
+// Get own attempt with its saved answers, to resume it on any device
+app.get('/api/attempts/:id', authenticateToken, async (req, res) => {
+    try {
+        // An attempt whose time ran out is submitted before it is shown
+        await submitExpiredAttempts({ id: req.params.id, userId: req.user.userId });
+        
+        const attempt = await db.attempts.findById(req.params.id);
+        
+        if (!attempt || attempt.userId !== req.user.userId) {
+            return res.status(404).json({ success: false, message: 'Urinish topilmadi' });
+        }
+        
+        if (attempt.status === 'in_progress') {
+            await trackAttemptClient(attempt.id, req);
+        }
+        
+        res.json({ success: true, attempt: presentAttempt(attempt), serverTime: new Date().toISOString() });
+    } catch (error) {
+        console.error('Get attempt error:', error);
+        res.status(500).json({ success: false, message: 'Urinishni yuklashda xatolik yuz berdi' });
+    }
+});
+
+// Save answers of a running attempt ({ answers: { questionIndex: answer } })
+app.put('/api/attempts/:id/answers', authenticateToken, async (req, res) => {
+    try {
+        const { answers } = req.body;
+        
+        if (!answers || typeof answers !== 'object') {
+            return res.status(400).json({ success: false, message: 'Javoblar kerak' });
+        }
+        
+        const { attempt, error } = await saveAttemptAnswers(req.params.id, req.user.userId, answers);
+        
+        if (error) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+        
+        await trackAttemptClient(attempt.id, req);
+        
+        res.json({
+            success: true,
+            savedAt: attempt.savedAt,
+            remainingSeconds: presentAttempt(attempt).remainingSeconds,
+            serverTime: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error('Save answers error:', error);
+        res.status(500).json({ success: false, message: 'Javoblarni saqlashda xatolik yuz berdi' });
+    }
+});
+
+// Report proctoring events of own attempt
+// ({ events: [{ type, at, questionIndex, details }] })
+app.post('/api/attempts/:id/events', authenticateToken, async (req, res) => {
+    try {
+        const attempt = await db.attempts.findById(req.params.id);
+        
+        if (!attempt || attempt.userId !== req.user.userId) {
+            return res.status(404).json({ success: false, message: 'Urinish topilmadi' });
+        }
+        
+        // Events sent right after submitting still belong to the attempt
+        if (attempt.status !== 'in_progress' && Date.now() - new Date(attempt.closedAt).getTime() > SUBMIT_GRACE_MS) {
+            return res.status(400).json({ success: false, message: 'Bu urinish allaqachon yakunlangan' });
+        }
+        
+        const { events, error } = normalizeClientEvents(req.body.events);
+        
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+        
+        const reported = await db.proctoringEvents.count({ attemptId: attempt.id, source: 'client' });
+        if (reported + events.length > MAX_EVENTS_PER_ATTEMPT) {
+            return res.status(429).json({ success: false, message: 'Bu urinish uchun hodisalar soni chegaraga yetdi' });
+        }
+        
+        await trackAttemptClient(attempt.id, req);
+        
+        const receivedAt = new Date().toISOString();
+        for (const event of events) {
+            await db.proctoringEvents.insert({
+                id: crypto.randomUUID(),
+                attemptId: attempt.id,
+                userId: attempt.userId,
+                testId: attempt.testId,
+                ...event,
+                source: 'client',
+                receivedAt,
+                ip: req.ip,
+                userAgent: req.get('user-agent') || null
+            });
+        }
+        
+        res.json({ success: true, recorded: events.length });
+    } catch (error) {
+        console.error('Report events error:', error);
+        res.status(500).json({ success: false, message: 'Hodisalarni saqlashda xatolik yuz berdi' });
+    }
+});
+
+// Submit test
+app.post('/api/submit-test', authenticateToken, async (req, res) => {
+    try {
+        const { testId, attemptId, answers } = req.body;
+        
+        if (!testId || !answers) {
+            return res.status(400).json({ success: false, message: 'Test ID va javoblar kerak' });
+        }
+        
+        const test = await db.tests.findById(testId);
+        
+        if (!test) {
+            return res.status(404).json({ success: false, message: 'Test topilmadi' });
+        }
+        
+        // Find the running attempt for this test
+        const attemptFilter = { userId: req.user.userId, testId, status: 'in_progress' };
+        if (attemptId) {
+            attemptFilter.id = attemptId;
+        }
+        const attempt = await db.attempts.findOne(attemptFilter);
+        
+        if (!attempt) {
+            return res.status(400).json({ success: false, message: 'Faol urinish topilmadi. Avval testni boshlang' });
+        }
+        
+        await trackAttemptClient(attempt.id, req);
+        
+        const { result, attemptsRemaining, error } = await submitAttempt(test, attempt, answers);
+        
+        if (error) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+        
+        res.json({
+            success: true,
+            score: result.score,
+            maxScore: result.maxScore,
+            totalQuestions: result.totalQuestions,
+            percentage: result.percentage,
+            status: result.status,
+            grade: result.grade,
+            gradeLabel: result.gradeLabel,
+            passed: result.passed,
+            passMark: result.passMark,
+            timeSpent: result.timeSpent,
+            attemptsRemaining,
+            reviewAvailable: isReviewAvailable(test)
+        });
+    } catch (error) {
+        console.error('Submit test error:', error);
+        res.status(500).json({ success: false, message: 'Testni yuborishda xatolik yuz berdi' });
+    }
+});
+
+// Get user results
+app.get('/api/my-results', authenticateToken, async (req, res) => {
+    try {
+        const userResults = await db.results.find({ userId: req.user.userId });
+        const tests = await db.tests.find({ id: { $in: [...new Set(userResults.map(r => r.testId))] } });
+        
+        const resultsWithTestInfo = userResults.map(result => {
+            const test = tests.find(t => t.id === result.testId);
+            const reviewAvailable = Boolean(test && isReviewAvailable(test));
+            return {
+                ...result,
+                testTitle: test ? test.title : 'Noma\'lum test',
+                statusText: result.status === 'pending_grading' ? 'Baholash kutilmoqda' : undefined,
+                reviewAvailable,
+                // Correct answers, per-question points and grader feedback
+                // stay hidden until the test allows review
+                questionResults: reviewAvailable
+                    ? result.questionResults
+                    : (result.questionResults || []).map(({ correctAnswer, points, maxPoints, feedback, rubricScores, ...item }) => item)
+            };
+        });
+        
+        res.json(resultsWithTestInfo);
+    } catch (error) {
+        console.error('Get results error:', error);
+        res.status(500).json({ success: false, message: 'Natijalarni yuklashda xatolik yuz berdi' });
+    }
+});
+
+// Review a result: each question with the student's answer, the correct
+// answer and the explanation, as far as the test's review policy allows
+app.get('/api/my-results/:id/review', authenticateToken, async (req, res) => {
+    try {
+        const result = await db.results.findById(req.params.id);
+        
+        if (!result || result.userId !== req.user.userId) {
+            return res.status(404).json({ success: false, message: 'Natija topilmadi' });
+        }
+        
+        const test = await db.tests.findById(result.testId);
+        
+        if (!test || !isReviewAvailable(test)) {
+            const afterClose = test && test.reviewPolicy === 'after_close';
+            return res.status(403).json({
+                success: false,
+                message: afterClose ? 'Javoblarni test yopilgandan keyin ko\'rish mumkin' : 'Bu test javoblarini ko\'rish mumkin emas',
+                reviewAvailableAt: (afterClose && test.closesAt) || null
+            });
+        }
+        
+        res.json({
+            resultId: result.id,
+            testId: test.id,
+            testTitle: test.title,
+            score: result.score,
+            maxScore: result.maxScore,
+            totalQuestions: result.totalQuestions,
+            percentage: result.percentage,
+            status: result.status,
+            grade: result.grade,
+            gradeLabel: result.gradeLabel,
+            passed: result.passed,
+            passMark: result.passMark,
+            questions: await buildResultReview(result)
+        });
+    } catch (error) {
+        console.error('Review result error:', error);
+        res.status(500).json({ success: false, message: 'Natijani ko\'rishda xatolik yuz berdi' });
+    }
+});
+
+// Certificates
+
+// Characters of certificate numbers, without lookalikes (0/O, 1/I)
+const CERTIFICATE_ALPHABET = '23456789ABCDEFGHJKLMNPQRSTUVWXYZ';
+
+// Certificates are issued one at a time, so a result gets only one
+const certificateLock = createLock();
+
+// A random certificate number like 2026-7K3M-9QXD-R2TA, so numbers can't be
+// guessed from one another
+function generateCertificateNumber(date = new Date()) {
+    const chars = [...crypto.randomBytes(12)].map(byte => CERTIFICATE_ALPHABET[byte % CERTIFICATE_ALPHABET.length]).join('');
+    return `${date.getFullYear()}-${chars.slice(0, 4)}-${chars.slice(4, 8)}-${chars.slice(8)}`;
+}
+
+function normalizeCertificateNumber(number) {
+    return String(number || '').trim().toUpperCase();
+}
+
+// Link a third party can open to check a certificate
+function getCertificateVerifyUrl(req, number) {
+    const base = (PUBLIC_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+    return `${base}/api/certificates/${encodeURIComponent(number)}?format=html`;
+}
+
+// Certificate as shown publicly
+function presentCertificate(certificate) {
+    return {
+        number: certificate.number,
+        status: certificate.revokedAt ? 'revoked' : 'valid',
+        studentName: certificate.studentName,
+        directionName: certificate.directionName,
+        testTitle: certificate.testTitle,
+        score: certificate.score,
+        maxScore: certificate.maxScore,
+        percentage: certificate.percentage,
+        grade: certificate.grade,
+        issuedAt: certificate.issuedAt,
+        revokedAt: certificate.revokedAt,
+        revokeReason: certificate.revokeReason
+    };
+}
+
+// The certificate of a passing result, issued on first request with the
+// result's details as they are now. A revoked certificate isn't reissued.
+// Returns { certificate } or { error: { status, message } }.
+function issueCertificate(result) {
+    return certificateLock(async () => {
+        const existing = await db.certificates.find({ resultId: result.id });
+        const valid = existing.find(c => !c.revokedAt);
+        
+        if (valid) {
+            return { certificate: valid };
+        }
+        if (existing.length) {
+            return { error: { status: 403, message: 'Bu natija uchun sertifikat bekor qilingan' } };
+        }
+        if (result.passed !== true) {
+            return { error: { status: 400, message: 'Sertifikat faqat testdan o\'tilgan natija uchun beriladi' } };
+        }
+        
+        const user = await db.users.findById(result.userId);
+        const test = await db.tests.findById(result.testId);
+        
+        if (!user || !test) {
+            return { error: { status: 404, message: 'Natija ma\'lumotlari topilmadi' } };
+        }
+        
+        const version = await findTakenVersion(test, result.testVersion);
+        const issuedAt = new Date();
+        const number = generateCertificateNumber(issuedAt);
+        const certificate = {
+            id: number,
+            number,
+            resultId: result.id,
+            userId: user.id,
+            testId: test.id,
+            testVersion: result.testVersion,
+            direction: version.direction,
+            studentName: `${user.firstName} ${user.lastName}`,
+            directionName: version.directionName,
+            testTitle: version.title,
+            score: result.score,
+            maxScore: result.maxScore,
+            percentage: result.percentage,
+            grade: result.grade,
+            issuedAt: issuedAt.toISOString()
+        };
+        
+        await db.certificates.insert(certificate);
+        
+        return { certificate };
+    });
+}
+
+// Get the certificate of own passing result (?format=pdf|html)
+app.get('/api/my-results/:id/certificate', authenticateToken, async (req, res) => {
+    try {
+        const format = req.query.format || 'pdf';
+        
+        if (!['pdf', 'html'].includes(format)) {
+            return res.status(400).json({ success: false, message: 'Format pdf yoki html bo\'lishi kerak' });
+        }
+        
+        const result = await db.results.findById(req.params.id);
+        
+        if (!result || result.userId !== req.user.userId) {
+            return res.status(404).json({ success: false, message: 'Natija topilmadi' });
+        }
+        
+        const { certificate, error } = await issueCertificate(result);
+        
+        if (error) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+        
+        const verifyUrl = getCertificateVerifyUrl(req, certificate.number);
+        
+        if (format === 'html') {
+            res.set('Content-Type', 'text/html; charset=utf-8');
+            return res.send(toCertificateHtml(certificate, verifyUrl));
+        }
+        
+        res.set('Content-Type', 'application/pdf');
+        res.set('Content-Disposition', `attachment; filename="sertifikat-${certificate.number}.pdf"`);
+        res.send(toCertificatePdf(certificate, verifyUrl));
+    } catch (error) {
+        console.error('Get certificate error:', error);
+        res.status(500).json({ success: false, message: 'Sertifikatni yaratishda xatolik yuz berdi' });
+    }
+});
+
+// Verify a certificate by its number (public; ?format=html for a page)
+app.get('/api/certificates/:number', rateLimit('verifyCertificateIp'), async (req, res) => {
+    try {
+        const number = normalizeCertificateNumber(req.params.number);
+        const certificate = await db.certificates.findById(number);
+        
+        if (req.query.format === 'html') {
+            res.set('Content-Type', 'text/html; charset=utf-8');
+            return res.status(certificate ? 200 : 404).send(toVerificationHtml(certificate, number));
+        }
+        
+        if (!certificate) {
+            return res.status(404).json({ success: false, valid: false, message: 'Sertifikat topilmadi' });
+        }
+        
+        res.json({ success: true, valid: !certificate.revokedAt, certificate: presentCertificate(certificate) });
+    } catch (error) {
+        console.error('Verify certificate error:', error);
+        res.status(500).json({ success: false, message: 'Sertifikatni tekshirishda xatolik yuz berdi' });
+    }
+});
+
+// Admin routes
+
+// User management helpers
+
+// User as shown in admin views, without credentials
+function presentUser(user) {
+    return {
+        id: user.id,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        direction: user.direction,
+        directionName: user.directionName,
+        phone: user.phone,
+        telegram: user.telegram,
+        login: user.login,
+        role: user.role,
+        directionIds: user.directionIds || [],
+        active: user.active !== false,
+        deactivatedAt: user.deactivatedAt,
+        createdAt: user.createdAt
+    };
+}
+
+const PASSWORD_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789';
+
+function generatePassword(length = 10) {
+    return Array.from({ length }, () => PASSWORD_ALPHABET[crypto.randomInt(PASSWORD_ALPHABET.length)]).join('');
+}
+
+// Free login made from the name: "avaliyev", then "avaliyev2", ...
+// `reserved` holds logins already handed out in the same batch.
+async function generateLogin(firstName, lastName, reserved) {
+    const ascii = text => String(text || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+    const base = (ascii(firstName).slice(0, 1) + ascii(lastName)) || 'student';
+    for (let n = 1; ; n++) {
+        const login = n === 1 ? base : `${base}${n}`;
+        if (!reserved.has(login) && !await db.users.findOne({ login })) {
+            return login;
+        }
+    }
+}
+
+// Validate admin input for a new student account. direction may be an id
+// or a name; login and password are generated when missing. `reserved`
+// tracks logins and telegram names taken earlier in the same batch.
+// Returns { user, password } or { error }.
+async function buildStudentAccount(fields, admin, reserved = { logins: new Set(), telegrams: new Set() }) {
+    const { firstName, lastName, phone } = fields;
+    
+    if (!firstName || !lastName || !fields.direction || !phone) {
+        return { error: 'Ism, familiya, yo\'nalish va telefon kerak' };
+    }
+    
+    const direction = await db.directions.findById(String(fields.direction))
+        || await db.directions.findOne({ name: String(fields.direction) });
+    
+    if (!direction) {
+        return { error: 'Noto\'g\'ri yo\'nalish' };
+    }
+    
+    if (!canAccessDirection(admin, direction.id)) {
+        return { error: 'Bu yo\'nalish uchun ruxsat yo\'q' };
+    }
+    
+    const telegram = fields.telegram ? `@${normalizeTelegram(fields.telegram)}` : undefined;
+    if (telegram && (reserved.telegrams.has(telegram) || await db.users.findOne({ telegram }))) {
+        return { error: 'Bu telegram username band' };
+    }
+    
+    const login = fields.login ? String(fields.login).trim() : await generateLogin(firstName, lastName, reserved.logins);
+    if (fields.login && (reserved.logins.has(login) || await db.users.findOne({ login }))) {
+        return { error: 'Bu login band' };
+    }
+    
+    const password = fields.password ? String(fields.password) : generatePassword();
+    if (password.length < MIN_PASSWORD_LENGTH) {
+        return { error: `Parol kamida ${MIN_PASSWORD_LENGTH} ta belgidan iborat bo'lishi kerak` };
+    }
+    
+    reserved.logins.add(login);
+    if (telegram) {
+        reserved.telegrams.add(telegram);
+    }
+    
+    return {
+        password,
+        user: {
+            id: newId(),
+            firstName: String(firstName).trim(),
+            lastName: String(lastName).trim(),
+            direction: direction.id,
+            directionName: direction.name,
+            phone: String(phone).trim(),
+            telegram,
+            login,
+            role: 'student',
+            directionIds: [],
+            active: true,
+            createdBy: admin.id,
+            createdAt: new Date().toISOString()
+        }
+    };
+}
+
+// User in :id if `admin` may manage them: students of the admin's
+// directions, staff only for super admins. Deleted users are not found.
+// Returns { user } or { error: { status, message } }.
+async function findManagedUser(admin, userId) {
+    const user = await db.users.findById(userId);
+    
+    if (!user || user.deletedAt) {
+        return { error: { status: 404, message: 'Foydalanuvchi topilmadi' } };
+    }
+    
+    const allowed = user.role === 'student'
+        ? canAccessDirection(admin, user.direction)
+        : hasPermission(admin, 'roles:manage');
+    
+    if (!allowed) {
+        return { error: { status: 403, message: 'Bu foydalanuvchi uchun ruxsat yo\'q' } };
+    }
+    
+    return { user };
+}
+
+// Get all users
+app.get('/api/admin/users', authenticateToken, requirePermission('users:view'), async (req, res) => {
+    try {
+        const users = await db.users.find({
+            role: 'student',
+            deletedAt: { $exists: false },
+            ...scopeByDirection(req.currentUser)
+        });
+        
+        // Filter out sensitive info
+        res.json(users.map(presentUser));
+    } catch (error) {
+        console.error('Get users error:', error);
+        res.status(500).json({ success: false, message: 'Foydalanuvchilarni yuklashda xatolik yuz berdi' });
+    }
+});
+
+// Get one user
+app.get('/api/admin/users/:id', authenticateToken, requirePermission('users:view'), async (req, res) => {
+    try {
+        const { user, error } = await findManagedUser(req.currentUser, req.params.id);
+        
+        if (error) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+        
+        res.json(presentUser(user));
+    } catch (error) {
+        console.error('Get user error:', error);
+        res.status(500).json({ success: false, message: 'Foydalanuvchini yuklashda xatolik yuz berdi' });
+    }
+});
+
+// Create a student account. The password (given or generated) is returned
+// once so it can be handed to the student.
+app.post('/api/admin/users', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+    try {
+        const { user, password, error } = await buildStudentAccount(req.body, req.currentUser);
+        
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+        
+        await db.users.insert({ ...user, password: await bcrypt.hash(password, 10) });
+        
+        res.json({ success: true, user: presentUser(user), password });
+    } catch (error) {
+        console.error('Create user error:', error);
+        res.status(500).json({ success: false, message: 'Foydalanuvchini yaratishda xatolik yuz berdi' });
+    }
+});
+
+// Import student accounts from CSV (see formats/users.js). With `preview`
+// only validates. Nothing is created unless every row is valid.
+app.post('/api/admin/users/import', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+    try {
+        const { content, preview } = req.body;
+        
+        if (!content || typeof content !== 'string') {
+            return res.status(400).json({ success: false, message: 'Fayl matni kerak' });
+        }
+        
+        const parsed = parseUserCsv(content);
+        const errors = [...parsed.errors];
+        const accounts = [];
+        const reserved = { logins: new Set(), telegrams: new Set() };
+        
+        for (const { line, ...fields } of parsed.users) {
+            const { user, password, error } = await buildStudentAccount(fields, req.currentUser, reserved);
+            if (error) {
+                errors.push({ line, message: error });
+            } else {
+                accounts.push({ line, user, password });
+            }
+        }
+        errors.sort((a, b) => a.line - b.line);
+        
+        // Validate-only mode
+        if (preview) {
+            return res.json({
+                success: errors.length === 0,
+                preview: true,
+                users: accounts.map(({ line, user }) => ({ line, ...presentUser(user), id: undefined })),
+                errors
+            });
+        }
+        
+        if (errors.length) {
+            return res.status(400).json({ success: false, message: 'Import faylida xatolar bor', errors });
+        }
+        
+        if (!accounts.length) {
+            return res.status(400).json({ success: false, message: 'Faylda foydalanuvchilar topilmadi' });
+        }
+        
+        for (const { user, password } of accounts) {
+            await db.users.insert({ ...user, password: await bcrypt.hash(password, 10) });
+        }
+        
+        res.json({
+            success: true,
+            created: accounts.map(({ line, user, password }) => ({
+                line,
+                id: user.id,
+                firstName: user.firstName,
+                lastName: user.lastName,
+                directionName: user.directionName,
+                login: user.login,
+                password
+            }))
+        });
+    } catch (error) {
+        console.error('Import users error:', error);
+        res.status(500).json({ success: false, message: 'Foydalanuvchilarni import qilishda xatolik yuz berdi' });
+    }
+});
+
+// Update a user's details
+app.put('/api/admin/users/:id', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+    try {
+        const { user, error } = await findManagedUser(req.currentUser, req.params.id);
+        
+        if (error) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+        
+        const { firstName, lastName, direction, phone, telegram, login } = req.body;
+        const changes = {};
+        
+        if (firstName !== undefined) {
+            if (!String(firstName).trim()) {
+                return res.status(400).json({ success: false, message: 'Ism bo\'sh bo\'lmasligi kerak' });
+            }
+            changes.firstName = String(firstName).trim();
+        }
+        
+        if (lastName !== undefined) {
+            if (!String(lastName).trim()) {
+                return res.status(400).json({ success: false, message: 'Familiya bo\'sh bo\'lmasligi kerak' });
+            }
+            changes.lastName = String(lastName).trim();
+        }
+        
+        if (phone !== undefined) {
+            if (!String(phone).trim()) {
+                return res.status(400).json({ success: false, message: 'Telefon bo\'sh bo\'lmasligi kerak' });
+            }
+            changes.phone = String(phone).trim();
+        }
+        
+        if (direction !== undefined && direction !== user.direction) {
+            const selectedDirection = await db.directions.findById(direction);
+            
+            if (!selectedDirection) {
+                return res.status(400).json({ success: false, message: 'Noto\'g\'ri yo\'nalish' });
+            }
+            
+            if (!canAccessDirection(req.currentUser, direction)) {
+                return sendDirectionForbidden(res);
+            }
+            
+            changes.direction = selectedDirection.id;
+            changes.directionName = selectedDirection.name;
+        }
+        
+        if (telegram !== undefined) {
+            const normalized = telegram ? `@${normalizeTelegram(telegram)}` : undefined;
+            if (normalized && await db.users.findOne({ telegram: normalized, id: { $ne: user.id } })) {
+                return res.status(400).json({ success: false, message: 'Bu telegram username band' });
+            }
+            changes.telegram = normalized;
+        }
+        
+        if (login !== undefined) {
+            if (!String(login).trim()) {
+                return res.status(400).json({ success: false, message: 'Login bo\'sh bo\'lmasligi kerak' });
+            }
+            if (await db.users.findOne({ login: String(login).trim(), id: { $ne: user.id } })) {
+                return res.status(400).json({ success: false, message: 'Bu login band' });
+            }
+            changes.login = String(login).trim();
+        }
+        
+        const updatedUser = await db.users.update(user.id, { ...changes, updatedAt: new Date().toISOString() });
+        
+        // Groups are per direction
+        if (changes.direction) {
+            await removeFromGroups(user.id);
+        }
+        
+        res.json({ success: true, user: presentUser(updatedUser) });
+    } catch (error) {
+        console.error('Update user error:', error);
+        res.status(500).json({ success: false, message: 'Foydalanuvchini yangilashda xatolik yuz berdi' });
+    }
+});
+
+// Deactivate a user: login is blocked and all sessions end
+app.post('/api/admin/users/:id/deactivate', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+    try {
+        const { user, error } = await findManagedUser(req.currentUser, req.params.id);
+        
+        if (error) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+        
+        if (user.id === req.currentUser.id) {
+            return res.status(400).json({ success: false, message: 'O\'z hisobingizni bloklab bo\'lmaydi' });
+        }
+        
+        const updatedUser = await revokeUserSessions(user, {
+            active: false,
+            deactivatedAt: new Date().toISOString(),
+            deactivatedBy: req.currentUser.id
+        });
+        
+        res.json({ success: true, user: presentUser(updatedUser) });
+    } catch (error) {
+        console.error('Deactivate user error:', error);
+        res.status(500).json({ success: false, message: 'Foydalanuvchini bloklashda xatolik yuz berdi' });
+    }
+});
+
+// Reactivate a user
+app.post('/api/admin/users/:id/activate', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+    try {
+        const { user, error } = await findManagedUser(req.currentUser, req.params.id);
+        
+        if (error) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+        
+        const updatedUser = await db.users.update(user.id, {
+            active: true,
+            deactivatedAt: undefined,
+            deactivatedBy: undefined
+        });
+        
+        res.json({ success: true, user: presentUser(updatedUser) });
+    } catch (error) {
+        console.error('Activate user error:', error);
+        res.status(500).json({ success: false, message: 'Foydalanuvchini faollashtirishda xatolik yuz berdi' });
+    }
+});
+
+// Set a new password (given or generated) and end the user's sessions
+app.post('/api/admin/users/:id/reset-password', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+    try {
+        const { user, error } = await findManagedUser(req.currentUser, req.params.id);
+        
+        if (error) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+        
+        const password = req.body.password ? String(req.body.password) : generatePassword();
+        
+        if (password.length < MIN_PASSWORD_LENGTH) {
+            return res.status(400).json({ success: false, message: `Parol kamida ${MIN_PASSWORD_LENGTH} ta belgidan iborat bo'lishi kerak` });
+        }
+        
+        await revokeUserSessions(user, { password: await bcrypt.hash(password, 10) });
+        await rateLimiter.resetLockout('login', user.login);
+        
+        res.json({ success: true, password });
+    } catch (error) {
+        console.error('Admin reset password error:', error);
+        res.status(500).json({ success: false, message: 'Parolni tiklashda xatolik yuz berdi' });
+    }
+});
+
+// Delete a user. Users without results are removed. Otherwise their
+// results stay and the account is reduced to a record results point to:
+// ?results=keep (default) keeps the name, direction and phone for reports,
+// ?results=anonymize also removes the name and phone. Login, password and
+// Telegram are dropped either way, so they can be registered again.
+app.delete('/api/admin/users/:id', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+    try {
+        const mode = req.query.results || 'keep';
+        
+        if (!['keep', 'anonymize'].includes(mode)) {
+            return res.status(400).json({ success: false, message: 'results keep yoki anonymize bo\'lishi kerak' });
+        }
+        
+        const { user, error } = await findManagedUser(req.currentUser, req.params.id);
+        
+        if (error) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+        
+        if (user.id === req.currentUser.id) {
+            return res.status(400).json({ success: false, message: 'O\'z hisobingizni o\'chirib bo\'lmaydi' });
+        }
+        
+        if (user.role === 'super_admin' && await db.users.count({ role: 'super_admin', deletedAt: { $exists: false } }) <= 1) {
+            return res.status(400).json({ success: false, message: 'Kamida bitta bosh administrator qolishi kerak' });
+        }
+        
+        // Sessions, links and unfinished attempts go in both cases
+        await db.refreshTokens.removeMany({ userId: user.id });
+        await db.linkTokens.removeMany({ userId: user.id });
+        await db.passwordResets.removeMany({ userId: user.id });
+        await db.telegramLinks.removeMany({ userId: user.id });
+        await db.attempts.removeMany({ userId: user.id, status: 'in_progress' });
+        await removeFromGroups(user.id);
+        
+        const resultCount = await db.results.count({ userId: user.id });
+        
+        if (!resultCount) {
+            await db.attempts.removeMany({ userId: user.id });
+            await db.proctoringEvents.removeMany({ userId: user.id });
+            await db.users.remove(user.id);
+            return res.json({ success: true, message: 'Foydalanuvchi o\'chirildi' });
+        }
+        
+        const changes = {
+            login: undefined,
+            password: undefined,
+            telegram: undefined,
+            active: false,
+            tokenVersion: (user.tokenVersion || 0) + 1,
+            deletedAt: new Date().toISOString(),
+            deletedBy: req.currentUser.id
+        };
+        
+        if (mode === 'anonymize') {
+            Object.assign(changes, {
+                firstName: 'O\'chirilgan',
+                lastName: 'foydalanuvchi',
+                phone: undefined,
+                anonymized: true
+            });
+            
+            // Certificates are public, so they lose the name and stop being
+            // valid; where the attempts were taken from is forgotten too
+            const now = new Date().toISOString();
+            await db.certificates.updateMany({ userId: user.id }, { studentName: `${changes.firstName} ${changes.lastName}` });
+            await db.certificates.updateMany(
+                { userId: user.id, revokedAt: { $exists: false } },
+                { revokedAt: now, revokedBy: req.currentUser.id, revokeReason: 'Foydalanuvchi o\'chirilgan' }
+            );
+            await db.attempts.updateMany({ userId: user.id }, { clients: undefined });
+            await db.proctoringEvents.updateMany({ userId: user.id }, { ip: undefined, userAgent: undefined });
+        }
+        
+        await db.users.update(user.id, changes);
+        
+        res.json({
+            success: true,
+            message: mode === 'anonymize'
+                ? 'Foydalanuvchi o\'chirildi, natijalari anonimlashtirildi'
+                : 'Foydalanuvchi o\'chirildi, natijalari saqlandi',
+            results: resultCount
+        });
+    } catch (error) {
+        console.error('Delete user error:', error);
+        res.status(500).json({ success: false, message: 'Foydalanuvchini o\'chirishda xatolik yuz berdi' });
+    }
+});
+
+// Student groups
+
+// Group in :id if the admin manages its direction. Returns { group } or
+// { error: { status, message } }.
+async function findManagedGroup(admin, groupId) {
+    const group = await db.groups.findById(groupId);
+    
+    if (!group) {
+        return { error: { status: 404, message: 'Guruh topilmadi' } };
+    }
+    
+    if (!canAccessDirection(admin, group.direction)) {
+        return { error: { status: 403, message: 'Bu yo\'nalish uchun ruxsat yo\'q' } };
+    }
+    
+    return { group };
+}
+
+// Take a user out of every group, e.g. when they leave the direction
+async function removeFromGroups(userId) {
+    const groups = await db.groups.find({ memberIds: userId });
+    for (const group of groups) {
+        await db.groups.update(group.id, { memberIds: group.memberIds.filter(id => id !== userId) });
+    }
+}
+
+function presentGroup(group) {
+    return { ...group, memberCount: group.memberIds.length };
+}
+
+// Get groups, optionally of one ?direction=
+app.get('/api/admin/groups', authenticateToken, requirePermission('groups:view'), async (req, res) => {
+    try {
+        const filter = scopeByDirection(req.currentUser);
+        
+        if (req.query.direction) {
+            if (!canAccessDirection(req.currentUser, req.query.direction)) {
+                return sendDirectionForbidden(res);
+            }
+            filter.direction = req.query.direction;
+        }
+        
+        const groups = await db.groups.find(filter, { sort: { name: 1 } });
+        res.json(groups.map(presentGroup));
+    } catch (error) {
+        console.error('Get groups error:', error);
+        res.status(500).json({ success: false, message: 'Guruhlarni yuklashda xatolik yuz berdi' });
+    }
+});
+
+// Get group with its members
+app.get('/api/admin/groups/:id', authenticateToken, requirePermission('groups:view'), async (req, res) => {
+    try {
+        const { group, error } = await findManagedGroup(req.currentUser, req.params.id);
+        
+        if (error) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+        
+        const members = await db.users.find({ id: { $in: group.memberIds } });
+        
+        res.json({ ...presentGroup(group), members: members.map(presentUser) });
+    } catch (error) {
+        console.error('Get group error:', error);
+        res.status(500).json({ success: false, message: 'Guruhni yuklashda xatolik yuz berdi' });
+    }
+});
+
+// Create group
+app.post('/api/admin/groups', authenticateToken, requirePermission('groups:manage'), async (req, res) => {
+    try {
+        const { direction, memberIds = [] } = req.body;
+        const name = String(req.body.name || '').trim();
+        
+        if (!name || !direction) {
+            return res.status(400).json({ success: false, message: 'Guruh nomi va yo\'nalish kerak' });
+        }
+        
+        const selectedDirection = await db.directions.findById(direction);
+        
+        if (!selectedDirection) {
+            return res.status(400).json({ success: false, message: 'Noto\'g\'ri yo\'nalish' });
+        }
+        
+        if (!canAccessDirection(req.currentUser, direction)) {
+            return sendDirectionForbidden(res);
+        }
+        
+        if (await db.groups.findOne({ direction, name })) {
+            return res.status(400).json({ success: false, message: 'Bu yo\'nalishda shu nomli guruh bor' });
+        }
+        
+        const memberError = await validateDirectionStudents(memberIds, direction);
+        
+        if (memberError) {
+            return res.status(400).json({ success: false, message: memberError });
+        }
+        
+        const newGroup = {
+            id: newId(),
+            name,
+            direction,
+            directionName: selectedDirection.name,
+            memberIds: [...new Set(memberIds.map(String))],
+            createdBy: req.currentUser.id,
+            createdAt: new Date().toISOString()
+        };
+        
+        await db.groups.insert(newGroup);
+        
+        res.json({ success: true, group: presentGroup(newGroup) });
+    } catch (error) {
+        console.error('Create group error:', error);
+        res.status(500).json({ success: false, message: 'Guruhni yaratishda xatolik yuz berdi' });
+    }
+});
+
+// Rename a group or replace its members
+app.put('/api/admin/groups/:id', authenticateToken, requirePermission('groups:manage'), async (req, res) => {
+    try {
+        const { group, error } = await findManagedGroup(req.currentUser, req.params.id);
+        
+        if (error) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+        
+        const changes = {};
+        
+        if (req.body.name !== undefined) {
+            const name = String(req.body.name).trim();
+            if (!name) {
+                return res.status(400).json({ success: false, message: 'Guruh nomi bo\'sh bo\'lmasligi kerak' });
+            }
+            if (await db.groups.findOne({ direction: group.direction, name, id: { $ne: group.id } })) {
+                return res.status(400).json({ success: false, message: 'Bu yo\'nalishda shu nomli guruh bor' });
+            }
+            changes.name = name;
+        }
+        
+        if (req.body.memberIds !== undefined) {
+            const memberError = await validateDirectionStudents(req.body.memberIds, group.direction);
+            if (memberError) {
+                return res.status(400).json({ success: false, message: memberError });
+            }
+            changes.memberIds = [...new Set(req.body.memberIds.map(String))];
+        }
+        
+        const updatedGroup = await db.groups.update(group.id, { ...changes, updatedAt: new Date().toISOString() });
+        
+        res.json({ success: true, group: presentGroup(updatedGroup) });
+    } catch (error) {
+        console.error('Update group error:', error);
+        res.status(500).json({ success: false, message: 'Guruhni yangilashda xatolik yuz berdi' });
+    }
+});
+
+// Add members to a group
+app.post('/api/admin/groups/:id/members', authenticateToken, requirePermission('groups:manage'), async (req, res) => {
+    try {
+        const { group, error } = await findManagedGroup(req.currentUser, req.params.id);
+        
+        if (error) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+        
+        const { userIds } = req.body;
+        const memberError = await validateDirectionStudents(userIds, group.direction);
+        
+        if (memberError) {
+            return res.status(400).json({ success: false, message: memberError });
+        }
+        
+        const updatedGroup = await db.groups.update(group.id, {
+            memberIds: [...new Set([...group.memberIds, ...userIds.map(String)])],
+            updatedAt: new Date().toISOString()
+        });
+        
+        res.json({ success: true, group: presentGroup(updatedGroup) });
+    } catch (error) {
+        console.error('Add group members error:', error);
+        res.status(500).json({ success: false, message: 'Guruhga qo\'shishda xatolik yuz berdi' });
+    }
+});
+
+// Remove a member from a group
+app.delete('/api/admin/groups/:id/members/:userId', authenticateToken, requirePermission('groups:manage'), async (req, res) => {
+    try {
+        const { group, error } = await findManagedGroup(req.currentUser, req.params.id);
+        
+        if (error) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+        
+        if (!group.memberIds.includes(req.params.userId)) {
+            return res.status(404).json({ success: false, message: 'Foydalanuvchi bu guruhda emas' });
+        }
+        
+        const updatedGroup = await db.groups.update(group.id, {
+            memberIds: group.memberIds.filter(id => id !== req.params.userId),
+            updatedAt: new Date().toISOString()
+        });
+        
+        res.json({ success: true, group: presentGroup(updatedGroup) });
+    } catch (error) {
+        console.error('Remove group member error:', error);
+        res.status(500).json({ success: false, message: 'Guruhdan chiqarishda xatolik yuz berdi' });
+    }
+});
+
+// Delete group. Tests assigned to it stop being offered to its members.
+app.delete('/api/admin/groups/:id', authenticateToken, requirePermission('groups:manage'), async (req, res) => {
+    try {
+        const { group, error } = await findManagedGroup(req.currentUser, req.params.id);
+        
+        if (error) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+        
+        const tests = await db.tests.find({ direction: group.direction, assignedTo: { $exists: true } });
+        for (const test of tests.filter(t => t.assignedTo.groupIds.includes(group.id))) {
+            await db.tests.update(test.id, {
+                assignedTo: { ...test.assignedTo, groupIds: test.assignedTo.groupIds.filter(id => id !== group.id) }
+            });
+        }
+        
+        await db.groups.remove(group.id);
+        
+        res.json({ success: true, message: 'Guruh o\'chirildi' });
+    } catch (error) {
+        console.error('Delete group error:', error);
+        res.status(500).json({ success: false, message: 'Guruhni o\'chirishda xatolik yuz berdi' });
+    }
+});
+
+// Get staff users with their roles
+app.get('/api/admin/staff', authenticateToken, requirePermission('roles:manage'), async (req, res) => {
+    try {
+        const staff = await db.users.find({ role: { $ne: 'student' }, deletedAt: { $exists: false } });
+        
+        res.json(staff.map(u => ({
+            id: u.id,
+            firstName: u.firstName,
+            lastName: u.lastName,
+            login: u.login,
+            role: u.role,
+            directionIds: u.directionIds || []
+        })));
+    } catch (error) {
+        console.error('Get staff error:', error);
+        res.status(500).json({ success: false, message: 'Xodimlarni yuklashda xatolik yuz berdi' });
+    }
+});
+
+// Assign a role. Direction admins, teachers and proctors need the
+// directions they work with.
+app.put('/api/admin/users/:id/role', authenticateToken, requirePermission('roles:manage'), async (req, res) => {
+    try {
+        const { role, directionIds } = req.body;
+        
+        if (!ROLES.includes(role)) {
+            return res.status(400).json({ success: false, message: `Noma'lum rol. Mumkin: ${ROLES.join(', ')}` });
+        }
+        
+        const user = await db.users.findById(req.params.id);
+        
+        if (!user || user.deletedAt) {
+            return res.status(404).json({ success: false, message: 'Foydalanuvchi topilmadi' });
+        }
+        
+        const scopeIds = SCOPED_ROLES.includes(role) ? [...new Set((directionIds || []).map(String))] : [];
+        
+        if (SCOPED_ROLES.includes(role)) {
+            if (!scopeIds.length) {
+                return res.status(400).json({ success: false, message: 'Bu rol uchun yo\'nalishlar kerak' });
+            }
+            if (await db.directions.count({ id: { $in: scopeIds } }) !== scopeIds.length) {
+                return res.status(400).json({ success: false, message: 'Noto\'g\'ri yo\'nalish' });
+            }
+        }
+        
+        // Don't lock everyone out of role management
+        if (user.role === 'super_admin' && role !== 'super_admin' && await db.users.count({ role: 'super_admin', deletedAt: { $exists: false } }) <= 1) {
+            return res.status(400).json({ success: false, message: 'Kamida bitta bosh administrator qolishi kerak' });
+        }
+        
+        const updatedUser = await db.users.update(user.id, { role, directionIds: scopeIds });
+        
+        res.json({
+            success: true,
+            user: {
+                id: updatedUser.id,
+                firstName: updatedUser.firstName,
+                lastName: updatedUser.lastName,
+                login: updatedUser.login,
+                role: updatedUser.role,
+                directionIds: updatedUser.directionIds
+            }
+        });
+    } catch (error) {
+        console.error('Assign role error:', error);
+        res.status(500).json({ success: false, message: 'Rolni o\'zgartirishda xatolik yuz berdi' });
+    }
+});
+
+// Get all tests; archived ones with ?archived=1
+app.get('/api/admin/tests', authenticateToken, requirePermission('tests:manage'), async (req, res) => {
+    try {
+        const archived = ['1', 'true'].includes(req.query.archived);
+        const tests = await db.tests.find({ ...scopeByDirection(req.currentUser), archivedAt: { $exists: archived } });
+        res.json(tests);
+    } catch (error) {
+        console.error('Get admin tests error:', error);
+        res.status(500).json({ success: false, message: 'Testlarni yuklashda xatolik yuz berdi' });
+    }
+});
+
+// Create test
+app.post('/api/admin/tests', authenticateToken, requirePermission('tests:manage'), async (req, res) => {
+    try {
+        const { title, direction, timeLimit, attempts, questions, draw, shuffleOptions } = req.body;
+        const hasQuestions = Array.isArray(questions) && questions.length > 0;
+        const hasDraw = Array.isArray(draw) && draw.length > 0;
+        
+        if (!title || !direction || !timeLimit || !attempts || (!hasQuestions && !hasDraw)) {
+            return res.status(400).json({ success: false, message: 'Barcha maydonlar to\'ldirilishi kerak' });
+        }
+        
+        if (hasQuestions && hasDraw) {
+            return res.status(400).json({ success: false, message: 'Test yoki savollar ro\'yxati, yoki savollar bankidan tanlash qoidalari bilan berilishi kerak' });
+        }
+        
+        const questionError = hasQuestions ? validateQuestions(questions) : await validateDrawRules(draw, direction);
+        if (questionError) {
+            return res.status(400).json({ success: false, message: questionError });
+        }
+        
+        const { limits, error: limitsError } = parseTestLimits(req.body);
+        
+        if (limitsError) {
+            return res.status(400).json({ success: false, message: limitsError });
+        }
+        
+        // Validate direction
+        const selectedDirection = await db.directions.findById(direction);
+        
+        if (!selectedDirection) {
+            return res.status(400).json({ success: false, message: 'Noto\'g\'ri yo\'nalish' });
+        }
+        
+        if (!canAccessDirection(req.currentUser, direction)) {
+            return sendDirectionForbidden(res);
+        }
+        
+        const { changes: availability, error: availabilityError } = await parseTestAvailability(req.body, direction);
+        
+        if (availabilityError) {
+            return res.status(400).json({ success: false, message: availabilityError });
+        }
+        
+        const { settings: grading, error: gradingError } = normalizeGradingSettings(req.body);
+        
+        if (gradingError) {
+            return res.status(400).json({ success: false, message: gradingError });
+        }
+        
+        // Create new test
+        const newTest = {
+            id: newId(),
+            title,
+            direction,
+            directionName: selectedDirection.name,
+            ...limits,
+            questions: hasQuestions ? buildTestQuestions(questions) : [],
+            draw: hasDraw ? draw : undefined,
+            // Bank-assembled tests shuffle options unless told otherwise
+            shuffleOptions: shuffleOptions !== undefined ? Boolean(shuffleOptions) : hasDraw,
+            ...grading,
+            // Without a status, tests are published as before drafts existed
+            status: 'published',
+            reviewPolicy: 'after_close',
+            ...availability,
+            version: 1,
+            createdAt: new Date().toISOString()
+        };
+        
+        await db.tests.insert(newTest);
+        await db.testVersions.insert(buildTestVersion(newTest, req.currentUser.id));
+        
+        res.json({ success: true, test: newTest });
+    } catch (error) {
+        console.error('Create test error:', error);
+        res.status(500).json({ success: false, message: 'Testni yaratishda xatolik yuz berdi' });
+    }
+});
+
+// Results filter from ?direction=&testId=&from=&to= (dates as YYYY-MM-DD,
+// both inclusive), limited to students of the directions `user` manages.
+// Returns { filter } or { error }.
+async function buildResultsFilter(query, user) {
+    const filter = {};
+    
+    const scope = getDirectionScope(user);
+    let directionIds = query.direction ? [query.direction] : null;
+    if (scope !== null) {
+        directionIds = (directionIds || scope).filter(id => scope.includes(id));
+    }
+    
+    if (directionIds) {
+        const directionUsers = await db.users.find({ direction: { $in: directionIds } });
+        filter.userId = { $in: directionUsers.map(u => u.id) };
+    }
+    
+    if (query.testId) {
+        filter.testId = query.testId;
+    }
+    
+    const createdAt = {};
+    if (query.from) {
+        const from = new Date(query.from);
+        if (isNaN(from)) return { error: 'Noto\'g\'ri boshlanish sanasi' };
+        createdAt.$gte = from.toISOString();
+    }
+    if (query.to) {
+        const to = new Date(query.to);
+        if (isNaN(to)) return { error: 'Noto\'g\'ri tugash sanasi' };
+        // Inclusive: up to the end of that day
+        to.setUTCDate(to.getUTCDate() + 1);
+        createdAt.$lt = to.toISOString();
+    }
+    if (Object.keys(createdAt).length) {
+        filter.createdAt = createdAt;
+    }
+    
+    return { filter };
+}
+
+// Results with student and test details, oldest first
+async function findResultsWithInfo(filter) {
+    const results = await db.results.find(filter, { sort: { createdAt: 1 } });
+    const users = await db.users.find({ id: { $in: [...new Set(results.map(r => r.userId))] } });
+    const tests = await db.tests.find({ id: { $in: [...new Set(results.map(r => r.testId))] } });
+    
+    return results.map(result => {
+        const user = users.find(u => u.id === result.userId);
+        const test = tests.find(t => t.id === result.testId);
+        
+        return {
+            ...result,
+            userName: user ? `${user.firstName} ${user.lastName}` : 'Noma\'lum',
+            phone: user ? user.phone : '',
+            directionName: user ? user.directionName : '',
+            testTitle: test ? test.title : 'Noma\'lum test'
+        };
+    });
+}
+
+// Get all results
+app.get('/api/admin/results', authenticateToken, requirePermission('results:view'), async (req, res) => {
+    try {
+        const { filter, error } = await buildResultsFilter(req.query, req.currentUser);
+        
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+        
+        res.json(await findResultsWithInfo(filter));
+    } catch (error) {
+        console.error('Get admin results error:', error);
+        res.status(500).json({ success: false, message: 'Natijalarni yuklashda xatolik yuz berdi' });
+    }
+});
+
+// Proctoring reports of results, keyed by result id. Identical wrong answers
+// are looked for among `peers` of the same test.
+async function buildProctoringReports(results, peers) {
+    const attemptIds = results.map(r => r.attemptId).filter(Boolean);
+    const attempts = new Map((await db.attempts.find({ id: { $in: attemptIds } })).map(a => [a.id, a]));
+    const events = await db.proctoringEvents.find({ attemptId: { $in: attemptIds } }, { sort: { occurredAt: 1 } });
+    const eventsByAttempt = new Map();
+    events.forEach(event => {
+        if (!eventsByAttempt.has(event.attemptId)) {
+            eventsByAttempt.set(event.attemptId, []);
+        }
+        eventsByAttempt.get(event.attemptId).push(event);
+    });
+    const peerIndex = indexWrongAnswers(peers);
+    
+    return new Map(results.map(result => {
+        const attemptEvents = eventsByAttempt.get(result.attemptId) || [];
+        const report = buildProctoringReport(result, {
+            attempt: attempts.get(result.attemptId) || null,
+            events: attemptEvents,
+            peerIndex
+        });
+        return [result.id, { ...report, events: attemptEvents }];
+    }));
+}
+
+// Get results flagged for review, with the same filters as /api/admin/results
+app.get('/api/admin/results/flagged', authenticateToken, requirePermission('results:view'), async (req, res) => {
+    try {
+        const { filter, error } = await buildResultsFilter(req.query, req.currentUser);
+        
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+        
+        // Results are compared only with the others in the requested scope
+        const rows = await findResultsWithInfo(filter);
+        const reports = await buildProctoringReports(rows, rows);
+        
+        res.json(rows
+            .map(row => ({ ...row, flags: reports.get(row.id).flags, eventCounts: reports.get(row.id).eventCounts }))
+            .filter(row => row.flags.length));
+    } catch (error) {
+        console.error('Get flagged results error:', error);
+        res.status(500).json({ success: false, message: 'Natijalarni yuklashda xatolik yuz berdi' });
+    }
+});
+
+// Get the proctoring record of a result: clients, events, question timings and flags
+app.get('/api/admin/results/:id/proctoring', authenticateToken, requirePermission('results:view'), async (req, res) => {
+    try {
+        const [result] = await findResultsWithInfo({ id: req.params.id });
+        
+        if (!result) {
+            return res.status(404).json({ success: false, message: 'Natija topilmadi' });
+        }
+        
+        const test = await db.tests.findById(result.testId);
+        
+        if (!test || !canAccessDirection(req.currentUser, test.direction)) {
+            return res.status(403).json({ success: false, message: 'Bu yo\'nalish uchun ruxsat yo\'q' });
+        }
+        
+        const peers = await db.results.find({ testId: result.testId });
+        const report = (await buildProctoringReports([result], peers)).get(result.id);
+        
+        res.json({ success: true, result, ...report });
+    } catch (error) {
+        console.error('Get proctoring report error:', error);
+        res.status(500).json({ success: false, message: 'Nazorat ma\'lumotlarini yuklashda xatolik yuz berdi' });
+    }
+});
+
+// Export results as CSV or printable HTML
+app.get('/api/admin/results/export', authenticateToken, requirePermission('results:view'), async (req, res) => {
+    try {
+        const format = req.query.format || 'csv';
+        const includeAnswers = ['1', 'true'].includes(req.query.includeAnswers);
+        
+        if (!['csv', 'html'].includes(format)) {
+            return res.status(400).json({ success: false, message: 'Format csv yoki html bo\'lishi kerak' });
+        }
+        
+        const { filter, error } = await buildResultsFilter(req.query, req.currentUser);
+        
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+        
+        const rows = await findResultsWithInfo(filter);
+        const fileName = `natijalar-${new Date().toISOString().slice(0, 10)}`;
+        
+        if (format === 'csv') {
+            res.set('Content-Type', 'text/csv; charset=utf-8');
+            res.set('Content-Disposition', `attachment; filename="${fileName}.csv"`);
+            return res.send(toResultsCsv(rows, { includeAnswers }));
+        }
+        
+        // Describe the applied filters in the report header
+        const subtitle = [];
+        if (req.query.direction) {
+            const direction = await db.directions.findById(req.query.direction);
+            subtitle.push(`Yo'nalish: ${direction ? direction.name : req.query.direction}`);
+        }
+        if (req.query.testId) {
+            const test = await db.tests.findById(req.query.testId);
+            subtitle.push(`Test: ${test ? test.title : req.query.testId}`);
+        }
+        if (req.query.from || req.query.to) {
+            subtitle.push(`Sana: ${req.query.from || '...'} — ${req.query.to || '...'}`);
+        }
+        
+        res.set('Content-Type', 'text/html; charset=utf-8');
+        res.send(toResultsHtml(rows, { title: 'Test natijalari', subtitle: subtitle.join(' · '), includeAnswers }));
+    } catch (error) {
+        console.error('Export results error:', error);
+        res.status(500).json({ success: false, message: 'Natijalarni eksport qilishda xatolik yuz berdi' });
+    }
+});
+
+// Passed and failed results and the pass rate (%) among results of tests
+// with a pass mark; the rate is null when there are none
+function summarizePassRate(results) {
+    const judged = results.filter(r => typeof r.passed === 'boolean');
+    const passed = judged.filter(r => r.passed).length;
+    return {
+        passed,
+        failed: judged.length - passed,
+        passRate: judged.length ? Math.round((passed / judged.length) * 100) : null
+    };
+}
+
+// Get statistics
+app.get('/api/admin/statistics', authenticateToken, requirePermission('statistics:view'), async (req, res) => {
+    try {
+        const scope = scopeByDirection(req.currentUser);
+        const directions = await db.directions.find(scopeByDirection(req.currentUser, 'id'));
+        const students = await db.users.find({ role: 'student', ...scope });
+        const results = await db.results.find({ userId: { $in: students.map(u => u.id) } });
+        
+        const stats = {
+            totalUsers: students.filter(u => !u.deletedAt).length,
+            totalTests: await db.tests.count({ ...scope, archivedAt: { $exists: false } }),
+            totalResults: results.length,
+            ...summarizePassRate(results),
+            directionStats: {}
+        };
+        
+        // Calculate stats for each direction
+        for (const direction of directions) {
+            const directionUsers = students.filter(u => u.direction === direction.id);
+            const userIds = new Set(directionUsers.map(u => u.id));
+            const directionResults = results.filter(r => userIds.has(r.userId));
+            
+            stats.directionStats[direction.name] = {
+                users: directionUsers.filter(u => !u.deletedAt).length,
+                tests: await db.tests.count({ direction: direction.id, archivedAt: { $exists: false } }),
+                results: directionResults.length,
+                ...summarizePassRate(directionResults)
+            };
+        }
+        
+        res.json(stats);
+    } catch (error) {
+        console.error('Get statistics error:', error);
+        res.status(500).json({ success: false, message: 'Statistikani yuklashda xatolik yuz berdi' });
+    }
+});
+
+// Item analysis of one version of a test (?version=, the current one by
+// default): score distribution, question difficulty and discrimination,
+// distractors and reliability
+app.get('/api/admin/tests/:id/analysis', authenticateToken, requirePermission('statistics:view'), async (req, res) => {
+    try {
+        const test = await db.tests.findById(req.params.id);
+        
+        if (!test) {
+            return res.status(404).json({ success: false, message: 'Test topilmadi' });
+        }
+        
+        if (!canAccessDirection(req.currentUser, test.direction)) {
+            return sendDirectionForbidden(res);
+        }
+        
+        const bins = req.query.bins ? parseInt(req.query.bins) : 10;
+        
+        if (!(bins >= 1 && bins <= 100)) {
+            return res.status(400).json({ success: false, message: 'bins 1 dan 100 gacha bo\'lishi kerak' });
+        }
+        
+        const versionNumber = req.query.version ? parseInt(req.query.version) : test.version;
+        const version = await db.testVersions.findById(getVersionId(test.id, versionNumber));
+        
+        if (!version) {
+            return res.status(404).json({ success: false, message: 'Test versiyasi topilmadi' });
+        }
+        
+        const results = await db.results.find({ testId: test.id, testVersion: version.version, status: { $ne: 'pending_grading' } });
+        
+        // Questions by id: the version's own, and bank questions for drawn tests
+        const questions = new Map((version.questions || []).map(q => [String(q.id), q]));
+        const answeredIds = new Set(results.flatMap(r => (r.questionResults || []).map(item => String(item.questionId))));
+        const bankIds = [...answeredIds].filter(id => !questions.has(id));
+        
+        if (bankIds.length) {
+            (await db.questions.find({ id: { $in: bankIds } })).forEach(q => questions.set(String(q.id), q));
+        }
+        
+        res.json({
+            testId: test.id,
+            version: version.version,
+            title: version.title,
+            ...analyzeTest(results, questions, { bins })
+        });
+    } catch (error) {
+        console.error('Test analysis error:', error);
+        res.status(500).json({ success: false, message: 'Tahlilni yuklashda xatolik yuz berdi' });
+    }
+});
+
+// Manual grading
+
+// Grading of one result at a time in this process, so two graders can't
+// overwrite each other's items
+const gradingLock = createLock();
+
+// Apply grades ({ questionId, points or rubricScores, feedback }) to the
+// essay items of a result. `questions` maps question ids to the questions
+// as asked. Returns { questionResults } or { error }.
+function applyGrades(questionResults, questions, grades, graderId) {
+    const updated = questionResults.map(item => ({ ...item }));
+    
+    for (const grade of grades) {
+        const item = updated.find(i => String(i.questionId) === String(grade && grade.questionId));
+        
+        if (!item) {
+            return { error: `Savol topilmadi: ${grade && grade.questionId}` };
+        }
+        
+        if (item.type !== 'essay') {
+            return { error: `${item.questionId}-savol avtomatik baholanadi` };
+        }
+        
+        const question = questions.get(String(item.questionId)) || {};
+        let points = grade.points;
+        
+        // With a rubric, points are the sum of the per-criterion scores
+        if (grade.rubricScores !== undefined) {
+            const rubric = question.rubric || [];
+            if (!Array.isArray(grade.rubricScores) || grade.rubricScores.length !== rubric.length ||
+                !grade.rubricScores.every((value, i) => typeof value === 'number' && value >= 0 && value <= rubric[i].points)) {
+                return { error: `${item.questionId}-savol: har bir mezon uchun 0 dan mezon balligacha baho kerak` };
+            }
+            points = grade.rubricScores.reduce((sum, value) => sum + value, 0);
+        }
+        
+        if (typeof points !== 'number' || !(points >= 0 && points <= item.maxPoints)) {
+            return { error: `${item.questionId}-savol: ball 0 dan ${item.maxPoints} gacha bo'lishi kerak` };
+        }
+        
+        if (grade.feedback !== undefined && grade.feedback !== null && typeof grade.feedback !== 'string') {
+            return { error: `${item.questionId}-savol: izoh matn bo'lishi kerak` };
+        }
+        
+        Object.assign(item, {
+            points: roundPoints(points),
+            rubricScores: grade.rubricScores,
+            feedback: grade.feedback ? grade.feedback.trim() : undefined,
+            gradingStatus: 'graded',
+            gradedBy: graderId,
+            gradedAt: new Date().toISOString()
+        });
+    }
+    
+    return { questionResults: updated };
+}
+
+// Tests with answers waiting for a grader
+app.get('/api/admin/grading', authenticateToken, requirePermission('results:grade'), async (req, res) => {
+    try {
+        const tests = await db.tests.find(scopeByDirection(req.currentUser));
+        const pending = await db.results.find({ testId: { $in: tests.map(t => t.id) }, status: 'pending_grading' });
+        
+        const queue = tests
+            .map(test => {
+                const results = pending.filter(r => r.testId === test.id);
+                return {
+                    testId: test.id,
+                    testTitle: test.title,
+                    directionName: test.directionName,
+                    pendingResults: results.length,
+                    pendingAnswers: results.reduce((sum, r) => sum + r.questionResults.filter(i => i.gradingStatus === 'pending').length, 0)
+                };
+            })
+            .filter(entry => entry.pendingResults > 0);
+        
+        res.json(queue);
+    } catch (error) {
+        console.error('Get grading queue error:', error);
+        res.status(500).json({ success: false, message: 'Baholash navbatini yuklashda xatolik yuz berdi' });
+    }
+});
+
+// Ungraded answers of a test, oldest first; ?questionId= for one question
+app.get('/api/admin/tests/:id/grading', authenticateToken, requirePermission('results:grade'), async (req, res) => {
+    try {
+        const test = await db.tests.findById(req.params.id);
+        
+        if (!test) {
+            return res.status(404).json({ success: false, message: 'Test topilmadi' });
+        }
+        
+        if (!canAccessDirection(req.currentUser, test.direction)) {
+            return sendDirectionForbidden(res);
+        }
+        
+        const results = await db.results.find({ testId: test.id, status: 'pending_grading' }, { sort: { createdAt: 1 } });
+        const users = await db.users.find({ id: { $in: [...new Set(results.map(r => r.userId))] } });
         
-        bot.on('error', (error) => {
-            console.error('Telegram bot error:', error.message);
-        });
+        const answers = [];
+        for (const result of results) {
+            const questions = await findResultQuestions(result);
+            const user = users.find(u => u.id === result.userId);
+            result.questionResults.forEach((item, index) => {
+                if (item.gradingStatus !== 'pending' || (req.query.questionId && String(item.questionId) !== req.query.questionId)) {
+                    return;
+                }
+                const question = questions.get(String(item.questionId)) || {};
+                answers.push({
+                    resultId: result.id,
+                    userId: result.userId,
+                    userName: user ? `${user.firstName} ${user.lastName}` : 'Noma\'lum',
+                    submittedAt: result.createdAt,
+                    questionId: item.questionId,
+                    number: index + 1,
+                    question: question.question || null,
+                    rubric: question.rubric || null,
+                    maxPoints: item.maxPoints,
+                    answer: item.userAnswer
+                });
+            });
+        }
+        
+        res.json({ testId: test.id, testTitle: test.title, answers });
     } catch (error) {
-        console.error('Failed to initialize Telegram bot:', error.message);
+        console.error('Get test grading error:', error);
+        res.status(500).json({ success: false, message: 'Baholash navbatini yuklashda xatolik yuz berdi' });
     }
-} else {
-    console.warn('TELEGRAM_BOT_TOKEN not provided. Telegram bot functionality will be simulated.');
-}
-
-// Data storage paths
-const DATA_DIR = path.join(__dirname, 'data');
-const USERS_FILE = path.join(DATA_DIR, 'users.json');
-const DIRECTIONS_FILE = path.join(DATA_DIR, 'directions.json');
-const TESTS_FILE = path.join(DATA_DIR, 'tests.json');
-const RESULTS_FILE = path.join(DATA_DIR, 'results.json');
-const VERIFICATION_FILE = path.join(DATA_DIR, 'verification.json');
-
-// Store chat IDs for verification
-const telegramChatIds = new Map();
+});
 
-// Ensure data directory exists
-async function ensureDataDir() {
+// Grade essay answers of a result: { grades: [{ questionId, points or
+// rubricScores, feedback }] }. The score is final once nothing is pending.
+app.post('/api/admin/results/:id/grade', authenticateToken, requirePermission('results:grade'), async (req, res) => {
     try {
-        await fs.mkdir(DATA_DIR, { recursive: true });
-        console.log('Data directory is ready');
+        const { grades } = req.body;
+        
+        if (!Array.isArray(grades) || !grades.length) {
+            return res.status(400).json({ success: false, message: 'Baholar ro\'yxati kerak' });
+        }
+        
+        const outcome = await gradingLock(async () => {
+            const result = await db.results.findById(req.params.id);
+            
+            if (!result) {
+                return { error: { status: 404, message: 'Natija topilmadi' } };
+            }
+            
+            const test = await db.tests.findById(result.testId);
+            
+            if (!test || !canAccessDirection(req.currentUser, test.direction)) {
+                return { error: { status: 403, message: 'Bu yo\'nalish uchun ruxsat yo\'q' } };
+            }
+            
+            const { questionResults, error } = applyGrades(result.questionResults || [], await findResultQuestions(result), grades, req.currentUser.id);
+            
+            if (error) {
+                return { error: { status: 400, message: error } };
+            }
+            
+            const score = computeResultScore(questionResults, await findTakenVersion(test, result.testVersion));
+            return {
+                result: await db.results.update(result.id, {
+                    questionResults,
+                    ...score,
+                    gradedAt: score.status === 'completed' ? new Date().toISOString() : undefined
+                })
+            };
+        });
+        
+        if (outcome.error) {
+            return res.status(outcome.error.status).json({ success: false, message: outcome.error.message });
+        }
+        
+        const { result } = outcome;
+        res.json({
+            success: true,
+            status: result.status,
+            score: result.score,
+            maxScore: result.maxScore,
+            percentage: result.percentage,
+            grade: result.grade,
+            passed: result.passed,
+            pendingAnswers: result.questionResults.filter(i => i.gradingStatus === 'pending').length
+        });
     } catch (error) {
-        console.error('Error creating data directory:', error);
+        console.error('Grade result error:', error);
+        res.status(500).json({ success: false, message: 'Baholashda xatolik yuz berdi' });
     }
-}
+});
 
-// Initialize data files if they don't exist
-async function initDataFiles() {
+// Get certificates (?direction=&testId=&status=valid|revoked), newest first
+app.get('/api/admin/certificates', authenticateToken, requirePermission('results:view'), async (req, res) => {
     try {
-        // Check if users file exists
-        try {
-            await fs.access(USERS_FILE);
-            console.log('Users file exists');
-        } catch (error) {
-            // Create default admin user
-            const adminUser = {
-                id: '1',
-                firstName: 'Admin',
-                lastName: 'User',
-                direction: 'Admin',
-                phone: '+998901234567',
-                telegram: '@admin',
-                login: 'admin',
-                password: await bcrypt.hash('isftqabul2025', 10),
-                isAdmin: true,
-                createdAt: new Date().toISOString()
-            };
-            await fs.writeFile(USERS_FILE, JSON.stringify([adminUser], null, 2));
-            console.log('Created users file with admin user');
+        const { direction, testId, status } = req.query;
+        
+        if (status && !['valid', 'revoked'].includes(status)) {
+            return res.status(400).json({ success: false, message: 'status valid yoki revoked bo\'lishi kerak' });
         }
-
-        // Check if directions file exists
-        try {
-            await fs.access(DIRECTIONS_FILE);
-            console.log('Directions file exists');
-        } catch (error) {
-            // Create default directions
-            const directions = [
-                { id: '1', name: 'Dasturlash' },
-                { id: '2', name: 'Dizayn' },
-                { id: '3', name: 'Marketing' },
-                { id: '4', name: 'Buxgalteriya' },
-                { id: '5', name: 'Tillar' }
-            ];
-            await fs.writeFile(DIRECTIONS_FILE, JSON.stringify(directions, null, 2));
-            console.log('Created directions file with default directions');
-        }
-
-        // Check if tests file exists
-        try {
-            await fs.access(TESTS_FILE);
-            console.log('Tests file exists');
-        } catch (error) {
-            // Create empty tests array
-            await fs.writeFile(TESTS_FILE, JSON.stringify([], null, 2));
-            console.log('Created empty tests file');
+        
+        const filter = scopeByDirection(req.currentUser);
+        if (direction) {
+            if (!canAccessDirection(req.currentUser, direction)) {
+                return sendDirectionForbidden(res);
+            }
+            filter.direction = direction;
         }
-
-        // Check if results file exists
-        try {
-            await fs.access(RESULTS_FILE);
-            console.log('Results file exists');
-        } catch (error) {
-            // Create empty results array
-            await fs.writeFile(RESULTS_FILE, JSON.stringify([], null, 2));
-            console.log('Created empty results file');
+        if (testId) {
+            filter.testId = testId;
         }
-
-        // Check if verification file exists
-        try {
-            await fs.access(VERIFICATION_FILE);
-            console.log('Verification file exists');
-        } catch (error) {
-            // Create empty verification array
-            await fs.writeFile(VERIFICATION_FILE, JSON.stringify([], null, 2));
-            console.log('Created empty verification file');
+        if (status) {
+            filter.revokedAt = { $exists: status === 'revoked' };
         }
+        
+        const certificates = await db.certificates.find(filter, { sort: { issuedAt: -1 } });
+        
+        res.json(certificates.map(certificate => ({
+            ...presentCertificate(certificate),
+            resultId: certificate.resultId,
+            userId: certificate.userId,
+            testId: certificate.testId,
+            revokedBy: certificate.revokedBy
+        })));
     } catch (error) {
-        console.error('Error initializing data files:', error);
+        console.error('Get certificates error:', error);
+        res.status(500).json({ success: false, message: 'Sertifikatlarni yuklashda xatolik yuz berdi' });
     }
-}
+});
 
-// Helper functions for data operations
-async function readJsonFile(filePath) {
+// Revoke a certificate ({ reason })
+app.post('/api/admin/certificates/:number/revoke', authenticateToken, requirePermission('certificates:manage'), async (req, res) => {
     try {
-        const data = await fs.readFile(filePath, 'utf8');
-        return JSON.parse(data);
+        const certificate = await db.certificates.findById(normalizeCertificateNumber(req.params.number));
+        
+        if (!certificate) {
+            return res.status(404).json({ success: false, message: 'Sertifikat topilmadi' });
+        }
+        
+        if (!canAccessDirection(req.currentUser, certificate.direction)) {
+            return sendDirectionForbidden(res);
+        }
+        
+        const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+        const revoked = await db.certificates.updateMany(
+            { id: certificate.id, revokedAt: { $exists: false } },
+            { revokedAt: new Date().toISOString(), revokedBy: req.currentUser.id, ...(reason ? { revokeReason: reason } : {}) }
+        );
+        
+        if (!revoked) {
+            return res.status(400).json({ success: false, message: 'Sertifikat allaqachon bekor qilingan' });
+        }
+        
+        res.json({ success: true, certificate: presentCertificate(await db.certificates.findById(certificate.id)) });
     } catch (error) {
-        console.error(`Error reading ${filePath}:`, error);
-        return [];
+        console.error('Revoke certificate error:', error);
+        res.status(500).json({ success: false, message: 'Sertifikatni bekor qilishda xatolik yuz berdi' });
     }
-}
+});
 
-async function writeJsonFile(filePath, data) {
-    try {
-        await fs.writeFile(filePath, JSON.stringify(data, null, 2), 'utf8');
-        return true;
-    } catch (error) {
-        console.error(`Error writing to ${filePath}:`, error);
-        return false;
+// Direction and its admission config for an admin route. Returns
+// { direction, admission } or { error }.
+async function findAdmission(user, directionId) {
+    const direction = await db.directions.findById(directionId);
+    
+    if (!direction) {
+        return { error: { status: 404, message: 'Yo\'nalish topilmadi' } };
+    }
+    
+    if (!canAccessDirection(user, direction.id)) {
+        return { error: { status: 403, message: 'Bu yo\'nalish uchun ruxsat yo\'q' } };
     }
+    
+    return { direction, admission: await db.admissions.findById(direction.id) };
 }
 
-// Telegram Bot handlers
-if (bot) {
-    bot.onText(/\/start/, (msg) => {
-        const chatId = msg.chat.id;
-        bot.sendMessage(chatId, 'Salom! Test platformasiga xush kelibsiz. Tasdiqlash kodi uchun kutib turing.');
-    });
+// Ranked applicants of a direction. A frozen list is returned as it was
+// frozen; an open one is computed from the current results.
+async function buildAdmissionList(direction, admission) {
+    if (admission.status === 'frozen') {
+        return { summary: admission.summary, applicants: admission.applicants };
+    }
     
-    // Store chat IDs for verification
-    bot.onText(/\/register (.+)/, (msg, match) => {
-        const chatId = msg.chat.id;
-        const username = match[1];
-        
-        // Store the chat ID with the username
-        telegramChatIds.set(username, chatId);
-        
-        bot.sendMessage(chatId, `${username} sifatida ro'yxatdan o'tish uchun tasdiqlash kodi yuboriladi.`);
-        console.log(`Registered chat ID ${chatId} for username ${username}`);
+    const applicants = await db.users.find({ role: 'student', direction: direction.id, deletedAt: { $exists: false } });
+    const results = await db.results.find({
+        testId: { $in: admission.tests.map(t => t.testId) },
+        userId: { $in: applicants.map(u => u.id) },
+        status: { $ne: 'pending_grading' }
     });
+    
+    return rankApplicants(applicants, results, admission);
 }
 
-// Middleware to authenticate token
-function authenticateToken(req, res, next) {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1];
-    
-    if (!token) {
-        return res.status(401).json({ success: false, message: 'Token kerak' });
-    }
-    
-    jwt.verify(token, JWT_SECRET, (err, user) => {
-        if (err) {
-            return res.status(403).json({ success: false, message: 'Noto\'g\'ri token' });
-        }
-        req.user = user;
-        next();
+// Counted tests with their titles
+async function describeAdmissionTests(admission) {
+    const tests = await db.tests.find({ id: { $in: admission.tests.map(t => t.testId) } });
+    return admission.tests.map(({ testId, weight }) => {
+        const test = tests.find(t => t.id === testId);
+        return { testId, weight, title: test ? test.title : 'Noma\'lum test' };
     });
 }
 
-// Middleware to require admin role
-function requireAdmin(req, res, next) {
-    if (!req.user.isAdmin) {
-        return res.status(403).json({ success: false, message: 'Admin huquqi kerak' });
-    }
-    next();
+// Config without the frozen list
+function presentAdmission(admission) {
+    const { applicants, ...config } = admission;
+    return config;
 }
 
-// API Routes
+// Admission configs of the directions the user manages
+app.get('/api/admin/admissions', authenticateToken, requirePermission('results:view'), async (req, res) => {
+    try {
+        const directions = await db.directions.find(scopeByDirection(req.currentUser, 'id'));
+        const admissions = await db.admissions.find({ id: { $in: directions.map(d => d.id) } });
+        
+        res.json(directions.map(direction => {
+            const admission = admissions.find(a => a.id === direction.id);
+            return {
+                directionId: direction.id,
+                directionName: direction.name,
+                admission: admission ? presentAdmission(admission) : null
+            };
+        }));
+    } catch (error) {
+        console.error('Get admissions error:', error);
+        res.status(500).json({ success: false, message: 'Qabul sozlamalarini yuklashda xatolik yuz berdi' });
+    }
+});
 
-// Health check
-app.get('/', (req, res) => {
-    res.json({ status: 'ok', message: 'Test Platform API is running' });
+// Set a direction's quota and counted tests
+app.put('/api/admin/admissions/:directionId', authenticateToken, requirePermission('admissions:manage'), async (req, res) => {
+    try {
+        const { direction, admission, error } = await findAdmission(req.currentUser, req.params.directionId);
+        
+        if (error) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+        
+        if (admission && admission.status === 'frozen') {
+            return res.status(409).json({ success: false, message: 'Qabul ro\'yxati muzlatilgan, sozlamalarni o\'zgartirib bo\'lmaydi' });
+        }
+        
+        const { config, error: configError } = normalizeAdmissionConfig(req.body);
+        
+        if (configError) {
+            return res.status(400).json({ success: false, message: configError });
+        }
+        
+        // Students only take their own direction's tests
+        const tests = await db.tests.find({ id: { $in: config.tests.map(t => t.testId) } });
+        const invalid = config.tests.filter(({ testId }) => {
+            const test = tests.find(t => t.id === testId);
+            return !test || test.direction !== direction.id;
+        });
+        
+        if (invalid.length) {
+            return res.status(400).json({
+                success: false,
+                message: `Bu yo'nalishda topilmagan testlar: ${invalid.map(t => t.testId).join(', ')}`
+            });
+        }
+        
+        const now = new Date().toISOString();
+        const changes = { ...config, updatedAt: now, updatedBy: req.currentUser.id };
+        const saved = admission
+            ? await db.admissions.update(direction.id, changes)
+            : await db.admissions.insert({ id: direction.id, direction: direction.id, status: 'open', createdAt: now, ...changes });
+        
+        res.json({ success: true, admission: presentAdmission(saved) });
+    } catch (error) {
+        console.error('Save admission error:', error);
+        res.status(500).json({ success: false, message: 'Qabul sozlamalarini saqlashda xatolik yuz berdi' });
+    }
 });
 
-// Get directions
-app.get('/api/directions', async (req, res) => {
+// Remove a direction's admission config
+app.delete('/api/admin/admissions/:directionId', authenticateToken, requirePermission('admissions:manage'), async (req, res) => {
     try {
-        const directions = await readJsonFile(DIRECTIONS_FILE);
-        res.json(directions);
+        const { admission, error } = await findAdmission(req.currentUser, req.params.directionId);
+        
+        if (error) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+        
+        if (!admission) {
+            return res.status(404).json({ success: false, message: 'Qabul sozlamalari topilmadi' });
+        }
+        
+        if (admission.status === 'frozen') {
+            return res.status(409).json({ success: false, message: 'Qabul ro\'yxati muzlatilgan, sozlamalarni o\'zgartirib bo\'lmaydi' });
+        }
+        
+        await db.admissions.remove(admission.id);
+        
+        res.json({ success: true, message: 'Qabul sozlamalari o\'chirildi' });
     } catch (error) {
-        console.error('Error fetching directions:', error);
-        res.status(500).json({ success: false, message: 'Yo\'nalishlarni yuklashda xatolik' });
+        console.error('Delete admission error:', error);
+        res.status(500).json({ success: false, message: 'Qabul sozlamalarini o\'chirishda xatolik yuz berdi' });
     }
 });
 
-// Login
-app.post('/api/login', async (req, res) => {
+// Ranked applicants of a direction, optionally only one ?status=
+app.get('/api/admin/admissions/:directionId/ranking', authenticateToken, requirePermission('results:view'), async (req, res) => {
     try {
-        const { login, password } = req.body;
+        const { direction, admission, error } = await findAdmission(req.currentUser, req.params.directionId);
         
-        if (!login || !password) {
-            return res.status(400).json({ success: false, message: 'Login va parol kerak' });
+        if (error) {
+            return res.status(error.status).json({ success: false, message: error.message });
         }
         
-        const users = await readJsonFile(USERS_FILE);
-        const user = users.find(u => u.login === login);
+        if (!admission) {
+            return res.status(404).json({ success: false, message: 'Qabul sozlamalari topilmadi' });
+        }
         
-        if (!user) {
-            return res.status(400).json({ success: false, message: 'Noto\'g\'ri login yoki parol' });
+        if (req.query.status && !ADMISSION_STATUSES.includes(req.query.status)) {
+            return res.status(400).json({ success: false, message: `Holat quyidagilardan biri bo'lishi kerak: ${ADMISSION_STATUSES.join(', ')}` });
         }
         
-        const isValidPassword = await bcrypt.compare(password, user.password);
-        if (!isValidPassword) {
-            return res.status(400).json({ success: false, message: 'Noto\'g\'ri login yoki parol' });
+        const { summary, applicants } = await buildAdmissionList(direction, admission);
+        
+        res.json({
+            directionId: direction.id,
+            directionName: direction.name,
+            admission: presentAdmission(admission),
+            tests: await describeAdmissionTests(admission),
+            summary,
+            applicants: req.query.status ? applicants.filter(a => a.status === req.query.status) : applicants
+        });
+    } catch (error) {
+        console.error('Get admission ranking error:', error);
+        res.status(500).json({ success: false, message: 'Qabul ro\'yxatini yuklashda xatolik yuz berdi' });
+    }
+});
+
+// Freeze the ranking as the final admission list
+app.post('/api/admin/admissions/:directionId/freeze', authenticateToken, requirePermission('admissions:manage'), async (req, res) => {
+    try {
+        const { direction, admission, error } = await findAdmission(req.currentUser, req.params.directionId);
+        
+        if (error) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+        
+        if (!admission) {
+            return res.status(404).json({ success: false, message: 'Qabul sozlamalari topilmadi' });
         }
         
-        const token = jwt.sign({ 
-            userId: user.id, 
-            isAdmin: user.isAdmin 
-        }, JWT_SECRET, { expiresIn: '24h' });
+        const { summary, applicants } = await buildAdmissionList(direction, admission);
         
-        res.json({ 
-            success: true, 
-            token, 
-            user: {
-                id: user.id,
-                firstName: user.firstName,
-                lastName: user.lastName,
-                direction: user.direction,
-                directionName: user.directionName,
-                isAdmin: user.isAdmin
-            }
+        // Only an open list can be frozen, so concurrent requests freeze once
+        const frozen = await db.admissions.updateMany({ id: admission.id, status: 'open' }, {
+            status: 'frozen',
+            frozenAt: new Date().toISOString(),
+            frozenBy: req.currentUser.id,
+            summary,
+            applicants
         });
+        
+        if (!frozen) {
+            return res.status(409).json({ success: false, message: 'Qabul ro\'yxati allaqachon muzlatilgan' });
+        }
+        
+        res.json({ success: true, message: 'Qabul ro\'yxati muzlatildi', summary });
     } catch (error) {
-        console.error('Login error:', error);
-        res.status(500).json({ success: false, message: 'Tizimga kirishda xatolik yuz berdi' });
+        console.error('Freeze admission error:', error);
+        res.status(500).json({ success: false, message: 'Qabul ro\'yxatini muzlatishda xatolik yuz berdi' });
     }
 });
 
-// Send verification code
-app.post('/api/send-verification', async (req, res) => {
+// Reopen a frozen list; it is computed from current results again
+app.post('/api/admin/admissions/:directionId/unfreeze', authenticateToken, requirePermission('admissions:unfreeze'), async (req, res) => {
     try {
-        const { telegram } = req.body;
+        const { admission, error } = await findAdmission(req.currentUser, req.params.directionId);
         
-        if (!telegram) {
-            return res.status(400).json({ success: false, message: 'Telegram username kerak' });
+        if (error) {
+            return res.status(error.status).json({ success: false, message: error.message });
         }
         
-        // Generate 6-digit code
-        const code = Math.floor(100000 + Math.random() * 900000).toString();
+        if (!admission || admission.status !== 'frozen') {
+            return res.status(400).json({ success: false, message: 'Qabul ro\'yxati muzlatilmagan' });
+        }
         
-        // Store verification code
-        const verifications = await readJsonFile(VERIFICATION_FILE);
+        await db.admissions.update(admission.id, {
+            status: 'open',
+            frozenAt: undefined,
+            frozenBy: undefined,
+            summary: undefined,
+            applicants: undefined
+        });
         
-        // Remove any existing verification for this telegram username
-        const filteredVerifications = verifications.filter(v => v.telegram !== telegram);
+        res.json({ success: true, message: 'Qabul ro\'yxati qayta ochildi' });
+    } catch (error) {
+        console.error('Unfreeze admission error:', error);
+        res.status(500).json({ success: false, message: 'Qabul ro\'yxatini ochishda xatolik yuz berdi' });
+    }
+});
+
+// Export the admission list as CSV or printable HTML
+app.get('/api/admin/admissions/:directionId/export', authenticateToken, requirePermission('results:view'), async (req, res) => {
+    try {
+        const format = req.query.format || 'csv';
         
-        // Add new verification
-        const newVerification = {
-            telegram,
-            code,
-            createdAt: new Date().toISOString(),
-            expiresAt: new Date(Date.now() + 5 * 60 * 1000).toISOString() // 5 minutes expiry
-        };
+        if (!['csv', 'html'].includes(format)) {
+            return res.status(400).json({ success: false, message: 'Format csv yoki html bo\'lishi kerak' });
+        }
         
-        await writeJsonFile(VERIFICATION_FILE, [...filteredVerifications, newVerification]);
+        const { direction, admission, error } = await findAdmission(req.currentUser, req.params.directionId);
         
-        // Try to send code via Telegram
-        let codeSent = false;
+        if (error) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
         
-        if (bot) {
-            try {
-                // Try to find chat ID by username
-                const chatId = telegramChatIds.get(telegram);
-                
-                if (chatId) {
-                    await bot.sendMessage(chatId, `Sizning tasdiqlash kodingiz: ${code}`);
-                    codeSent = true;
-                    console.log(`Sent verification code to ${telegram} via Telegram`);
-                } else {
-                    console.log(`No chat ID found for ${telegram}. User needs to message the bot first.`);
-                }
-            } catch (error) {
-                console.error('Error sending Telegram message:', error);
-            }
+        if (!admission) {
+            return res.status(404).json({ success: false, message: 'Qabul sozlamalari topilmadi' });
         }
         
-        // For development/testing, always log the code
-        console.log(`Verification code for ${telegram}: ${code}`);
+        const { applicants } = await buildAdmissionList(direction, admission);
+        const tests = await describeAdmissionTests(admission);
+        const fileName = `qabul-${direction.id}-${new Date().toISOString().slice(0, 10)}`;
         
-        res.json({ 
-            success: true, 
-            message: codeSent ? 'Kod Telegram orqali yuborildi' : 'Kod yaratildi (Telegram bot ishlamayotgani uchun konsolda ko\'rsatildi)',
-            devCode: !codeSent ? code : undefined // Only send code in response during development
-        });
+        if (format === 'csv') {
+            res.set('Content-Type', 'text/csv; charset=utf-8');
+            res.set('Content-Disposition', `attachment; filename="${fileName}.csv"`);
+            return res.send(toAdmissionCsv(applicants, tests));
+        }
+        
+        const subtitle = [`Yo'nalish: ${direction.name}`, `Kvota: ${admission.quota}`];
+        subtitle.push(admission.status === 'frozen'
+            ? `Yakuniy ro'yxat (${admission.frozenAt.slice(0, 10)})`
+            : 'Dastlabki ro\'yxat');
+        
+        res.set('Content-Type', 'text/html; charset=utf-8');
+        res.send(toAdmissionHtml(applicants, tests, { title: 'Qabul ro\'yxati', subtitle: subtitle.join(' · ') }));
     } catch (error) {
-        console.error('Send verification error:', error);
-        res.status(500).json({ success: false, message: 'Kodni yuborishda xatolik yuz berdi' });
+        console.error('Export admission error:', error);
+        res.status(500).json({ success: false, message: 'Qabul ro\'yxatini eksport qilishda xatolik yuz berdi' });
     }
 });
 
-// Verify code
-app.post('/api/verify-code', async (req, res) => {
+// Archive test. Tests are never deleted, so results keep their test; an
+// archived test can't be started any more.
+app.delete('/api/admin/tests/:id', authenticateToken, requirePermission('tests:manage'), async (req, res) => {
     try {
-        const { telegram, code } = req.body;
+        const test = await db.tests.findById(req.params.id);
         
-        if (!telegram || !code) {
-            return res.status(400).json({ success: false, message: 'Telegram username va kod kerak' });
+        if (!test) {
+            return res.status(404).json({ success: false, message: 'Test topilmadi' });
         }
         
-        const verifications = await readJsonFile(VERIFICATION_FILE);
-        const verification = verifications.find(v => 
-            v.telegram === telegram && 
-            v.code === code &&
-            new Date(v.expiresAt) > new Date()
-        );
+        if (!canAccessDirection(req.currentUser, test.direction)) {
+            return sendDirectionForbidden(res);
+        }
         
-        if (!verification) {
-            return res.status(400).json({ success: false, message: 'Noto\'g\'ri kod yoki kod eskirgan' });
+        if (test.archivedAt) {
+            return res.status(400).json({ success: false, message: 'Test allaqachon arxivlangan' });
         }
         
-        // Remove the used verification
-        const updatedVerifications = verifications.filter(v => !(v.telegram === telegram && v.code === code));
-        await writeJsonFile(VERIFICATION_FILE, updatedVerifications);
+        await db.tests.update(test.id, { archivedAt: new Date().toISOString(), archivedBy: req.currentUser.id });
         
-        res.json({ success: true, message: 'Kod tasdiqlandi' });
+        res.json({ success: true, message: 'Test arxivlandi' });
     } catch (error) {
-        console.error('Verify code error:', error);
-        res.status(500).json({ success: false, message: 'Kodni tasdiqlashda xatolik yuz berdi' });
+        console.error('Archive test error:', error);
+        res.status(500).json({ success: false, message: 'Testni arxivlashda xatolik yuz berdi' });
     }
 });
 
-// Register user
-app.post('/api/register', async (req, res) => {
+// Restore an archived test
+app.post('/api/admin/tests/:id/restore', authenticateToken, requirePermission('tests:manage'), async (req, res) => {
     try {
-        const { firstName, lastName, direction, phone, telegram, login, password } = req.body;
+        const test = await db.tests.findById(req.params.id);
         
-        // Validate required fields
-        if (!firstName || !lastName || !direction || !phone || !telegram || !login || !password) {
-            return res.status(400).json({ success: false, message: 'Barcha maydonlar to\'ldirilishi kerak' });
+        if (!test) {
+            return res.status(404).json({ success: false, message: 'Test topilmadi' });
+        }
+        
+        if (!canAccessDirection(req.currentUser, test.direction)) {
+            return sendDirectionForbidden(res);
         }
         
-        const users = await readJsonFile(USERS_FILE);
+        if (!test.archivedAt) {
+            return res.status(400).json({ success: false, message: 'Test arxivlanmagan' });
+        }
         
-        // Check if login already exists
-        if (users.some(u => u.login === login)) {
-            return res.status(400).json({ success: false, message: 'Bu login band' });
+        const restored = await db.tests.update(test.id, { archivedAt: undefined, archivedBy: undefined });
+        
+        res.json({ success: true, test: restored });
+    } catch (error) {
+        console.error('Restore test error:', error);
+        res.status(500).json({ success: false, message: 'Testni tiklashda xatolik yuz berdi' });
+    }
+});
+
+// Publish or unpublish a test, set its open/close window and who it is
+// assigned to. These settings are not part of the test's versions.
+app.put('/api/admin/tests/:id/availability', authenticateToken, requirePermission('tests:manage'), async (req, res) => {
+    try {
+        const test = await db.tests.findById(req.params.id);
+        
+        if (!test) {
+            return res.status(404).json({ success: false, message: 'Test topilmadi' });
         }
         
-        // Check if telegram already exists
-        if (users.some(u => u.telegram === telegram)) {
-            return res.status(400).json({ success: false, message: 'Bu telegram username band' });
+        if (!canAccessDirection(req.currentUser, test.direction)) {
+            return sendDirectionForbidden(res);
+        }
+        
+        if (test.archivedAt) {
+            return res.status(400).json({ success: false, message: 'Arxivlangan testni tahrirlab bo\'lmaydi' });
         }
         
-        // Get directions to validate and get name
-        const directions = await readJsonFile(DIRECTIONS_FILE);
-        const selectedDirection = directions.find(d => d.id === direction);
+        const { changes, error } = await parseTestAvailability(req.body, test.direction, test);
         
-        if (!selectedDirection) {
-            return res.status(400).json({ success: false, message: 'Noto\'g\'ri yo\'nalish' });
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
         }
         
-        // Create new user
-        const newUser = {
-            id: Date.now().toString(),
-            firstName,
-            lastName,
-            direction,
-            directionName: selectedDirection.name,
-            phone,
-            telegram,
-            login,
-            password: await bcrypt.hash(password, 10),
-            isAdmin: false,
-            createdAt: new Date().toISOString()
-        };
+        const updatedTest = await db.tests.update(test.id, { ...changes, updatedAt: new Date().toISOString() });
+        
+        res.json({ success: true, test: updatedTest });
+    } catch (error) {
+        console.error('Update test availability error:', error);
+        res.status(500).json({ success: false, message: 'Test sozlamalarini saqlashda xatolik yuz berdi' });
+    }
+});
+
+// Versions of a test, newest first, with the number of results on each
+app.get('/api/admin/tests/:id/versions', authenticateToken, requirePermission('tests:manage'), async (req, res) => {
+    try {
+        const test = await db.tests.findById(req.params.id);
+        
+        if (!test) {
+            return res.status(404).json({ success: false, message: 'Test topilmadi' });
+        }
         
-        users.push(newUser);
-        await writeJsonFile(USERS_FILE, users);
+        if (!canAccessDirection(req.currentUser, test.direction)) {
+            return sendDirectionForbidden(res);
+        }
         
-        res.json({ success: true, message: 'Ro\'yxatdan o\'tish muvaffaqiyatli' });
+        const versions = await db.testVersions.find({ testId: test.id }, { sort: { version: -1 } });
+        const list = [];
+        for (const { questions, draw, ...version } of versions) {
+            list.push({
+                ...version,
+                questionCount: getTestQuestionCount({ questions, draw }),
+                resultCount: await db.results.count({ testId: test.id, testVersion: version.version }),
+                current: version.version === test.version
+            });
+        }
+        
+        res.json(list);
     } catch (error) {
-        console.error('Registration error:', error);
-        res.status(500).json({ success: false, message: 'Ro\'yxatdan o\'tishda xatolik yuz berdi' });
+        console.error('Get test versions error:', error);
+        res.status(500).json({ success: false, message: 'Test versiyalarini yuklashda xatolik yuz berdi' });
     }
 });
 
-// Get tests for user
-app.get('/api/tests', authenticateToken, async (req, res) => {
+// Changes between two versions: ?from=&to= (to defaults to the current one)
+app.get('/api/admin/tests/:id/versions/diff', authenticateToken, requirePermission('tests:manage'), async (req, res) => {
     try {
-        const users = await readJsonFile(USERS_FILE);
-        const user = users.find(u => u.id === req.user.userId);
+        const test = await db.tests.findById(req.params.id);
         
-        if (!user) {
-            return res.status(404).json({ success: false, message: 'Foydalanuvchi topilmadi' });
+        if (!test) {
+            return res.status(404).json({ success: false, message: 'Test topilmadi' });
+        }
+        
+        if (!canAccessDirection(req.currentUser, test.direction)) {
+            return sendDirectionForbidden(res);
         }
         
-        const tests = await readJsonFile(TESTS_FILE);
-        const results = await readJsonFile(RESULTS_FILE);
+        const fromVersion = parseInt(req.query.from);
+        const toVersion = req.query.to ? parseInt(req.query.to) : test.version;
         
-        // Filter tests by user's direction
-        let userTests = tests;
-        if (!user.isAdmin) {
-            userTests = tests.filter(t => t.direction === user.direction);
+        if (!fromVersion || !toVersion) {
+            return res.status(400).json({ success: false, message: 'from va to versiya raqamlari kerak' });
         }
         
-        // Add completed flag
-        const userResults = results.filter(r => r.userId === user.id);
-        const testsWithStatus = userTests.map(test => {
-            const completed = userResults.some(r => r.testId === test.id);
-            return {
-                ...test,
-                completed
-            };
-        });
+        const from = await db.testVersions.findById(getVersionId(test.id, fromVersion));
+        const to = await db.testVersions.findById(getVersionId(test.id, toVersion));
+        
+        if (!from || !to) {
+            return res.status(404).json({ success: false, message: 'Test versiyasi topilmadi' });
+        }
         
-        res.json(testsWithStatus);
+        res.json(diffTestVersions(from, to));
     } catch (error) {
-        console.error('Get tests error:', error);
-        res.status(500).json({ success: false, message: 'Testlarni yuklashda xatolik yuz berdi' });
+        console.error('Diff test versions error:', error);
+        res.status(500).json({ success: false, message: 'Test versiyalarini solishtirishda xatolik yuz berdi' });
     }
 });
 
-// Get test by ID
-app.get('/api/tests/:id', authenticateToken, async (req, res) => {
+// One version of a test, with its answer key
+app.get('/api/admin/tests/:id/versions/:version', authenticateToken, requirePermission('tests:manage'), async (req, res) => {
     try {
-        const testId = req.params.id;
-        const tests = await readJsonFile(TESTS_FILE);
-        const test = tests.find(t => t.id === testId);
+        const test = await db.tests.findById(req.params.id);
         
         if (!test) {
             return res.status(404).json({ success: false, message: 'Test topilmadi' });
         }
         
-        // Remove correct answers from questions
-        const testWithoutAnswers = {
-            ...test,
-            questions: test.questions.map(q => ({
-                id: q.id,
-                question: q.question,
-                options: q.options
-            }))
-        };
+        if (!canAccessDirection(req.currentUser, test.direction)) {
+            return sendDirectionForbidden(res);
+        }
         
-        res.json(testWithoutAnswers);
+        const version = await db.testVersions.findById(getVersionId(test.id, parseInt(req.params.version)));
+        
+        if (!version) {
+            return res.status(404).json({ success: false, message: 'Test versiyasi topilmadi' });
+        }
+        
+        res.json(version);
     } catch (error) {
-        console.error('Get test error:', error);
-        res.status(500).json({ success: false, message: 'Testni yuklashda xatolik yuz berdi' });
+        console.error('Get test version error:', error);
+        res.status(500).json({ success: false, message: 'Test versiyasini yuklashda xatolik yuz berdi' });
     }
 });
 
-// Submit test
-app.post('/api/submit-test', authenticateToken, async (req, res) => {
+// Update test. Saves the edit as a new version.
+app.put('/api/admin/tests/:id', authenticateToken, requirePermission('tests:manage'), async (req, res) => {
     try {
-        const { testId, answers, timeSpent } = req.body;
+        const testId = req.params.id;
+        const { title, direction, timeLimit, attempts, questions, draw, shuffleOptions } = req.body;
+        const hasQuestions = Array.isArray(questions) && questions.length > 0;
+        const hasDraw = Array.isArray(draw) && draw.length > 0;
         
-        if (!testId || !answers) {
-            return res.status(400).json({ success: false, message: 'Test ID va javoblar kerak' });
+        if (!title || !direction || !timeLimit || !attempts || (!hasQuestions && !hasDraw)) {
+            return res.status(400).json({ success: false, message: 'Barcha maydonlar to\'ldirilishi kerak' });
         }
         
-        const tests = await readJsonFile(TESTS_FILE);
-        const test = tests.find(t => t.id === testId);
+        if (hasQuestions && hasDraw) {
+            return res.status(400).json({ success: false, message: 'Test yoki savollar ro\'yxati, yoki savollar bankidan tanlash qoidalari bilan berilishi kerak' });
+        }
         
-        if (!test) {
+        const questionError = hasQuestions ? validateQuestions(questions) : await validateDrawRules(draw, direction);
+        if (questionError) {
+            return res.status(400).json({ success: false, message: questionError });
+        }
+        
+        const { settings: grading, error: gradingError } = normalizeGradingSettings(req.body);
+        
+        if (gradingError) {
+            return res.status(400).json({ success: false, message: gradingError });
+        }
+        
+        const existingTest = await db.tests.findById(testId);
+        
+        if (!existingTest) {
             return res.status(404).json({ success: false, message: 'Test topilmadi' });
         }
         
-        // Check if user already completed this test
-        const results = await readJsonFile(RESULTS_FILE);
-        const existingResult = results.find(r => r.userId === req.user.userId && r.testId === testId);
+        const { limits, error: limitsError } = parseTestLimits(req.body);
         
-        if (existingResult) {
-            return res.status(400).json({ success: false, message: 'Bu testni allaqachon topshirgansiz' });
+        if (limitsError) {
+            return res.status(400).json({ success: false, message: limitsError });
         }
         
-        // Calculate score
-        let score = 0;
-        const questionResults = test.questions.map((question, index) => {
-            const userAnswer = answers[index];
-            const isCorrect = userAnswer === question.correct;
-            
-            if (isCorrect) {
-                score++;
-            }
-            
-            return {
-                questionId: question.id,
-                userAnswer,
-                correctAnswer: question.correct,
-                isCorrect
-            };
-        });
+        // Validate direction
+        const selectedDirection = await db.directions.findById(direction);
         
-        // Create result
-        const newResult = {
-            id: Date.now().toString(),
-            userId: req.user.userId,
-            testId,
-            score,
-            totalQuestions: test.questions.length,
-            percentage: Math.round((score / test.questions.length) * 100),
-            timeSpent: timeSpent || 0,
-            questionResults,
-            createdAt: new Date().toISOString()
+        if (!selectedDirection) {
+            return res.status(400).json({ success: false, message: 'Noto\'g\'ri yo\'nalish' });
+        }
+        
+        // Both the current and the new direction must be the user's
+        if (!canAccessDirection(req.currentUser, existingTest.direction) || !canAccessDirection(req.currentUser, direction)) {
+            return sendDirectionForbidden(res);
+        }
+        
+        if (existingTest.archivedAt) {
+            return res.status(400).json({ success: false, message: 'Arxivlangan testni tahrirlab bo\'lmaydi' });
+        }
+        
+        // Groups and students belong to the old direction
+        if (direction !== existingTest.direction && existingTest.assignedTo) {
+            return res.status(400).json({ success: false, message: 'Testni boshqa yo\'nalishga o\'tkazishdan oldin tayinlovni olib tashlang' });
+        }
+        
+        // Edits never change a saved version: the content and the next
+        // version number are written together, only if nobody else has
+        // saved a version meanwhile
+        const changes = {
+            version: existingTest.version + 1,
+            updatedAt: new Date().toISOString(),
+            title,
+            direction,
+            directionName: selectedDirection.name,
+            ...limits,
+            questions: hasQuestions ? buildTestQuestions(questions) : [],
+            draw: hasDraw ? draw : undefined,
+            // Bank-assembled tests shuffle options unless told otherwise
+            shuffleOptions: shuffleOptions !== undefined ? Boolean(shuffleOptions) : hasDraw,
+            ...grading
         };
+        const claimed = await db.tests.updateMany({ id: testId, version: existingTest.version }, changes);
+        
+        if (!claimed) {
+            return res.status(409).json({ success: false, message: 'Test boshqa foydalanuvchi tomonidan o\'zgartirildi. Qayta urinib ko\'ring' });
+        }
         
-        results.push(newResult);
-        await writeJsonFile(RESULTS_FILE, results);
+        // The test as written, even if another edit has followed since
+        const updatedTest = { ...existingTest, ...changes };
+        await db.testVersions.insert(buildTestVersion(updatedTest, req.currentUser.id));
         
-        res.json({
-            success: true,
-            score,
-            totalQuestions: test.questions.length,
-            percentage: Math.round((score / test.questions.length) * 100)
-        });
+        res.json({ success: true, test: updatedTest });
     } catch (error) {
-        console.error('Submit test error:', error);
-        res.status(500).json({ success: false, message: 'Testni yuborishda xatolik yuz berdi' });
+        console.error('Update test error:', error);
+        res.status(500).json({ success: false, message: 'Testni yangilashda xatolik yuz berdi' });
     }
 });
 
-// Get user results
-app.get('/api/my-results', authenticateToken, async (req, res) => {
+// Import test from Aiken, GIFT or CSV
+app.post('/api/admin/tests/import', authenticateToken, requirePermission('tests:manage'), async (req, res) => {
     try {
-        const results = await readJsonFile(RESULTS_FILE);
-        const tests = await readJsonFile(TESTS_FILE);
+        const { format, content, title, direction, timeLimit, attempts, preview } = req.body;
+        const questionFormat = QUESTION_FORMATS[format];
         
-        const userResults = results.filter(r => r.userId === req.user.userId);
+        if (!questionFormat) {
+            return res.status(400).json({ success: false, message: `Noma'lum format. Mumkin: ${Object.keys(QUESTION_FORMATS).join(', ')}` });
+        }
         
-        const resultsWithTestInfo = userResults.map(result => {
-            const test = tests.find(t => t.id === result.testId);
-            return {
-                ...result,
-                testTitle: test ? test.title : 'Noma\'lum test'
-            };
+        if (!content || typeof content !== 'string') {
+            return res.status(400).json({ success: false, message: 'Fayl matni kerak' });
+        }
+        
+        const parsed = questionFormat.parse(content);
+        const errors = [...parsed.errors];
+        const questions = [];
+        
+        // Parsers only check syntax; validate shapes the same way as manual tests
+        parsed.questions.forEach(({ line, ...question }) => {
+            const questionError = validateQuestion(question);
+            if (questionError) {
+                errors.push({ line, message: questionError });
+            } else {
+                questions.push(question);
+            }
         });
+        errors.sort((a, b) => a.line - b.line);
         
-        res.json(resultsWithTestInfo);
-    } catch (error) {
-        console.error('Get results error:', error);
-        res.status(500).json({ success: false, message: 'Natijalarni yuklashda xatolik yuz berdi' });
-    }
-});
-
-// Admin routes
-
-// Get all users
-app.get('/api/admin/users', authenticateToken, requireAdmin, async (req, res) => {
-    try {
-        const users = await readJsonFile(USERS_FILE);
-        
-        // Filter out admin users and sensitive info
-        const filteredUsers = users
-            .filter(u => !u.isAdmin)
-            .map(u => ({
-                id: u.id,
-                firstName: u.firstName,
-                lastName: u.lastName,
-                direction: u.direction,
-                directionName: u.directionName,
-                phone: u.phone,
-                telegram: u.telegram,
-                login: u.login,
-                createdAt: u.createdAt
-            }));
-        
-        res.json(filteredUsers);
-    } catch (error) {
-        console.error('Get users error:', error);
-        res.status(500).json({ success: false, message: 'Foydalanuvchilarni yuklashda xatolik yuz berdi' });
-    }
-});
-
-// Get all tests
-app.get('/api/admin/tests', authenticateToken, requireAdmin, async (req, res) => {
-    try {
-        const tests = await readJsonFile(TESTS_FILE);
-        res.json(tests);
-    } catch (error) {
-        console.error('Get admin tests error:', error);
-        res.status(500).json({ success: false, message: 'Testlarni yuklashda xatolik yuz berdi' });
-    }
-});
-
-// Create test
-app.post('/api/admin/tests', authenticateToken, requireAdmin, async (req, res) => {
-    try {
-        const { title, direction, timeLimit, attempts, questions } = req.body;
+        // Validate-only mode
+        if (preview) {
+            return res.json({ success: errors.length === 0, preview: true, questions, errors });
+        }
+        
+        if (errors.length) {
+            return res.status(400).json({ success: false, message: 'Import faylida xatolar bor', errors });
+        }
+        
+        if (!questions.length) {
+            return res.status(400).json({ success: false, message: 'Faylda savollar topilmadi' });
+        }
         
-        if (!title || !direction || !timeLimit || !attempts || !questions || !questions.length) {
+        if (!title || !direction || !timeLimit || !attempts) {
             return res.status(400).json({ success: false, message: 'Barcha maydonlar to\'ldirilishi kerak' });
         }
         
+        const { limits, error: limitsError } = parseTestLimits(req.body);
+        
+        if (limitsError) {
+            return res.status(400).json({ success: false, message: limitsError });
+        }
+        
         // Validate direction
-        const directions = await readJsonFile(DIRECTIONS_FILE);
-        const selectedDirection = directions.find(d => d.id === direction);
+        const selectedDirection = await db.directions.findById(direction);
         
         if (!selectedDirection) {
             return res.status(400).json({ success: false, message: 'Noto\'g\'ri yo\'nalish' });
         }
         
-        // Create new test
+        if (!canAccessDirection(req.currentUser, direction)) {
+            return sendDirectionForbidden(res);
+        }
+        
+        const { changes: availability, error: availabilityError } = await parseTestAvailability(req.body, direction);
+        
+        if (availabilityError) {
+            return res.status(400).json({ success: false, message: availabilityError });
+        }
+        
+        const { settings: grading, error: gradingError } = normalizeGradingSettings(req.body);
+        
+        if (gradingError) {
+            return res.status(400).json({ success: false, message: gradingError });
+        }
+        
         const newTest = {
-            id: Date.now().toString(),
+            id: newId(),
             title,
             direction,
             directionName: selectedDirection.name,
-            timeLimit: parseInt(timeLimit),
-            attempts: parseInt(attempts),
-            questions: questions.map((q, index) => ({
-                id: (index + 1).toString(),
-                ...q
-            })),
+            ...limits,
+            questions: buildTestQuestions(questions),
+            shuffleOptions: false,
+            ...grading,
+            // Without a status, tests are published as before drafts existed
+            status: 'published',
+            reviewPolicy: 'after_close',
+            ...availability,
+            version: 1,
             createdAt: new Date().toISOString()
         };
         
-        const tests = await readJsonFile(TESTS_FILE);
-        tests.push(newTest);
-        await writeJsonFile(TESTS_FILE, tests);
+        await db.tests.insert(newTest);
+        await db.testVersions.insert(buildTestVersion(newTest, req.currentUser.id));
         
         res.json({ success: true, test: newTest });
     } catch (error) {
-        console.error('Create test error:', error);
-        res.status(500).json({ success: false, message: 'Testni yaratishda xatolik yuz berdi' });
+        console.error('Import test error:', error);
+        res.status(500).json({ success: false, message: 'Testni import qilishda xatolik yuz berdi' });
     }
 });
 
-// Get all results
-app.get('/api/admin/results', authenticateToken, requireAdmin, async (req, res) => {
+// Export test to Aiken, GIFT or CSV
+app.get('/api/admin/tests/:id/export', authenticateToken, requirePermission('tests:manage'), async (req, res) => {
     try {
-        const results = await readJsonFile(RESULTS_FILE);
-        const users = await readJsonFile(USERS_FILE);
-        const tests = await readJsonFile(TESTS_FILE);
+        const format = req.query.format || 'gift';
+        const questionFormat = QUESTION_FORMATS[format];
         
-        const resultsWithInfo = results.map(result => {
-            const user = users.find(u => u.id === result.userId);
-            const test = tests.find(t => t.id === result.testId);
-            
-            return {
-                ...result,
-                userName: user ? `${user.firstName} ${user.lastName}` : 'Noma\'lum',
-                testTitle: test ? test.title : 'Noma\'lum test'
-            };
-        });
+        if (!questionFormat) {
+            return res.status(400).json({ success: false, message: `Noma'lum format. Mumkin: ${Object.keys(QUESTION_FORMATS).join(', ')}` });
+        }
+        
+        const test = await db.tests.findById(req.params.id);
         
-        res.json(resultsWithInfo);
+        if (!test) {
+            return res.status(404).json({ success: false, message: 'Test topilmadi' });
+        }
+        
+        if (!canAccessDirection(req.currentUser, test.direction)) {
+            return sendDirectionForbidden(res);
+        }
+        
+        if (!test.questions || !test.questions.length) {
+            return res.status(400).json({ success: false, message: 'Savollar bankidan tuziladigan testni eksport qilib bo\'lmaydi' });
+        }
+        
+        const { text, skipped } = questionFormat.stringify(test.questions);
+        const fileName = `${test.title.replace(/[^\w\-]+/g, '_') || 'test'}.${questionFormat.extension}`;
+        
+        res.set('Content-Type', `${questionFormat.contentType}; charset=utf-8`);
+        res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+        // Questions the format can't express
+        res.set('X-Skipped-Questions', skipped.join(','));
+        res.send(text);
     } catch (error) {
-        console.error('Get admin results error:', error);
-        res.status(500).json({ success: false, message: 'Natijalarni yuklashda xatolik yuz berdi' });
+        console.error('Export test error:', error);
+        res.status(500).json({ success: false, message: 'Testni eksport qilishda xatolik yuz berdi' });
     }
 });
 
-// Get statistics
-app.get('/api/admin/statistics', authenticateToken, requireAdmin, async (req, res) => {
+// Question bank
+
+// Build a bank question from the request body
+function buildBankQuestion(body) {
+    const { tags, difficulty, ...question } = body;
+    return {
+        ...question,
+        type: question.type || 'single',
+        tags: Array.isArray(tags) ? tags.map(tag => String(tag).trim()).filter(Boolean) : [],
+        difficulty: difficulty || 'medium'
+    };
+}
+
+// Check a bank question and the user's access to its direction. Returns
+// { status, message } or null.
+async function validateBankQuestion(question, user) {
+    if (!DIFFICULTY_LEVELS.includes(question.difficulty)) {
+        return { status: 400, message: 'Noma\'lum qiyinlik darajasi' };
+    }
+    if (!question.direction || !await db.directions.findById(question.direction)) {
+        return { status: 400, message: 'Noto\'g\'ri yo\'nalish' };
+    }
+    if (!canAccessDirection(user, question.direction)) {
+        return { status: 403, message: 'Bu yo\'nalish uchun ruxsat yo\'q' };
+    }
+    const questionError = validateQuestion(question);
+    return questionError ? { status: 400, message: questionError } : null;
+}
+
+// Bank question in :id if the user manages its direction. Questions saved
+// without a direction are shared and only managed by unscoped staff.
+// Returns { question } or { error: { status, message } }.
+async function findManagedQuestion(user, questionId) {
+    const question = await db.questions.findById(questionId);
+    
+    if (!question) {
+        return { error: { status: 404, message: 'Savol topilmadi' } };
+    }
+    if (!canAccessDirection(user, question.direction)) {
+        return { error: { status: 403, message: 'Bu yo\'nalish uchun ruxsat yo\'q' } };
+    }
+    
+    return { question };
+}
+
+// Get question bank
+app.get('/api/admin/questions', authenticateToken, requirePermission('questions:manage'), async (req, res) => {
     try {
-        const users = await readJsonFile(USERS_FILE);
-        const tests = await readJsonFile(TESTS_FILE);
-        const results = await readJsonFile(RESULTS_FILE);
-        const directions = await readJsonFile(DIRECTIONS_FILE);
-        
-        const stats = {
-            totalUsers: users.filter(u => !u.isAdmin).length,
-            totalTests: tests.length,
-            totalResults: results.length,
-            directionStats: {}
-        };
+        const { tag, difficulty, type, direction } = req.query;
+        const filter = {};
         
-        // Calculate stats for each direction
-        directions.forEach(direction => {
-            const directionUsers = users.filter(u => u.direction === direction.id);
-            const directionTests = tests.filter(t => t.direction === direction.id);
-            const directionResults = results.filter(r => {
-                const user = users.find(u => u.id === r.userId);
-                return user && user.direction === direction.id;
-            });
-            
-            stats.directionStats[direction.name] = {
-                users: directionUsers.length,
-                tests: directionTests.length,
-                results: directionResults.length
-            };
-        });
+        if (direction) {
+            if (!canAccessDirection(req.currentUser, direction)) {
+                return sendDirectionForbidden(res);
+            }
+            filter.direction = direction;
+        }
+        if (tag) {
+            filter.tags = tag;
+        }
+        if (difficulty) {
+            filter.difficulty = difficulty;
+        }
+        if (type) {
+            filter.type = type;
+        }
         
-        res.json(stats);
+        // Shared questions are listed to everyone whose tests can draw them
+        const questions = await db.questions.find(filter);
+        res.json(questions.filter(q => !q.direction || canAccessDirection(req.currentUser, q.direction)));
     } catch (error) {
-        console.error('Get statistics error:', error);
-        res.status(500).json({ success: false, message: 'Statistikani yuklashda xatolik yuz berdi' });
+        console.error('Get questions error:', error);
+        res.status(500).json({ success: false, message: 'Savollarni yuklashda xatolik yuz berdi' });
     }
 });
 
-// Delete test
-app.delete('/api/admin/tests/:id', authenticateToken, requireAdmin, async (req, res) => {
+// Add question to bank
+app.post('/api/admin/questions', authenticateToken, requirePermission('questions:manage'), async (req, res) => {
     try {
-        const testId = req.params.id;
-        const tests = await readJsonFile(TESTS_FILE);
+        const question = buildBankQuestion(req.body);
         
-        const testIndex = tests.findIndex(t => t.id === testId);
-        if (testIndex === -1) {
-            return res.status(404).json({ success: false, message: 'Test topilmadi' });
+        const questionError = await validateBankQuestion(question, req.currentUser);
+        if (questionError) {
+            return res.status(questionError.status).json({ success: false, message: questionError.message });
         }
         
-        tests.splice(testIndex, 1);
-        await writeJsonFile(TESTS_FILE, tests);
+        const newQuestion = {
+            id: newId(),
+            ...question,
+            createdAt: new Date().toISOString()
+        };
+        
+        await db.questions.insert(newQuestion);
         
-        res.json({ success: true, message: 'Test o\'chirildi' });
+        res.json({ success: true, question: newQuestion });
     } catch (error) {
-        console.error('Delete test error:', error);
-        res.status(500).json({ success: false, message: 'Testni o\'chirishda xatolik yuz berdi' });
+        console.error('Create question error:', error);
+        res.status(500).json({ success: false, message: 'Savolni qo\'shishda xatolik yuz berdi' });
     }
 });
 
-// Update test
-app.put('/api/admin/tests/:id', authenticateToken, requireAdmin, async (req, res) => {
+// Update bank question
+app.put('/api/admin/questions/:id', authenticateToken, requirePermission('questions:manage'), async (req, res) => {
     try {
-        const testId = req.params.id;
-        const { title, direction, timeLimit, attempts, questions } = req.body;
+        const questionId = req.params.id;
+        const { question: existingQuestion, error } = await findManagedQuestion(req.currentUser, questionId);
         
-        if (!title || !direction || !timeLimit || !attempts || !questions || !questions.length) {
-            return res.status(400).json({ success: false, message: 'Barcha maydonlar to\'ldirilishi kerak' });
+        if (error) {
+            return res.status(error.status).json({ success: false, message: error.message });
         }
         
-        const tests = await readJsonFile(TESTS_FILE);
-        const testIndex = tests.findIndex(t => t.id === testId);
+        const { id, createdAt, ...body } = req.body;
+        const question = buildBankQuestion(body);
         
-        if (testIndex === -1) {
-            return res.status(404).json({ success: false, message: 'Test topilmadi' });
+        const questionError = await validateBankQuestion(question, req.currentUser);
+        if (questionError) {
+            return res.status(questionError.status).json({ success: false, message: questionError.message });
         }
         
-        // Validate direction
-        const directions = await readJsonFile(DIRECTIONS_FILE);
-        const selectedDirection = directions.find(d => d.id === direction);
+        const updatedQuestion = await db.questions.replace(questionId, {
+            ...question,
+            createdAt: existingQuestion.createdAt,
+            updatedAt: new Date().toISOString()
+        });
         
-        if (!selectedDirection) {
-            return res.status(400).json({ success: false, message: 'Noto\'g\'ri yo\'nalish' });
+        res.json({ success: true, question: updatedQuestion });
+    } catch (error) {
+        console.error('Update question error:', error);
+        res.status(500).json({ success: false, message: 'Savolni yangilashda xatolik yuz berdi' });
+    }
+});
+
+// Delete bank question
+app.delete('/api/admin/questions/:id', authenticateToken, requirePermission('questions:manage'), async (req, res) => {
+    try {
+        const { question, error } = await findManagedQuestion(req.currentUser, req.params.id);
+        
+        if (error) {
+            return res.status(error.status).json({ success: false, message: error.message });
         }
         
-        // Update test
-        tests[testIndex] = {
-            ...tests[testIndex],
-            title,
-            direction,
-            directionName: selectedDirection.name,
-            timeLimit: parseInt(timeLimit),
-            attempts: parseInt(attempts),
-            questions: questions.map((q, index) => ({
-                id: (index + 1).toString(),
-                ...q
-            })),
-            updatedAt: new Date().toISOString()
-        };
+        // Tests drawing from the bank must still find enough questions
+        const drawTests = await db.tests.find({ draw: { $exists: true }, archivedAt: { $exists: false } });
+        for (const test of drawTests) {
+            if (test.draw.length && await validateDrawRules(test.draw, test.direction, question.id)) {
+                return res.status(409).json({ success: false, message: `"${test.title}" testi uchun savollar bankida yetarli savol qolmaydi` });
+            }
+        }
         
-        await writeJsonFile(TESTS_FILE, tests);
+        await db.questions.remove(question.id);
         
-        res.json({ success: true, test: tests[testIndex] });
+        res.json({ success: true, message: 'Savol o\'chirildi' });
     } catch (error) {
-        console.error('Update test error:', error);
-        res.status(500).json({ success: false, message: 'Testni yangilashda xatolik yuz berdi' });
+        console.error('Delete question error:', error);
+        res.status(500).json({ success: false, message: 'Savolni o\'chirishda xatolik yuz berdi' });
     }
 });
 
 // Add direction
-app.post('/api/admin/directions', authenticateToken, requireAdmin, async (req, res) => {
+app.post('/api/admin/directions', authenticateToken, requirePermission('directions:manage'), async (req, res) => {
     try {
         const { name } = req.body;
         
@@ -799,21 +4938,18 @@ app.post('/api/admin/directions', authenticateToken, requireAdmin, async (req, r
             return res.status(400).json({ success: false, message: 'Yo\'nalish nomi kerak' });
         }
         
-        const directions = await readJsonFile(DIRECTIONS_FILE);
-        
         // Check if direction already exists
-        if (directions.some(d => d.name === name)) {
+        if (await db.directions.findOne({ name })) {
             return res.status(400).json({ success: false, message: 'Bu yo\'nalish allaqachon mavjud' });
         }
         
         // Create new direction
         const newDirection = {
-            id: Date.now().toString(),
+            id: newId(),
             name
         };
         
-        directions.push(newDirection);
-        await writeJsonFile(DIRECTIONS_FILE, directions);
+        await db.directions.insert(newDirection);
         
         res.json({ success: true, direction: newDirection });
     } catch (error) {
@@ -823,30 +4959,30 @@ app.post('/api/admin/directions', authenticateToken, requireAdmin, async (req, r
 });
 
 // Delete direction
-app.delete('/api/admin/directions/:id', authenticateToken, requireAdmin, async (req, res) => {
+app.delete('/api/admin/directions/:id', authenticateToken, requirePermission('directions:manage'), async (req, res) => {
     try {
         const directionId = req.params.id;
-        const directions = await readJsonFile(DIRECTIONS_FILE);
+        const direction = await db.directions.findById(directionId);
         
-        const directionIndex = directions.findIndex(d => d.id === directionId);
-        if (directionIndex === -1) {
+        if (!direction) {
             return res.status(404).json({ success: false, message: 'Yo\'nalish topilmadi' });
         }
         
         // Check if direction is in use
-        const users = await readJsonFile(USERS_FILE);
-        const tests = await readJsonFile(TESTS_FILE);
-        
-        if (users.some(u => u.direction === directionId)) {
+        if (await db.users.count({ direction: directionId, deletedAt: { $exists: false } })) {
             return res.status(400).json({ success: false, message: 'Bu yo\'nalish foydalanuvchilar tomonidan ishlatilmoqda' });
         }
         
-        if (tests.some(t => t.direction === directionId)) {
+        if (await db.tests.count({ direction: directionId })) {
             return res.status(400).json({ success: false, message: 'Bu yo\'nalish testlar tomonidan ishlatilmoqda' });
         }
         
-        directions.splice(directionIndex, 1);
-        await writeJsonFile(DIRECTIONS_FILE, directions);
+        if (await db.groups.count({ direction: directionId })) {
+            return res.status(400).json({ success: false, message: 'Bu yo\'nalish guruhlar tomonidan ishlatilmoqda' });
+        }
+        
+        await db.directions.remove(directionId);
+        await db.admissions.remove(directionId);
         
         res.json({ success: true, message: 'Yo\'nalish o\'chirildi' });
     } catch (error) {
@@ -855,13 +4991,46 @@ app.delete('/api/admin/directions/:id', authenticateToken, requireAdmin, async (
     }
 });
 
+// Deep link that connects the logged-in user's Telegram chat
+app.post('/api/telegram/link-token', authenticateToken, async (req, res) => {
+    try {
+        const now = new Date();
+        
+        // Drop expired tokens and the user's earlier ones
+        await db.linkTokens.removeMany({ expiresAt: { $lt: now.toISOString() } });
+        await db.linkTokens.removeMany({ userId: req.user.userId });
+        
+        const linkToken = {
+            id: crypto.randomBytes(24).toString('hex'),
+            userId: req.user.userId,
+            createdAt: now.toISOString(),
+            expiresAt: new Date(now.getTime() + LINK_TOKEN_TTL_MS).toISOString()
+        };
+        
+        await db.linkTokens.insert(linkToken);
+        
+        res.json({
+            success: true,
+            token: linkToken.id,
+            command: `/start ${linkToken.id}`,
+            url: BOT_USERNAME ? `https://t.me/${BOT_USERNAME}?start=${linkToken.id}` : null,
+            expiresAt: linkToken.expiresAt
+        });
+    } catch (error) {
+        console.error('Link token error:', error);
+        res.status(500).json({ success: false, message: 'Havola yaratishda xatolik yuz berdi' });
+    }
+});
+
 // Telegram bot commands
 app.get('/api/telegram-commands', (req, res) => {
     res.json({
         success: true,
         commands: [
-            { command: '/start', description: 'Botni ishga tushirish' },
-            { command: '/register @username', description: 'Ro\'yxatdan o\'tish uchun username\'ni ulash' }
+            { command: '/start', description: 'Botni ishga tushirish va Telegram username\'ni ulash' },
+            { command: '/login login parol', description: 'Testlarni bot orqali ishlash uchun tizimga kirish' },
+            { command: '/tests', description: 'Mavjud testlar ro\'yxati' },
+            { command: '/logout', description: 'Tizimdan chiqish' }
         ]
     });
 });
@@ -869,8 +5038,28 @@ app.get('/api/telegram-commands', (req, res) => {
 // Start server
 async function startServer() {
     try {
-        await ensureDataDir();
-        await initDataFiles();
+        await db.init();
+        (await migrateSchema(db)).forEach(step => {
+            console.log(`Schema migrated to version ${step.version}: ${step.description}`);
+        });
+        await seedDefaults();
+        console.log(`Storage backend: ${db.backend}`);
+        
+        // Expired rate limit records, refresh tokens and reset codes
+        setInterval(() => {
+            const expired = { expiresAt: { $lt: new Date().toISOString() } };
+            Promise.all([
+                rateLimiter.prune(),
+                db.refreshTokens.removeMany(expired),
+                db.passwordResets.removeMany(expired)
+            ]).catch(error => console.error('Cleanup error:', error));
+        }, 10 * 60 * 1000).unref();
+        
+        // Attempts abandoned after their time ran out are submitted with
+        // their saved answers
+        setInterval(() => {
+            submitExpiredAttempts().catch(error => console.error('Auto-submit error:', error));
+        }, 60 * 1000).unref();
         
         app.listen(PORT, () => {
             console.log(`Server running on port ${PORT}`);
@@ -882,7 +5071,12 @@ async function startServer() {
         });
     } catch (error) {
         console.error('Failed to start server:', error);
+        process.exit(1);
     }
 }
 
-startServer();
\ No newline at end of file
+if (require.main === module) {
+    startServer();
+}
+
+module.exports = { app, db, seedDefaults };
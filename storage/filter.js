@@ -0,0 +1,66 @@
+// Minimal MongoDB-style query matching for the file and in-memory backends.
+// Supports field equality and the $ne, $in, $nin, $gt, $gte, $lt, $lte and
+// $exists operators, which is everything the routes use. Only an object
+// whose keys are all operators is read as operators; other objects only
+// equal themselves. Request values must never carry operators: the server
+// refuses $-prefixed keys in request bodies and query strings.
+
+function isOperatorObject(condition) {
+    const keys = Object.keys(condition);
+    return keys.length > 0 && keys.every(key => key.startsWith('$'));
+}
+
+function matchesCondition(value, condition) {
+    if (condition === null || typeof condition !== 'object' || Array.isArray(condition) || !isOperatorObject(condition)) {
+        if (Array.isArray(value) && !Array.isArray(condition)) {
+            return value.includes(condition);
+        }
+        return value === condition;
+    }
+    
+    return Object.keys(condition).every(operator => {
+        const operand = condition[operator];
+        switch (operator) {
+            case '$ne': return !matchesCondition(value, operand);
+            case '$in': return operand.some(item => matchesCondition(value, item));
+            case '$nin': return !operand.some(item => matchesCondition(value, item));
+            case '$gt': return value !== undefined && value > operand;
+            case '$gte': return value !== undefined && value >= operand;
+            case '$lt': return value !== undefined && value < operand;
+            case '$lte': return value !== undefined && value <= operand;
+            case '$exists': return (value !== undefined) === Boolean(operand);
+            default: throw new Error(`Unsupported query operator ${operator}`);
+        }
+    });
+}
+
+function matches(doc, filter = {}) {
+    return Object.keys(filter).every(field => matchesCondition(doc[field], filter[field]));
+}
+
+// Apply { sort, limit } find options to an array of documents
+function applyFindOptions(docs, options = {}) {
+    let result = docs;
+    
+    if (options.sort) {
+        const fields = Object.keys(options.sort);
+        result = [...result].sort((a, b) => {
+            for (const field of fields) {
+                if (a[field] === b[field]) continue;
+                const direction = options.sort[field];
+                if (a[field] === undefined) return -direction;
+                if (b[field] === undefined) return direction;
+                return a[field] < b[field] ? -direction : direction;
+            }
+            return 0;
+        });
+    }
+    
+    if (options.limit) {
+        result = result.slice(0, options.limit);
+    }
+    
+    return result;
+}
+
+module.exports = { matches, applyFindOptions };
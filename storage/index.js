@@ -0,0 +1,73 @@
+const path = require('path');
+const fs = require('fs').promises;
+const { createJsonCollection } = require('./json');
+const { createMemoryCollection } = require('./memory');
+const { createMongoCollection, connectMongo, getMongoDb, disconnectMongo } = require('./mongodb');
+
+// Collection name -> JSON file name in the data directory. MongoDB uses the
+// collection names.
+const COLLECTIONS = {
+    users: 'users.json',
+    directions: 'directions.json',
+    tests: 'tests.json',
+    results: 'results.json',
+    verifications: 'verification.json',
+    attempts: 'attempts.json',
+    questions: 'questions.json',
+    telegramLinks: 'telegram-links.json',
+    linkTokens: 'link-tokens.json',
+    rateLimits: 'rate-limits.json',
+    refreshTokens: 'refresh-tokens.json',
+    passwordResets: 'password-resets.json',
+    admissions: 'admissions.json',
+    testVersions: 'test-versions.json',
+    groups: 'groups.json',
+    proctoringEvents: 'proctoring-events.json',
+    certificates: 'certificates.json',
+    meta: 'meta.json'
+};
+
+const BACKENDS = ['json', 'mongodb', 'memory'];
+
+// Create the repositories for the chosen backend ('json', 'mongodb' or
+// 'memory'). Call init() before use and close() on shutdown.
+function createStorage({ backend = 'json', dataDir, mongoUri } = {}) {
+    if (!BACKENDS.includes(backend)) {
+        throw new Error(`Unknown storage backend "${backend}". Use one of: ${BACKENDS.join(', ')}`);
+    }
+    
+    const storage = { backend };
+    
+    Object.keys(COLLECTIONS).forEach(name => {
+        if (backend === 'json') {
+            storage[name] = createJsonCollection(path.join(dataDir, COLLECTIONS[name]));
+        } else if (backend === 'mongodb') {
+            storage[name] = createMongoCollection(getMongoDb, name);
+        } else {
+            storage[name] = createMemoryCollection();
+        }
+    });
+    
+    storage.init = async () => {
+        if (backend === 'json') {
+            await fs.mkdir(dataDir, { recursive: true });
+        } else if (backend === 'mongodb') {
+            await connectMongo(mongoUri);
+        }
+        for (const name of Object.keys(COLLECTIONS)) {
+            if (storage[name].init) {
+                await storage[name].init();
+            }
+        }
+    };
+    
+    storage.close = async () => {
+        if (backend === 'mongodb') {
+            await disconnectMongo();
+        }
+    };
+    
+    return storage;
+}
+
+module.exports = { createStorage, COLLECTIONS, BACKENDS };
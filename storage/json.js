@@ -0,0 +1,85 @@
+const fs = require('fs').promises;
+const { createArrayCollection, createLock } = require('./memory');
+
+// One lock per file, shared by every collection opened on the same path, so
+// read-modify-write cycles on a file never interleave
+const fileLocks = new Map();
+
+function getFileLock(filePath) {
+    if (!fileLocks.has(filePath)) {
+        fileLocks.set(filePath, createLock());
+    }
+    return fileLocks.get(filePath);
+}
+
+// Read a JSON array file. A missing file is an empty collection; anything
+// unreadable or corrupt throws, so it is never silently overwritten with [].
+async function readJsonFile(filePath) {
+    let data;
+    try {
+        data = await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return [];
+        }
+        throw error;
+    }
+    
+    let parsed;
+    try {
+        parsed = JSON.parse(data);
+    } catch (error) {
+        throw new Error(`${filePath} is corrupt (${error.message}). Restore it from a backup before starting the server.`);
+    }
+    
+    if (!Array.isArray(parsed)) {
+        throw new Error(`${filePath} is corrupt (expected a JSON array). Restore it from a backup before starting the server.`);
+    }
+    
+    return parsed;
+}
+
+// Write via a temp file, fsync and rename, so a crash mid-write leaves
+// either the old or the new file, never a truncated one
+async function writeJsonFile(filePath, data) {
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    const handle = await fs.open(tempPath, 'w');
+    try {
+        await handle.writeFile(JSON.stringify(data, null, 2), 'utf8');
+        await handle.sync();
+    } finally {
+        await handle.close();
+    }
+    await fs.rename(tempPath, filePath);
+}
+
+// Create the file with an empty array if it doesn't exist yet
+async function ensureJsonFile(filePath) {
+    try {
+        await fs.access(filePath);
+        return false;
+    } catch (error) {
+        await writeJsonFile(filePath, []);
+        return true;
+    }
+}
+
+// Collection stored as a JSON array in a single file. The whole file is read
+// on every operation, so changes made by hand are picked up immediately.
+function createJsonCollection(filePath) {
+    const collection = createArrayCollection({
+        load: () => readJsonFile(filePath),
+        save: (docs) => writeJsonFile(filePath, docs),
+        lock: getFileLock(filePath)
+    });
+    collection.init = async () => {
+        if (await ensureJsonFile(filePath)) {
+            console.log(`Created empty ${filePath}`);
+        }
+        // Refuse to start on a corrupt file
+        await readJsonFile(filePath);
+    };
+    return collection;
+}
+
+module.exports = { createJsonCollection, readJsonFile, writeJsonFile };
@@ -0,0 +1,141 @@
+const { matches, applyFindOptions } = require('./filter');
+
+function clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+// Serializes async functions: each call runs after the previous one settles
+function createLock() {
+    let tail = Promise.resolve();
+    return (fn) => {
+        const result = tail.then(() => fn());
+        tail = result.catch(() => {});
+        return result;
+    };
+}
+
+// Collection over a plain array of documents. `load` returns the current
+// array and `save` persists a changed one; the in-memory and JSON file
+// backends only differ in those two functions. Every write runs under
+// `lock`, so concurrent read-modify-write cycles can't lose updates.
+function createArrayCollection({ load, save, lock = createLock() }) {
+    const exclusive = (fn) => (...args) => lock(() => fn(...args));
+    
+    return {
+        async find(filter = {}, options = {}) {
+            const docs = await load();
+            return clone(applyFindOptions(docs.filter(doc => matches(doc, filter)), options));
+        },
+        
+        async findOne(filter = {}) {
+            const docs = await load();
+            const doc = docs.find(d => matches(d, filter));
+            return doc ? clone(doc) : null;
+        },
+        
+        async findById(id) {
+            return this.findOne({ id });
+        },
+        
+        async count(filter = {}) {
+            const docs = await load();
+            return docs.filter(doc => matches(doc, filter)).length;
+        },
+        
+        insert: exclusive(async (doc) => {
+            const docs = await load();
+            docs.push(clone(doc));
+            await save(docs);
+            return clone(doc);
+        }),
+        
+        update: exclusive(async (id, changes) => {
+            const docs = await load();
+            const index = docs.findIndex(d => d.id === id);
+            if (index === -1) {
+                return null;
+            }
+            docs[index] = clone({ ...docs[index], ...changes });
+            await save(docs);
+            return clone(docs[index]);
+        }),
+        
+        updateMany: exclusive(async (filter, changes) => {
+            const docs = await load();
+            let updated = 0;
+            docs.forEach((doc, index) => {
+                if (matches(doc, filter)) {
+                    docs[index] = clone({ ...doc, ...changes });
+                    updated++;
+                }
+            });
+            if (updated) {
+                await save(docs);
+            }
+            return updated;
+        }),
+        
+        replace: exclusive(async (id, doc) => {
+            const docs = await load();
+            const index = docs.findIndex(d => d.id === id);
+            if (index === -1) {
+                return null;
+            }
+            docs[index] = clone({ ...doc, id });
+            await save(docs);
+            return clone(docs[index]);
+        }),
+        
+        // Insert or replace documents by id. Returns { inserted, updated }.
+        upsertMany: exclusive(async (newDocs) => {
+            const docs = await load();
+            const counts = { inserted: 0, updated: 0 };
+            newDocs.forEach(doc => {
+                const index = docs.findIndex(d => d.id === doc.id);
+                if (index === -1) {
+                    docs.push(clone(doc));
+                    counts.inserted++;
+                } else {
+                    docs[index] = clone(doc);
+                    counts.updated++;
+                }
+            });
+            if (newDocs.length) {
+                await save(docs);
+            }
+            return counts;
+        }),
+        
+        remove: exclusive(async (id) => {
+            const docs = await load();
+            const index = docs.findIndex(d => d.id === id);
+            if (index === -1) {
+                return false;
+            }
+            docs.splice(index, 1);
+            await save(docs);
+            return true;
+        }),
+        
+        removeMany: exclusive(async (filter) => {
+            const docs = await load();
+            const remaining = docs.filter(doc => !matches(doc, filter));
+            const removed = docs.length - remaining.length;
+            if (removed) {
+                await save(remaining);
+            }
+            return removed;
+        })
+    };
+}
+
+// In-memory collection, used for tests and throwaway runs
+function createMemoryCollection(initialDocs = []) {
+    let docs = clone(initialDocs);
+    return createArrayCollection({
+        load: async () => docs,
+        save: async (changed) => { docs = changed; }
+    });
+}
+
+module.exports = { createArrayCollection, createMemoryCollection, createLock, clone };
@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+
+// Documents are stored as plain JSON (dates as ISO strings) so the shape is
+// identical to the JSON file backend. Mongo's own _id is never exposed.
+const PROJECTION = { projection: { _id: 0 } };
+
+function toPlain(doc) {
+    return JSON.parse(JSON.stringify(doc));
+}
+
+// Update operators for `changes`; undefined values remove the field, as
+// with the JSON and memory backends. Null when there is nothing to change.
+function toUpdate(changes) {
+    const set = {};
+    const unset = {};
+    Object.keys(changes).forEach(key => {
+        if (changes[key] === undefined) {
+            unset[key] = '';
+        } else {
+            set[key] = toPlain(changes[key]);
+        }
+    });
+    const update = {};
+    if (Object.keys(set).length) update.$set = set;
+    if (Object.keys(unset).length) update.$unset = unset;
+    return Object.keys(update).length ? update : null;
+}
+
+function createMongoCollection(getDb, name) {
+    const collection = () => getDb().collection(name);
+    
+    return {
+        async init() {
+            await collection().createIndex({ id: 1 }, { unique: true });
+        },
+        
+        async find(filter = {}, options = {}) {
+            let cursor = collection().find(filter, PROJECTION);
+            if (options.sort) cursor = cursor.sort(options.sort);
+            if (options.limit) cursor = cursor.limit(options.limit);
+            return cursor.toArray();
+        },
+        
+        async findOne(filter = {}) {
+            return collection().findOne(filter, PROJECTION);
+        },
+        
+        async findById(id) {
+            return this.findOne({ id });
+        },
+        
+        async count(filter = {}) {
+            return collection().countDocuments(filter);
+        },
+        
+        async insert(doc) {
+            const plain = toPlain(doc);
+            await collection().insertOne({ ...plain });
+            return plain;
+        },
+        
+        async update(id, changes) {
+            const update = toUpdate(changes);
+            if (!update) return this.findById(id);
+            
+            return collection().findOneAndUpdate({ id }, update, { ...PROJECTION, returnDocument: 'after', includeResultMetadata: false });
+        },
+        
+        // Returns the number of matching documents, like the other backends
+        async updateMany(filter, changes) {
+            const update = toUpdate(changes);
+            if (!update) return this.count(filter);
+            const result = await collection().updateMany(filter, update);
+            return result.matchedCount;
+        },
+        
+        async replace(id, doc) {
+            const plain = toPlain({ ...doc, id });
+            const result = await collection().replaceOne({ id }, plain);
+            return result.matchedCount ? plain : null;
+        },
+        
+        // Insert or replace documents by id. Returns { inserted, updated }.
+        async upsertMany(docs) {
+            if (!docs.length) {
+                return { inserted: 0, updated: 0 };
+            }
+            const result = await collection().bulkWrite(docs.map(doc => ({
+                replaceOne: { filter: { id: doc.id }, replacement: toPlain(doc), upsert: true }
+            })));
+            return { inserted: result.upsertedCount, updated: result.matchedCount };
+        },
+        
+        async remove(id) {
+            const result = await collection().deleteOne({ id });
+            return result.deletedCount > 0;
+        },
+        
+        async removeMany(filter) {
+            const result = await collection().deleteMany(filter);
+            return result.deletedCount;
+        }
+    };
+}
+
+async function connectMongo(uri) {
+    if (!uri) {
+        throw new Error('MONGODB_URI is required when STORAGE_BACKEND=mongodb');
+    }
+    await mongoose.connect(uri);
+    console.log('Connected to MongoDB');
+}
+
+module.exports = {
+    createMongoCollection,
+    connectMongo,
+    getMongoDb: () => mongoose.connection.db,
+    disconnectMongo: () => mongoose.disconnect()
+};
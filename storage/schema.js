@@ -0,0 +1,153 @@
+// Data schema versioning. Each step upgrades stored data by one version;
+// add a new step (never edit an old one) whenever the shape of stored
+// documents changes. The current version is kept in the `meta` collection.
+
+const { newId } = require('../ids');
+
+const SCHEMA_DOC_ID = 'schema';
+
+const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Initial JSON layout',
+        up: async () => {}
+    },
+    {
+        version: 2,
+        description: 'Questions without a type become single-choice',
+        up: async (storage) => {
+            const tests = await storage.tests.find();
+            for (const test of tests) {
+                if ((test.questions || []).some(q => !q.type)) {
+                    await storage.tests.update(test.id, {
+                        questions: test.questions.map(q => ({ type: 'single', ...q }))
+                    });
+                }
+            }
+        }
+    },
+    {
+        version: 3,
+        description: 'Verification records get an id',
+        up: async (storage) => {
+            const verifications = await storage.verifications.find({ id: { $exists: false } });
+            if (!verifications.length) {
+                return;
+            }
+            // Copies with ids go in before the originals are removed, so a
+            // crash in between leaves duplicates rather than losing codes
+            for (const verification of verifications) {
+                await storage.verifications.insert({ id: newId(), ...verification });
+            }
+            await storage.verifications.removeMany({ id: { $exists: false } });
+        }
+    },
+    {
+        version: 4,
+        description: 'Telegram usernames stored as @lowercase, verifications track their status',
+        up: async (storage) => {
+            const normalize = telegram => `@${String(telegram).trim().replace(/^@/, '').toLowerCase()}`;
+            const users = await storage.users.find({ telegram: { $exists: true } });
+            for (const user of users) {
+                if (user.telegram && normalize(user.telegram) !== user.telegram) {
+                    await storage.users.update(user.id, { telegram: normalize(user.telegram) });
+                }
+            }
+
+            // Codes sent before this version can't be tied to a status; drop them
+            await storage.verifications.removeMany({ status: { $exists: false } });
+        }
+    },
+    {
+        version: 5,
+        description: 'isAdmin flag replaced by roles',
+        up: async (storage) => {
+            const users = await storage.users.find({ role: { $exists: false } });
+            for (const user of users) {
+                await storage.users.update(user.id, {
+                    role: user.isAdmin ? 'super_admin' : 'student',
+                    directionIds: [],
+                    isAdmin: undefined
+                });
+            }
+        }
+    },
+    {
+        version: 6,
+        description: 'Tests are versioned; attempts and results record their test version',
+        up: async (storage) => {
+            const fields = ['title', 'direction', 'directionName', 'timeLimit', 'attempts', 'questions', 'draw', 'shuffleOptions'];
+            const tests = await storage.tests.find({ version: { $exists: false } });
+            for (const test of tests) {
+                const version = {
+                    id: `${test.id}-v1`,
+                    testId: test.id,
+                    version: 1,
+                    createdAt: test.updatedAt || test.createdAt || new Date().toISOString()
+                };
+                fields.filter(field => test[field] !== undefined).forEach(field => {
+                    version[field] = test[field];
+                });
+                if (!await storage.testVersions.findById(version.id)) {
+                    await storage.testVersions.insert(version);
+                }
+                await storage.tests.update(test.id, { version: 1 });
+                
+                // Earlier edits weren't kept, so what was taken so far can only
+                // be tied to the test as it is now
+                await storage.attempts.updateMany({ testId: test.id, testVersion: { $exists: false } }, { testVersion: 1 });
+                await storage.results.updateMany({ testId: test.id, testVersion: { $exists: false } }, { testVersion: 1 });
+            }
+        }
+    },
+    {
+        version: 7,
+        description: 'Tests have a draft/published status; existing tests stay published',
+        up: async (storage) => {
+            await storage.tests.updateMany({ status: { $exists: false } }, { status: 'published' });
+        }
+    },
+    {
+        version: 8,
+        description: 'Tests get a review policy; answers of existing tests are shown after they close',
+        up: async (storage) => {
+            await storage.tests.updateMany({ reviewPolicy: { $exists: false } }, { reviewPolicy: 'after_close' });
+        }
+    }
+];
+
+const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+async function getSchemaVersion(storage) {
+    const doc = await storage.meta.findById(SCHEMA_DOC_ID);
+    return doc ? doc.version : 0;
+}
+
+async function setSchemaVersion(storage, version) {
+    const changes = { version, updatedAt: new Date().toISOString() };
+    if (!await storage.meta.update(SCHEMA_DOC_ID, changes)) {
+        await storage.meta.insert({ id: SCHEMA_DOC_ID, ...changes });
+    }
+}
+
+// Steps that still have to run on this storage
+async function getPendingMigrations(storage) {
+    const current = await getSchemaVersion(storage);
+    if (current > SCHEMA_VERSION) {
+        throw new Error(`Stored data has schema version ${current}, newer than this code (${SCHEMA_VERSION}). Upgrade the server first.`);
+    }
+    return MIGRATIONS.filter(step => step.version > current);
+}
+
+// Run pending steps in order, recording the version after each one so an
+// interrupted run resumes where it stopped. Returns the steps that ran.
+async function migrateSchema(storage) {
+    const pending = await getPendingMigrations(storage);
+    for (const step of pending) {
+        await step.up(storage);
+        await setSchemaVersion(storage, step.version);
+    }
+    return pending;
+}
+
+module.exports = { SCHEMA_VERSION, MIGRATIONS, getSchemaVersion, getPendingMigrations, migrateSchema };
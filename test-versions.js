@@ -0,0 +1,87 @@
+// Test versions. A test's content is immutable once saved: every edit is
+// stored as a new version, and attempts and results record the version
+// they were taken on. The tests collection holds the current version; all
+// versions are kept in testVersions as `<testId>-v<version>`.
+
+// Fields that make up a version
+const VERSIONED_FIELDS = ['title', 'direction', 'directionName', 'timeLimit', 'attempts', 'questions', 'draw', 'shuffleOptions', 'passMark', 'gradingScale'];
+
+function getVersionId(testId, version) {
+    return `${testId}-v${version}`;
+}
+
+// Version document for the test's current content
+function buildTestVersion(test, createdBy) {
+    const version = {
+        id: getVersionId(test.id, test.version),
+        testId: test.id,
+        version: test.version,
+        createdAt: new Date().toISOString(),
+        createdBy
+    };
+    VERSIONED_FIELDS.forEach(field => {
+        if (test[field] !== undefined) {
+            version[field] = test[field];
+        }
+    });
+    return version;
+}
+
+// JSON with sorted keys, so key order doesn't count as a change
+function canonicalJson(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+}
+
+function isSame(a, b) {
+    return canonicalJson(a) === canonicalJson(b);
+}
+
+// Fields whose values differ between two objects
+function diffFields(from, to, fields) {
+    return fields
+        .filter(field => !isSame(from[field], to[field]))
+        .map(field => ({ field, from: from[field], to: to[field] }));
+}
+
+// Differences between two versions of a test. Questions are matched by id,
+// the id that questionResults refer to.
+function diffTestVersions(from, to) {
+    const settings = diffFields(from, to, VERSIONED_FIELDS.filter(field => !['questions', 'directionName'].includes(field)));
+    const fromQuestions = from.questions || [];
+    const toQuestions = to.questions || [];
+    const fromIds = fromQuestions.map(q => q.id);
+    const toIds = toQuestions.map(q => q.id);
+    
+    const changed = [];
+    toQuestions.forEach(question => {
+        const previous = fromQuestions.find(q => q.id === question.id);
+        if (previous && !isSame(previous, question)) {
+            const fields = [...new Set([...Object.keys(previous), ...Object.keys(question)])];
+            changed.push({ id: question.id, changes: diffFields(previous, question, fields) });
+        }
+    });
+    
+    const kept = toIds.filter(id => fromIds.includes(id));
+    
+    return {
+        from: from.version,
+        to: to.version,
+        settings,
+        questions: {
+            added: toQuestions.filter(q => !fromIds.includes(q.id)),
+            removed: fromQuestions.filter(q => !toIds.includes(q.id)),
+            changed,
+            // Questions present in both versions but in a different order
+            reordered: !isSame(kept, fromIds.filter(id => toIds.includes(id)))
+        }
+    };
+}
+
+module.exports = { VERSIONED_FIELDS, getVersionId, buildTestVersion, diffTestVersions };
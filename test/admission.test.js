@@ -0,0 +1,73 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { rankApplicants, normalizeAdmissionConfig } = require('../admission');
+
+function applicant(id, lastName) {
+    return { id, firstName: 'A', lastName, phone: '+998900000000' };
+}
+
+function result(id, userId, testId, percentage, { timeSpent = 600, createdAt = '2025-01-01T10:00:00.000Z' } = {}) {
+    return { id, userId, testId, percentage, timeSpent, createdAt };
+}
+
+test('normalizeAdmissionConfig fills defaults', () => {
+    assert.deepEqual(normalizeAdmissionConfig({ quota: '2', tests: [{ testId: 1 }] }), {
+        config: { quota: 2, minScore: 0, resultPolicy: 'best', tests: [{ testId: '1', weight: 1 }] }
+    });
+});
+
+test('normalizeAdmissionConfig rejects bad values', () => {
+    assert.ok(normalizeAdmissionConfig({ quota: -1, tests: [{ testId: '1' }] }).error);
+    assert.ok(normalizeAdmissionConfig({ quota: 1, minScore: 120, tests: [{ testId: '1' }] }).error);
+    assert.ok(normalizeAdmissionConfig({ quota: 1, resultPolicy: 'first', tests: [{ testId: '1' }] }).error);
+    assert.ok(normalizeAdmissionConfig({ quota: 1, tests: [] }).error);
+    assert.ok(normalizeAdmissionConfig({ quota: 1, tests: [{ testId: '1', weight: 0 }] }).error);
+    assert.ok(normalizeAdmissionConfig({ quota: 1, tests: [{ testId: '1' }, { testId: '1' }] }).error);
+});
+
+test('rankApplicants weights scores and fills the quota', () => {
+    const config = { quota: 1, minScore: 50, resultPolicy: 'best', tests: [{ testId: 't1', weight: 2 }, { testId: 't2', weight: 1 }] };
+    const applicants = [applicant('u1', 'A'), applicant('u2', 'B'), applicant('u3', 'C'), applicant('u4', 'D')];
+    const results = [
+        result('r1', 'u1', 't1', 90), result('r2', 'u1', 't2', 60),
+        result('r3', 'u2', 't1', 60), result('r4', 'u2', 't2', 90),
+        result('r5', 'u3', 't1', 30), result('r6', 'u3', 't2', 30),
+        result('r7', 'u4', 't1', 100)
+    ];
+    
+    const { summary, applicants: rows } = rankApplicants(applicants, results, config);
+    
+    assert.deepEqual(rows.map(r => [r.userId, r.rank, r.score, r.status]), [
+        ['u1', 1, 80, 'admitted'],
+        ['u2', 2, 70, 'waitlisted'],
+        ['u3', 3, 30, 'below_minimum'],
+        ['u4', null, null, 'incomplete']
+    ]);
+    assert.deepEqual(summary, { quota: 1, applicants: 4, admitted: 1, waitlisted: 1, below_minimum: 1, incomplete: 1 });
+});
+
+test('rankApplicants breaks ties on time spent, then submission time', () => {
+    const config = { quota: 3, minScore: 0, resultPolicy: 'best', tests: [{ testId: 't1', weight: 1 }] };
+    const applicants = [applicant('u1', 'A'), applicant('u2', 'B'), applicant('u3', 'C')];
+    const results = [
+        result('r1', 'u1', 't1', 80, { timeSpent: 700 }),
+        result('r2', 'u2', 't1', 80, { timeSpent: 500, createdAt: '2025-01-02T10:00:00.000Z' }),
+        result('r3', 'u3', 't1', 80, { timeSpent: 500 })
+    ];
+    
+    const { applicants: rows } = rankApplicants(applicants, results, config);
+    
+    assert.deepEqual(rows.map(r => r.userId), ['u3', 'u2', 'u1']);
+});
+
+test('rankApplicants counts the best or the latest result', () => {
+    const applicants = [applicant('u1', 'A')];
+    const results = [
+        result('r1', 'u1', 't1', 90, { createdAt: '2025-01-01T10:00:00.000Z' }),
+        result('r2', 'u1', 't1', 40, { createdAt: '2025-01-02T10:00:00.000Z' })
+    ];
+    const config = policy => ({ quota: 1, minScore: 0, resultPolicy: policy, tests: [{ testId: 't1', weight: 1 }] });
+    
+    assert.equal(rankApplicants(applicants, results, config('best')).applicants[0].tests[0].resultId, 'r1');
+    assert.equal(rankApplicants(applicants, results, config('latest')).applicants[0].tests[0].resultId, 'r2');
+});
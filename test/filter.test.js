@@ -0,0 +1,46 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { matches, applyFindOptions } = require('../storage/filter');
+
+test('matches compares fields, and array fields by membership', () => {
+    const doc = { id: '1', role: 'student', directionIds: ['a', 'b'] };
+    assert.ok(matches(doc));
+    assert.ok(matches(doc, { id: '1', role: 'student' }));
+    assert.ok(!matches(doc, { id: 1 }));
+    assert.ok(matches(doc, { directionIds: 'b' }));
+    assert.ok(!matches(doc, { directionIds: 'c' }));
+});
+
+test('matches supports the query operators', () => {
+    const doc = { score: 5, status: 'done' };
+    assert.ok(matches(doc, { status: { $ne: 'open' } }));
+    assert.ok(matches(doc, { status: { $in: ['done', 'open'] } }));
+    assert.ok(matches(doc, { status: { $nin: ['open'] } }));
+    assert.ok(matches(doc, { score: { $gt: 4, $lte: 5 } }));
+    assert.ok(!matches(doc, { score: { $gte: 6 } }));
+    assert.ok(!matches(doc, { score: { $lt: 5 } }));
+    assert.ok(matches(doc, { deletedAt: { $exists: false } }));
+    assert.ok(!matches(doc, { score: { $exists: false } }));
+});
+
+test('range operators never match missing fields', () => {
+    assert.ok(!matches({}, { score: { $lt: 10 } }));
+    assert.ok(!matches({}, { score: { $gte: 0 } }));
+    assert.ok(matches({}, { score: { $ne: 1 } }));
+});
+
+test('objects that are not all operators are plain values', () => {
+    assert.ok(!matches({ login: 'admin' }, { login: { $ne: null, role: 'x' } }));
+    assert.ok(!matches({ login: 'admin' }, { login: {} }));
+});
+
+test('matches rejects unknown operators', () => {
+    assert.throws(() => matches({ a: 1 }, { a: { $regex: 'x' } }), /Unsupported query operator/);
+});
+
+test('applyFindOptions sorts by several fields and limits', () => {
+    const docs = [{ a: 1, b: 2 }, { a: 2, b: 1 }, { a: 1, b: 1 }, { b: 3 }];
+    assert.deepEqual(applyFindOptions(docs, { sort: { a: 1, b: -1 } }), [{ b: 3 }, { a: 1, b: 2 }, { a: 1, b: 1 }, { a: 2, b: 1 }]);
+    assert.deepEqual(applyFindOptions(docs, { sort: { b: 1 }, limit: 2 }).map(d => d.b), [1, 1]);
+    assert.equal(applyFindOptions(docs), docs);
+});
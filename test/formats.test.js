@@ -0,0 +1,189 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCsv, parseCsvRecords, stringifyCsv } = require('../formats/csv');
+const { parseQuestionCsv, toQuestionCsv } = require('../formats/question-csv');
+const { parseAiken, toAiken } = require('../formats/aiken');
+const { parseGift, toGift } = require('../formats/gift');
+const { parseUserCsv } = require('../formats/users');
+
+// Parsed questions without their line numbers
+const withoutLines = questions => questions.map(({ line, ...question }) => question);
+
+test('parseCsv handles quotes, line breaks and ; delimiters', () => {
+    assert.deepEqual(parseCsv('a,b\r\n"x, ""y""","multi\nline"\n\n'), [
+        { line: 1, cells: ['a', 'b'] },
+        { line: 2, cells: ['x, "y"', 'multi\nline'] }
+    ]);
+    assert.deepEqual(parseCsv('﻿a;b\n1,5;2\n').map(row => row.cells), [['a', 'b'], ['1,5', '2']]);
+});
+
+test('stringifyCsv quotes cells and writes formulas as text', () => {
+    assert.equal(stringifyCsv([['a', 'b;c'], ['"q"', null]]), 'a,"b;c"\r\n"""q""",\r\n');
+    assert.equal(stringifyCsv([['=SUM(A1)', '@x', '\tx', '+1+cmd', -3]]), '\'=SUM(A1),\'@x,\'\tx,\'+1+cmd,-3\r\n');
+    assert.equal(stringifyCsv([['+998 90 123-45-67', '-2,5', '5']]), '+998 90 123-45-67,"-2,5",5\r\n');
+    assert.ok(stringifyCsv([['a']], { bom: true }).startsWith('﻿'));
+});
+
+test('parseCsvRecords reads back what stringifyCsv wrote', () => {
+    const text = stringifyCsv([['Name', 'Phone'], ['=1+1', '+998901234567'], ['\'quoted', '']]);
+    assert.deepEqual(parseCsvRecords(text), {
+        headers: ['name', 'phone'],
+        records: [
+            { line: 2, values: { name: '=1+1', phone: '+998901234567' } },
+            { line: 3, values: { name: '\'quoted', phone: '' } }
+        ]
+    });
+});
+
+test('parseQuestionCsv reads every row type', () => {
+    const { questions, errors } = parseQuestionCsv([
+        'type,question,A,B,C,D,answer,tolerance',
+        'single,2+2?,3,4,5,,B,',
+        'multiple,Tub sonlar?,2,4,5,,A;C,',
+        'true_false,Yer yumaloq,,,,,ha,',
+        'numeric,Pi,,,,,"3,14",0.01',
+        'text,Belgi?,,,,,a\\;b;c,',
+        'ordering,Tartiblang,uch,bir,ikki,,B;C;A,'
+    ].join('\n'));
+    
+    assert.deepEqual(errors, []);
+    assert.deepEqual(withoutLines(questions), [
+        { type: 'single', question: '2+2?', options: ['3', '4', '5'], correct: 1 },
+        { type: 'multiple', question: 'Tub sonlar?', options: ['2', '4', '5'], correct: [0, 2] },
+        { type: 'true_false', question: 'Yer yumaloq', correct: true },
+        { type: 'numeric', question: 'Pi', correct: 3.14, tolerance: 0.01 },
+        { type: 'text', question: 'Belgi?', accepted: ['a;b', 'c'] },
+        { type: 'ordering', question: 'Tartiblang', options: ['uch', 'bir', 'ikki'], correct: [1, 2, 0] }
+    ]);
+});
+
+test('parseQuestionCsv reports bad rows with their line', () => {
+    const { questions, errors } = parseQuestionCsv([
+        'question,A,B,C,answer',
+        'Gap,x,,z,C',
+        'Missing,x,y,,C',
+        ',x,y,,A',
+        'Ok,x,y,,B'
+    ].join('\n'));
+    
+    assert.equal(questions.length, 1);
+    assert.deepEqual(errors.map(error => error.line), [2, 3, 4]);
+    assert.match(errors[0].message, /^B variant/);
+    assert.deepEqual(parseQuestionCsv('a,b\n1,2\n').errors.map(error => error.line), [1]);
+});
+
+test('toQuestionCsv output parses back to the same questions', () => {
+    const questions = [
+        { id: '1', type: 'single', question: '=2+2?', options: ['3', '4'], correct: 1 },
+        { id: '2', type: 'text', question: 'Belgi?', accepted: ['a;b', 'c\\d'] },
+        { id: '3', type: 'numeric', question: 'Pi', correct: 3.14, tolerance: 0.01 },
+        { id: '4', type: 'essay', question: 'Insho' }
+    ];
+    
+    const { text, skipped } = toQuestionCsv(questions);
+    
+    assert.deepEqual(skipped, ['4']);
+    assert.deepEqual(withoutLines(parseQuestionCsv(text).questions), questions.slice(0, 3).map(({ id, ...question }) => question));
+});
+
+test('parseAiken reads questions and reports incomplete ones', () => {
+    const { questions, errors } = parseAiken('Savol?\nA. bir\nB) ikki\nANSWER: B\n\nYarim?\nA. bir\n');
+    
+    assert.deepEqual(withoutLines(questions), [{ type: 'single', question: 'Savol?', options: ['bir', 'ikki'], correct: 1 }]);
+    assert.equal(errors.length, 1);
+});
+
+test('toAiken writes single-choice questions only', () => {
+    const { text, skipped } = toAiken([
+        { id: '1', question: 'Savol?', options: ['bir', 'ikki'], correct: 0 },
+        { id: '2', type: 'text', question: 'Matn', accepted: ['x'] }
+    ]);
+    
+    assert.equal(text, 'Savol?\nA. bir\nB. ikki\nANSWER: A\n');
+    assert.deepEqual(skipped, ['2']);
+});
+
+test('parseGift maps answers onto question types', () => {
+    const { questions, errors } = parseGift([
+        '// comment',
+        '::T1:: Poytaxt {=Toshkent ~Samarqand ~Buxoro}',
+        '',
+        'Tub {~%50%2 ~%50%3 ~%-100%4}',
+        '',
+        'Yer yumaloq {T}',
+        '',
+        'Pi {#3.14:0.01}',
+        '',
+        'Oraliq {#3..4}',
+        '',
+        'Shahar {=Toshkent =Tashkent}',
+        '',
+        'Juftlang {=olma -> apple =nok -> pear}',
+        '',
+        'Insho {}'
+    ].join('\n'));
+    
+    assert.deepEqual(withoutLines(questions).map(q => q.type), ['single', 'multiple', 'true_false', 'numeric', 'numeric', 'text', 'matching']);
+    assert.deepEqual(questions[0].options, ['Toshkent', 'Samarqand', 'Buxoro']);
+    assert.deepEqual(questions[1].correct, [0, 1]);
+    assert.deepEqual([questions[4].correct, questions[4].tolerance], [3.5, 0.5]);
+    assert.deepEqual(questions[5].accepted, ['Toshkent', 'Tashkent']);
+    assert.deepEqual(questions[6].correct, [0, 1]);
+    assert.equal(errors.length, 1);
+});
+
+test('toGift output parses back', () => {
+    const questions = [
+        { id: '1', type: 'single', question: 'a = b?', options: ['ha', 'yo\'q'], correct: 0 },
+        { id: '2', type: 'true_false', question: 'Rost', correct: false },
+        { id: '3', type: 'ordering', question: 'Tartib', options: ['a', 'b'], correct: [1, 0] }
+    ];
+    
+    const { text, skipped } = toGift(questions);
+    const parsed = parseGift(text);
+    
+    assert.deepEqual(skipped, ['3']);
+    assert.deepEqual(parsed.errors, []);
+    assert.deepEqual(withoutLines(parsed.questions), [
+        { type: 'single', question: 'a = b?', options: ['ha', 'yo\'q'], correct: 0 },
+        { type: 'true_false', question: 'Rost', correct: false }
+    ]);
+});
+
+test('toGift escapes arrows, weights and line breaks', () => {
+    const questions = [
+        { type: 'single', question: 'Birinchi qator\n\n// ikkinchi', options: ['%50% ulush', 'a -> b'], correct: 1 },
+        { type: 'text', question: 'Yo\'l \\ belgi', accepted: ['->', '%100%'] },
+        { type: 'matching', question: 'Juftlang', prompts: ['x->y', 'z'], options: ['%1%', '2'], correct: [0, 1] }
+    ];
+    
+    const parsed = parseGift(toGift(questions).text);
+    
+    assert.deepEqual(parsed.errors, []);
+    assert.deepEqual(withoutLines(parsed.questions), questions);
+});
+
+test('parseGift pairs answers only when every answer is a pair', () => {
+    const { questions } = parseGift('Tanlang {=a -> b ~c}\n\nYozing {=x -> y =z}');
+    
+    assert.deepEqual(withoutLines(questions), [
+        { type: 'single', question: 'Tanlang', options: ['a -> b', 'c'], correct: 0 },
+        { type: 'text', question: 'Yozing', accepted: ['x -> y', 'z'] }
+    ]);
+});
+
+test('parseUserCsv accepts Uzbek headers and reports empty fields', () => {
+    const { users, errors } = parseUserCsv([
+        'ism,familiya,yo\'nalish,telefon,parol',
+        'Ali,Valiyev,Dasturlash,+998901234567,',
+        'Vali,,Dasturlash,+998901234568,secret'
+    ].join('\n'));
+    
+    assert.deepEqual(users, [{ line: 2, firstName: 'Ali', lastName: 'Valiyev', direction: 'Dasturlash', phone: '+998901234567' }]);
+    assert.deepEqual(errors.map(error => error.line), [3]);
+});
+
+test('parseUserCsv requires the key columns', () => {
+    assert.match(parseUserCsv('firstName,lastName\nA,B\n').errors[0].message, /direction, phone/);
+    assert.equal(parseUserCsv('').errors[0].message, 'Fayl bo\'sh');
+});
@@ -0,0 +1,47 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { GRADING_SCALES, normalizeGradingSettings, getOutcome } = require('../grading');
+
+test('normalizeGradingSettings clears missing values', () => {
+    assert.deepEqual(normalizeGradingSettings({}), { settings: { passMark: undefined, gradingScale: undefined } });
+    assert.deepEqual(normalizeGradingSettings({ passMark: '', gradingScale: null }).settings.passMark, undefined);
+});
+
+test('normalizeGradingSettings checks the pass mark', () => {
+    assert.equal(normalizeGradingSettings({ passMark: '60' }).settings.passMark, 60);
+    assert.ok(normalizeGradingSettings({ passMark: 101 }).error);
+    assert.ok(normalizeGradingSettings({ passMark: 'abc' }).error);
+});
+
+test('normalizeGradingSettings resolves presets and sorts custom scales', () => {
+    assert.equal(normalizeGradingSettings({ gradingScale: 'uz5' }).settings.gradingScale, GRADING_SCALES.uz5);
+    assert.ok(normalizeGradingSettings({ gradingScale: 'nope' }).error);
+    
+    const { settings } = normalizeGradingSettings({
+        gradingScale: [{ min: 0, grade: ' F ' }, { min: 50, grade: 'P', label: 'Pass' }]
+    });
+    assert.deepEqual(settings.gradingScale, [
+        { min: 50, grade: 'P', label: 'Pass' },
+        { min: 0, grade: 'F', label: undefined }
+    ]);
+});
+
+test('normalizeGradingSettings rejects malformed scales', () => {
+    assert.ok(normalizeGradingSettings({ gradingScale: [] }).error);
+    assert.ok(normalizeGradingSettings({ gradingScale: [{ min: 10, grade: 'A' }] }).error);
+    assert.ok(normalizeGradingSettings({ gradingScale: [{ min: 0, grade: 'A' }, { min: 0, grade: 'B' }] }).error);
+    assert.ok(normalizeGradingSettings({ gradingScale: [{ min: 0, grade: '' }] }).error);
+});
+
+test('getOutcome picks the band and pass/fail', () => {
+    const settings = { passMark: 55, gradingScale: GRADING_SCALES.uz5 };
+    assert.deepEqual(getOutcome(86, settings), { grade: '5', gradeLabel: 'A\'lo', passed: true });
+    assert.deepEqual(getOutcome(70.9, settings), { grade: '3', gradeLabel: 'Qoniqarli', passed: true });
+    assert.deepEqual(getOutcome(54, settings), { grade: '2', gradeLabel: 'Qoniqarsiz', passed: false });
+    assert.deepEqual(getOutcome(95, { gradingScale: GRADING_SCALES.letter }), { grade: 'A', gradeLabel: null, passed: null });
+});
+
+test('getOutcome is empty without a percentage or settings', () => {
+    assert.deepEqual(getOutcome(null, { passMark: 50 }), { grade: null, gradeLabel: null, passed: null });
+    assert.deepEqual(getOutcome(80), { grade: null, gradeLabel: null, passed: null });
+});
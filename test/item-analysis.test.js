@@ -0,0 +1,83 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { analyzeTest, kr20, itemScore } = require('../item-analysis');
+
+// A result answering questions '1' and '2'; `scores` are 0/1 per question
+function result(id, scores, answers = []) {
+    return {
+        id,
+        percentage: (scores.reduce((sum, s) => sum + s, 0) / scores.length) * 100,
+        questionResults: scores.map((score, i) => ({
+            questionId: String(i + 1),
+            points: score,
+            maxPoints: 1,
+            userAnswer: answers[i] === undefined ? score : answers[i]
+        }))
+    };
+}
+
+test('itemScore uses partial credit and ignores negative marking', () => {
+    assert.equal(itemScore({ points: 1, maxPoints: 2 }), 0.5);
+    assert.equal(itemScore({ points: -1, maxPoints: 2 }), 0);
+    assert.equal(itemScore({ points: 0, maxPoints: 0 }), 0);
+    assert.equal(itemScore({ isCorrect: true }), 1);
+    assert.equal(itemScore({ isCorrect: false }), 0);
+});
+
+test('kr20 needs varying totals over at least two questions and results', () => {
+    const rows = scores => ({ items: new Map(scores.map((s, i) => [String(i + 1), s])) });
+    
+    assert.equal(kr20([rows([1, 1]), rows([0, 0])], ['1']).kr20, null);
+    assert.equal(kr20([rows([1, 1]), rows([1, 1])], ['1', '2']).kr20, null);
+    assert.equal(kr20([rows([1, 1]), rows([0, 0])], ['1', '2']).kr20, 1);
+    assert.equal(kr20([rows([1, 0]), rows([0, 1])], ['1', '2']).kr20, null);
+});
+
+test('analyzeTest summarizes scores and questions', () => {
+    const questions = new Map([
+        ['1', { question: 'Q1', type: 'single', options: ['a', 'b'], correct: 0 }],
+        ['2', { question: 'Q2', type: 'single', options: ['a', 'b'], correct: 1 }]
+    ]);
+    const results = [
+        result('a', [1, 1], [0, 1]),
+        result('b', [1, 0], [0, 0]),
+        result('c', [0, 0], [1, 0]),
+        result('d', [1, 1], [0, 1])
+    ];
+    
+    const analysis = analyzeTest(results, questions);
+    
+    assert.equal(analysis.resultCount, 4);
+    assert.equal(analysis.summary.mean, 62.5);
+    assert.equal(analysis.summary.median, 75);
+    assert.equal(analysis.histogram.length, 10);
+    assert.equal(analysis.histogram.reduce((sum, bin) => sum + bin.count, 0), 4);
+    
+    const [first, second] = analysis.questions;
+    assert.equal(first.pValue, 0.75);
+    assert.equal(second.pValue, 0.5);
+    assert.equal(first.discrimination, 1);
+    assert.deepEqual(first.options.map(o => o.count), [3, 1]);
+    assert.deepEqual(first.options.map(o => o.correct), [true, false]);
+});
+
+test('analyzeTest flags questions that favour weaker students', () => {
+    const results = [
+        result('a', [0, 1, 1, 1]),
+        result('b', [0, 1, 1, 0]),
+        result('c', [1, 0, 0, 0]),
+        result('d', [1, 0, 0, 0])
+    ];
+    
+    const analysis = analyzeTest(results, new Map());
+    
+    assert.deepEqual(analysis.flaggedQuestions, ['1']);
+    assert.ok(analysis.questions[0].flags.includes('negative_discrimination'));
+});
+
+test('analyzeTest handles no results', () => {
+    const analysis = analyzeTest([], new Map());
+    assert.equal(analysis.resultCount, 0);
+    assert.equal(analysis.summary.mean, null);
+    assert.deepEqual(analysis.questions, []);
+});
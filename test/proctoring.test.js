@@ -0,0 +1,58 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeClientEvents, getQuestionTimings, indexWrongAnswers, buildProctoringReport } = require('../proctoring');
+
+// A result with a wrong answer `answers[i]` to question i + 1
+function result(id, userId, answers, testId = 't1') {
+    return {
+        id,
+        userId,
+        testId,
+        totalQuestions: answers.length,
+        timeSpent: 600,
+        questionResults: answers.map((answer, i) => ({ questionId: String(i + 1), userAnswer: answer, points: 0, maxPoints: 1 }))
+    };
+}
+
+test('normalizeClientEvents checks types and times', () => {
+    const now = new Date('2025-01-01T10:00:00.000Z');
+    assert.deepEqual(normalizeClientEvents([{ type: 'copy', questionIndex: '2' }], now), {
+        events: [{ type: 'copy', occurredAt: now.toISOString(), questionIndex: 2, details: undefined }]
+    });
+    assert.ok(normalizeClientEvents([]).error);
+    assert.ok(normalizeClientEvents([{ type: 'new_client' }]).error);
+    assert.ok(normalizeClientEvents([{ type: 'copy', at: 'soon' }]).error);
+});
+
+test('answers saved in one batch have no timing', () => {
+    const saved = result('a', 'u1', [1, 1, 1, 1]);
+    [10, 30, 30, 40].forEach((seconds, i) => { saved.questionResults[i].answeredAfter = seconds; });
+    
+    assert.deepEqual(getQuestionTimings(saved), [
+        { questionId: '1', answeredAfter: 10, seconds: 10 },
+        { questionId: '4', answeredAfter: 40, seconds: 10 }
+    ]);
+    assert.ok(!buildProctoringReport(saved).flags.some(f => f.type === 'too_fast'));
+});
+
+test('identical wrong answers are flagged within the same test only', () => {
+    const a = result('a', 'u1', [1, 2, 3, 0]);
+    const b = result('b', 'u2', [1, 2, 3, 1]);
+    const c = result('c', 'u3', [1, 2, 2, 2]);
+    const other = result('d', 'u4', [1, 2, 3, 0], 't2');
+    const peerIndex = indexWrongAnswers([a, b, c, other]);
+    
+    const flag = buildProctoringReport(a, { peerIndex }).flags.find(f => f.type === 'identical_wrong_answers');
+    assert.deepEqual(flag.matches, [{ resultId: 'b', userId: 'u2', shared: 3 }]);
+    assert.ok(!buildProctoringReport(c, { peerIndex }).flags.some(f => f.type === 'identical_wrong_answers'));
+});
+
+test('buildProctoringReport flags integrity events and several IPs', () => {
+    const events = ['copy', 'paste', 'window_blur'].map(type => ({ type }));
+    const attempt = { clients: [{ ip: '1.1.1.1' }, { ip: '2.2.2.2' }] };
+    
+    const report = buildProctoringReport(result('a', 'u1', []), { attempt, events });
+    
+    assert.deepEqual(report.flags.map(f => f.type), ['integrity_events', 'multiple_sessions']);
+    assert.deepEqual(report.eventCounts, { copy: 1, paste: 1, window_blur: 1 });
+});
@@ -0,0 +1,64 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createStorage } = require('../storage');
+const { SCHEMA_VERSION, MIGRATIONS, getSchemaVersion, getPendingMigrations, migrateSchema } = require('../storage/schema');
+
+async function createTestStorage() {
+    const storage = createStorage({ backend: 'memory' });
+    await storage.init();
+    return storage;
+}
+
+test('migrations are numbered in order up to SCHEMA_VERSION', () => {
+    assert.deepEqual(MIGRATIONS.map(step => step.version), MIGRATIONS.map((step, i) => i + 1));
+    assert.equal(SCHEMA_VERSION, MIGRATIONS.length);
+});
+
+test('migrateSchema upgrades old data and records the version', async () => {
+    const storage = await createTestStorage();
+    await storage.users.insert({ id: 'u1', isAdmin: true, telegram: 'Ali_V' });
+    await storage.users.insert({ id: 'u2', telegram: '@bob' });
+    await storage.tests.insert({ id: 't1', title: 'T', createdAt: '2025-01-01T00:00:00.000Z', questions: [{ question: 'Q', options: ['a', 'b'], correct: 0 }] });
+    await storage.results.insert({ id: 'r1', testId: 't1' });
+    await storage.verifications.insert({ phone: '1', createdAt: '2025-01-01T00:00:00.000Z' });
+    await storage.verifications.insert({ phone: '2', status: 'pending' });
+    
+    const applied = await migrateSchema(storage);
+    
+    assert.equal(applied.length, SCHEMA_VERSION);
+    assert.equal(await getSchemaVersion(storage), SCHEMA_VERSION);
+    
+    const [admin, student] = [await storage.users.findById('u1'), await storage.users.findById('u2')];
+    assert.equal(admin.role, 'super_admin');
+    assert.equal(admin.isAdmin, undefined);
+    assert.equal(admin.telegram, '@ali_v');
+    assert.equal(student.role, 'student');
+    
+    const migratedTest = await storage.tests.findById('t1');
+    assert.equal(migratedTest.questions[0].type, 'single');
+    assert.equal(migratedTest.version, 1);
+    assert.equal(migratedTest.status, 'published');
+    assert.equal(migratedTest.reviewPolicy, 'after_close');
+    assert.equal((await storage.testVersions.findById('t1-v1')).title, 'T');
+    assert.equal((await storage.results.findById('r1')).testVersion, 1);
+    
+    // Codes get ids; those without a status can't be used any more
+    const verifications = await storage.verifications.find();
+    assert.deepEqual(verifications.map(v => v.phone), ['2']);
+    assert.match(verifications[0].id, /^\d+$/);
+});
+
+test('migrateSchema runs only pending steps', async () => {
+    const storage = await createTestStorage();
+    await migrateSchema(storage);
+    
+    assert.deepEqual(await getPendingMigrations(storage), []);
+    assert.deepEqual(await migrateSchema(storage), []);
+});
+
+test('newer stored data is refused', async () => {
+    const storage = await createTestStorage();
+    await storage.meta.insert({ id: 'schema', version: SCHEMA_VERSION + 1 });
+    
+    await assert.rejects(getPendingMigrations(storage), /newer than this code/);
+});
@@ -0,0 +1,258 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+// The whole server on the in-memory backend, without the Telegram bot.
+// Set before loading the server so a local .env doesn't override them.
+process.env.STORAGE_BACKEND = 'memory';
+process.env.TELEGRAM_BOT_TOKEN = '';
+
+const { app, db, seedDefaults } = require('../server');
+const { migrateSchema } = require('../storage/schema');
+
+const QUESTIONS = [
+    { question: '2+2?', options: ['3', '4', '5'], correct: 1 },
+    { question: '3+3?', options: ['6', '7'], correct: 0 },
+    { question: 'Poytaxt?', type: 'text', accepted: ['Toshkent'] }
+];
+
+let server;
+let baseUrl;
+
+async function api(method, url, body, token) {
+    const response = await fetch(baseUrl + url, {
+        method,
+        headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+        body: body ? JSON.stringify(body) : undefined
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+async function login(credentials) {
+    const { body } = await api('POST', '/api/login', credentials);
+    assert.ok(body.token, body.message);
+    return body.token;
+}
+
+function loginAdmin() {
+    return login({ login: 'admin', password: 'isftqabul2025' });
+}
+
+// A new student of direction 1: { user, password, token }
+async function createStudent(adminToken, phone) {
+    const created = await api('POST', '/api/admin/users', { firstName: 'Ali', lastName: 'Valiyev', direction: '1', phone }, adminToken);
+    assert.equal(created.status, 200, created.body.message);
+    const { user, password } = created.body;
+    return { user, password, token: await login({ login: user.login, password }) };
+}
+
+async function createTest(adminToken, fields) {
+    const created = await api('POST', '/api/admin/tests', {
+        title: 'Matematika', direction: '1', timeLimit: 10, attempts: 1, questions: QUESTIONS, status: 'published', ...fields
+    }, adminToken);
+    assert.equal(created.status, 200, created.body.message);
+    return created.body.test;
+}
+
+before(async () => {
+    await db.init();
+    await migrateSchema(db);
+    await seedDefaults();
+    server = app.listen(0);
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+test('an attempt is started, autosaved, resumed and submitted once', async () => {
+    const adminToken = await loginAdmin();
+    const { token: studentToken } = await createStudent(adminToken, '+998901112233');
+    const testId = (await createTest(adminToken)).id;
+    
+    // Start: the attempt carries the questions without their answers
+    const started = await api('POST', `/api/tests/${testId}/start`, null, studentToken);
+    assert.equal(started.status, 200, started.body.message);
+    const attempt = started.body.attempt;
+    assert.equal(attempt.status, 'in_progress');
+    assert.equal(attempt.questions.length, QUESTIONS.length);
+    assert.ok(attempt.questions.every(question => question.correct === undefined && question.accepted === undefined));
+    
+    // Correct answers by position, whatever order the attempt was given
+    const answers = attempt.questions.map(question => {
+        const source = QUESTIONS.find(q => q.question === question.question);
+        return source.type === 'text' ? 'toshkent' : question.options.indexOf(source.options[source.correct]);
+    });
+    
+    // Autosave part of the answers, then the rest
+    const firstSave = await api('PUT', `/api/attempts/${attempt.id}/answers`, { answers: { 0: answers[0] } }, studentToken);
+    assert.equal(firstSave.status, 200, firstSave.body.message);
+    assert.ok(firstSave.body.remainingSeconds > 0);
+    await api('PUT', `/api/attempts/${attempt.id}/answers`, { answers: { 1: answers[1], 2: answers[2] } }, studentToken);
+    
+    // Out-of-range questions are refused
+    const badSave = await api('PUT', `/api/attempts/${attempt.id}/answers`, { answers: { 9: 0 } }, studentToken);
+    assert.equal(badSave.status, 400);
+    
+    // Resuming returns every saved answer
+    const resumed = await api('GET', `/api/attempts/${attempt.id}`, null, studentToken);
+    assert.deepEqual(resumed.body.attempt.answers, answers);
+    
+    // Submit
+    const submitted = await api('POST', '/api/submit-test', { testId, attemptId: attempt.id, answers: resumed.body.attempt.answers }, studentToken);
+    assert.equal(submitted.status, 200, submitted.body.message);
+    assert.equal(submitted.body.totalQuestions, 3);
+    assert.equal(submitted.body.percentage, 100);
+    assert.equal(submitted.body.attemptsRemaining, 0);
+    
+    const results = await db.results.find({ attemptId: attempt.id });
+    assert.equal(results.length, 1);
+    assert.equal((await db.attempts.findById(attempt.id)).status, 'submitted');
+    
+    // The attempt is closed to further saves and submissions
+    const lateSave = await api('PUT', `/api/attempts/${attempt.id}/answers`, { answers: { 0: answers[0] } }, studentToken);
+    assert.equal(lateSave.status, 400);
+    const resubmitted = await api('POST', '/api/submit-test', { testId, attemptId: attempt.id, answers }, studentToken);
+    assert.equal(resubmitted.status, 400);
+    assert.equal((await db.results.find({ attemptId: attempt.id })).length, 1);
+    
+    // No attempts left
+    const restarted = await api('POST', `/api/tests/${testId}/start`, null, studentToken);
+    assert.equal(restarted.status, 400);
+});
+
+test('concurrent starts share one attempt, and extra attempts are not scored', async () => {
+    const adminToken = await loginAdmin();
+    const { user, token } = await createStudent(adminToken, '+998901112234');
+    const testId = (await createTest(adminToken)).id;
+    
+    const starts = await Promise.all([1, 2, 3, 4].map(() => api('POST', `/api/tests/${testId}/start`, null, token)));
+    assert.deepEqual(starts.map(start => start.status), [200, 200, 200, 200]);
+    assert.equal(new Set(starts.map(start => start.body.attempt.id)).size, 1);
+    assert.equal(await db.attempts.count({ userId: user.id }), 1);
+    
+    // An attempt that got past the start anyway isn't scored once the limit is used
+    const attempt = await db.attempts.findById(starts[0].body.attempt.id);
+    const extra = await db.attempts.insert({ ...attempt, id: `${attempt.id}-extra` });
+    const submitted = await api('POST', '/api/submit-test', { testId, attemptId: attempt.id, answers: [] }, token);
+    assert.equal(submitted.status, 200, submitted.body.message);
+    const extraSubmitted = await api('POST', '/api/submit-test', { testId, attemptId: extra.id, answers: [] }, token);
+    assert.equal(extraSubmitted.status, 400);
+    assert.equal(await db.results.count({ userId: user.id }), 1);
+    assert.equal((await db.attempts.findById(extra.id)).status, 'cancelled');
+});
+
+test('time limits and attempts must be positive integers', async () => {
+    const adminToken = await loginAdmin();
+    
+    for (const fields of [{ timeLimit: 'abc' }, { timeLimit: 2.5 }, { attempts: '1x' }, { attempts: -1 }]) {
+        const created = await api('POST', '/api/admin/tests', {
+            title: 'Matematika', direction: '1', timeLimit: 10, attempts: 1, questions: QUESTIONS, ...fields
+        }, adminToken);
+        assert.equal(created.status, 400, JSON.stringify(fields));
+    }
+});
+
+test('true/false answers other than true or false score nothing', async () => {
+    const adminToken = await loginAdmin();
+    const { token } = await createStudent(adminToken, '+998901112235');
+    const testId = (await createTest(adminToken, {
+        attempts: 4,
+        questions: [{ question: 'Yer yumaloq', type: 'true_false', correct: true }]
+    })).id;
+    
+    const scores = [];
+    for (const answer of [true, 'true', 'yes', 1]) {
+        const started = await api('POST', `/api/tests/${testId}/start`, null, token);
+        const submitted = await api('POST', '/api/submit-test', { testId, attemptId: started.body.attempt.id, answers: [answer] }, token);
+        assert.equal(submitted.status, 200, submitted.body.message);
+        scores.push(submitted.body.percentage);
+    }
+    assert.deepEqual(scores, [100, 100, 0, 0]);
+});
+
+test('request values are never read as query operators', async () => {
+    for (const credentials of [{ login: { $ne: null }, password: { $ne: null } }, { login: { $gt: '' }, password: 'x' }]) {
+        const response = await api('POST', '/api/login', credentials);
+        assert.equal(response.status, 400);
+        assert.equal(response.body.token, undefined);
+    }
+    
+    const nonString = await api('POST', '/api/login', { login: ['admin'], password: 'isftqabul2025' });
+    assert.equal(nonString.status, 400);
+    const forgot = await api('POST', '/api/forgot-password', { login: { toString: 'admin' } });
+    assert.equal(forgot.status, 400);
+});
+
+test('question bank is kept to the directions staff manage', async () => {
+    const adminToken = await loginAdmin();
+    const { user, password } = await createStudent(adminToken, '+998901112236');
+    const role = await api('PUT', `/api/admin/users/${user.id}/role`, { role: 'teacher', directionIds: ['1'] }, adminToken);
+    assert.equal(role.status, 200, role.body.message);
+    const teacherToken = await login({ login: user.login, password });
+    
+    const bankQuestion = direction => ({ question: `Savol ${direction}`, options: ['a', 'b'], correct: 0, tags: ['bank'], direction });
+    const own = await api('POST', '/api/admin/questions', bankQuestion('1'), teacherToken);
+    assert.equal(own.status, 200, own.body.message);
+    assert.equal((await api('POST', '/api/admin/questions', bankQuestion('2'), teacherToken)).status, 403);
+    assert.equal((await api('POST', '/api/admin/questions', bankQuestion(undefined), teacherToken)).status, 400);
+    
+    const other = await api('POST', '/api/admin/questions', bankQuestion('2'), adminToken);
+    assert.equal(other.status, 200, other.body.message);
+    const listed = await api('GET', '/api/admin/questions', null, teacherToken);
+    assert.ok(listed.body.some(q => q.id === own.body.question.id));
+    assert.ok(!listed.body.some(q => q.id === other.body.question.id));
+    assert.equal((await api('PUT', `/api/admin/questions/${other.body.question.id}`, bankQuestion('1'), teacherToken)).status, 403);
+    assert.equal((await api('DELETE', `/api/admin/questions/${other.body.question.id}`, null, teacherToken)).status, 403);
+    
+    // A test drawing the question keeps it in the bank
+    const drawTest = await createTest(adminToken, { questions: undefined, draw: [{ count: 1, tags: ['bank'] }] });
+    assert.equal((await api('DELETE', `/api/admin/questions/${own.body.question.id}`, null, teacherToken)).status, 409);
+    await db.tests.update(drawTest.id, { archivedAt: new Date().toISOString() });
+    assert.equal((await api('DELETE', `/api/admin/questions/${own.body.question.id}`, null, teacherToken)).status, 200);
+});
+
+test('tests created without a status are published', async () => {
+    const adminToken = await loginAdmin();
+    assert.equal((await createTest(adminToken, { status: undefined })).status, 'published');
+    assert.equal((await createTest(adminToken, { status: 'draft' })).status, 'draft');
+});
+
+test('results hide points and answers until review is allowed', async () => {
+    const adminToken = await loginAdmin();
+    const { token } = await createStudent(adminToken, '+998901112237');
+    const testId = (await createTest(adminToken)).id;
+    
+    const started = await api('POST', `/api/tests/${testId}/start`, null, token);
+    await api('POST', '/api/submit-test', { testId, attemptId: started.body.attempt.id, answers: [0, 0, 'x'] }, token);
+    
+    const [closed] = (await api('GET', '/api/my-results', null, token)).body;
+    assert.equal(closed.reviewAvailable, false);
+    assert.ok(closed.questionResults.every(item => item.points === undefined && item.maxPoints === undefined && item.correctAnswer === undefined));
+    
+    await db.tests.update(testId, { reviewPolicy: 'immediately' });
+    const [open] = (await api('GET', '/api/my-results', null, token)).body;
+    assert.ok(open.questionResults.every(item => typeof item.maxPoints === 'number'));
+});
+
+test('anonymizing a user scrubs certificates and where attempts came from', async () => {
+    const adminToken = await loginAdmin();
+    const { user, token } = await createStudent(adminToken, '+998901112238');
+    const testId = (await createTest(adminToken)).id;
+    
+    const started = await api('POST', `/api/tests/${testId}/start`, null, token);
+    const attemptId = started.body.attempt.id;
+    await api('POST', `/api/attempts/${attemptId}/events`, { events: [{ type: 'copy' }] }, token);
+    const submitted = await api('POST', '/api/submit-test', { testId, attemptId, answers: [] }, token);
+    assert.ok((await db.attempts.findById(attemptId)).clients.length);
+    await db.certificates.insert({ id: 'c1', number: 'TEST-0001', userId: user.id, resultId: submitted.body.resultId, studentName: 'Ali Valiyev' });
+    
+    const deleted = await api('DELETE', `/api/admin/users/${user.id}?results=anonymize`, null, adminToken);
+    assert.equal(deleted.status, 200, deleted.body.message);
+    
+    const certificate = await db.certificates.findById('c1');
+    assert.notEqual(certificate.studentName, 'Ali Valiyev');
+    assert.ok(certificate.revokedAt);
+    assert.equal((await db.attempts.findById(attemptId)).clients, undefined);
+    const events = await db.proctoringEvents.find({ userId: user.id });
+    assert.ok(events.length);
+    assert.ok(events.every(event => event.ip === undefined && event.userAgent === undefined));
+});